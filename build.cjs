@@ -1,33 +1,133 @@
 /**
  * @file Build script for Chrome Extensions using Vite. Handles production bundling,
- * version synchronization, and deployment packaging. Performs the following actions:
+ * version bumps, and deployment packaging. Performs the following actions:
  *
- * 1. Reads project configuration (package.json, vite.config.js)
- * 2. Validates extension manifest (manifest.json) for required fields and formats
+ * 1. Reads project configuration (package.json, vite.config.ts) and evaluates manifest.config.ts for the
+ *    production mode (see manifest.cjs)
+ * 2. Validates the extension manifest for required fields and formats
  *    - Extensions platform keys (manifest_version, name, version): Errors stop the build
  *    - Chrome Web Store keys (description, icons): Warnings allow build but prevent ZIP generation
+ *    - Manifest V3 schema (permissions, match patterns, background, content_scripts, commands, ...):
+ *      Invalid values and MV2-only keys are errors; unrecognized keys and duplicates are warnings
  *    - Auto-adds manifest_version: 3 if missing; uses package.json name if manifest name is missing
- * 3. Synchronizes versions between package.json and manifest.json
- * 4. Creates distribution directory if missing
- * 5. Executes Vite build
+ *    - The manifest version must be the package.json version
+ *    - Localization: default_locale and every _locales/<locale>/messages.json must exist and be well formed,
+ *      every __MSG_name__ placeholder must resolve in every locale, and name/description limits are
+ *      checked per locale. Message names used by t()/getMessage() in src must exist (errors); unused
+ *      messages and messages missing from non-default locales are reported as warnings. The `Messages`
+ *      type in src/utils/i18n.ts must list exactly the default locale's messages with their number of
+ *      substitutions (errors)
+ *    - Permissions: the chrome.* and browser.* APIs used in src are mapped to the permissions they need.
+ *      Undeclared ones are errors; declared ones nothing uses, unused host permissions and broad host
+ *      patterns granted on install are warnings. Prints the warnings Chrome shows on install
+ * 3. Creates distribution directory if missing
+ * 4. Writes the validated manifest of each target to its output directory
+ * 5. Type-checks and executes Vite build
+ *    - The type check and every Vite build run in parallel child processes (see buildWorker.cjs) through
+ *      the TypeScript and Vite JavaScript APIs. Their output is streamed with a stage prefix, and every
+ *      stage is timed. Failures are listed with file and line; the build exits with 2 when only the type
+ *      check failed and with 3 when a bundle failed
+ *    - Entrypoints are discovered from the manifest (see entrypoints.cjs): pages and the service worker
+ *      are built as ES modules by vite.config.ts, and every content script and `injectedScripts` entry of
+ *      package.json as a separate IIFE by vite.content.config.ts. The emitted manifest names the bundles
+ *    - Verifies that every file and glob referenced by the emitted manifest exists in the output
+ *      directory and that PNG icon sizes match their keys; missing files stop the build, and so does a
+ *      bundled development build of React
+ *    - Reports the raw, gzip and brotli size of every page, the service worker, the content scripts
+ *      and remaining assets, compared with the previous build (size-report.json). Entries over the error
+ *      limit of their `sizeBudgets` entry in package.json stop the build; over the warn limit is a warning
  * 6. Generates versioned ZIP archive of build artifacts if the version has changed and no warnings exist
+ *    - Reproducible: entries are sorted and get a fixed date (SOURCE_DATE_EPOCH or 1980-01-01) and mode
+ *    - Only files matching `zip.include` and not `zip.exclude` of package.json are added (source maps and
+ *      OS metadata files are excluded by default)
+ *    - Writes a `<zip>.sha256` checksum file next to the ZIP
  * 7. Manages .gitignore entries for generated ZIP files
  *
+ * With `--target chrome|firefox|edge|all` (default: chrome), Vite runs once and each additional target
+ * gets a copy of the output in `dist-<target>` with a transformed manifest (e.g. Firefox background
+ * scripts and gecko ID), validated against that browser's rules and packaged as `<name>-<target>-v*.zip`.
+ *
+ * With `--bump major|minor|patch|build`, skips the build and instead bumps the version in package.json,
+ * which manifest.config.ts reads, sets or clears `versionName` (`--version-name beta.1`), prepends a
+ * CHANGELOG.md section built from the git commits since the last tag, then commits and tags the release
+ * (`--skip-git` only updates the files).
+ *
+ * With `--verify`, builds as usual but instead of packaging, creates each target's ZIP again in a temporary
+ * directory and fails unless its SHA-256 matches the existing ZIP (and its checksum file) for the version.
+ *
+ * With `--crx --codebase-url <url>`, additionally signs each Chromium target into `<name>-v*.crx` with the
+ * RSA key in key.pem (or `--key`/CRX_KEY_PATH; generated when missing) and writes `update.xml` pointing at
+ * the CRX under that URL, for installs from a self-hosted server through enterprise policy.
+ *
+ * With `--watch`, skips packaging and instead rebuilds both Vite configs into the output directory on
+ * every change. A WebSocket server on 127.0.0.1 (port 35729, or DEV_RELOAD_PORT) tells a dev-only client
+ * in the service worker to call chrome.runtime.reload(), and content script rebuilds also refresh open
+ * tabs.
+ * `--inject-key` writes the public signing key into the emitted manifest so the unpacked build keeps the
+ * extension ID of the signed CRX.
+ *
+ * This script runs the stages; the checks and packaging live in their own modules, which build.test.ts
+ * tests directly: manifestValidation.cjs (step 2), permissionAudit.cjs (step 2), targets.cjs (the target
+ * manifests), buildOutput.cjs (output verification and size report), packaging.cjs (ZIP, CRX and
+ * update.xml) and reloadServer.cjs (--watch).
+ *
  * @module BuildScript
- * @requires child_process/execSync
+ * @requires child_process/execFileSync
+ * @requires child_process/fork
  * @requires fs
  * @requires path
- * @requires archiver
+ * @requires readline
+ * @requires util/parseArgs
  * @requires glob
+ * @requires ./buildWorker.cjs
+ * @requires ./entrypoints.cjs
+ * @requires ./manifest.cjs
+ * @requires ./manifestValidation.cjs
+ * @requires ./permissionAudit.cjs
+ * @requires ./targets.cjs
+ * @requires ./buildOutput.cjs
+ * @requires ./packaging.cjs
+ * @requires ./reloadServer.cjs
  */
 
 /* eslint-disable no-undef */
 
 const fs = require("fs");
-const { execSync } = require("child_process");
+const { execFileSync, fork } = require("child_process");
 const path = require("path");
-const archiver = require("archiver");
+const readline = require("readline");
+const { parseArgs } = require("util");
 const glob = require("glob");
+const {
+    discoverEntrypoints,
+    injectedScriptFiles,
+    isolatedScripts,
+    loadEntrypoints,
+    rewriteManifest,
+} = require("./entrypoints.cjs");
+const { loadLocales, loadManifest, packageNameOf, targetZipFileName, writeJsonFile } = require("./manifest.cjs");
+const { formatProblem } = require("./buildWorker.cjs");
+const { checkMessageUsage, validateManifest } = require("./manifestValidation.cjs");
+const { auditPermissions } = require("./permissionAudit.cjs");
+const { resolveTargets, targetOutputDir, transformManifest } = require("./targets.cjs");
+const {
+    checkSizeBudgets,
+    createSizeReport,
+    loadSizeReport,
+    printSizeReport,
+    verifyBuildOutput,
+} = require("./buildOutput.cjs");
+const {
+    createCrxPackage,
+    createZipArchive,
+    injectManifestKey,
+    loadSigningKey,
+    manageGitignore,
+    resolveZipOptions,
+    verifyZipArchive,
+    writeChecksumFile,
+} = require("./packaging.cjs");
+const { RELOAD_HOST, startReloadServer } = require("./reloadServer.cjs");
 
 const RED = "\x1b[1;31m";
 const GREEN = "\x1b[1;32m";
@@ -46,257 +146,362 @@ function purple(text) {
     return `${PURPLE}${text}${RESET}`;
 }
 
-/**
- * Validates the manifest.json for required fields and formats.
- * @param {object} manifestJson - Parsed manifest.json content
- * @param {object} packageJson - Parsed package.json content
- * @param {string} manifestPath - Path to manifest.json
- * @returns {object} { errors: string[], warnings: string[] }
- */
-function validateManifest(manifestJson, packageJson, manifestPath) {
-    let errors = [];
-    let warnings = [];
-    let needsSave = false;
-
-    if (!("manifest_version" in manifestJson)) {
-        manifestJson.manifest_version = 3;
-        needsSave = true;
-        console.log("ℹ️  Added manifest_version: 3");
-    } else if (typeof manifestJson.manifest_version !== "number" || manifestJson.manifest_version !== 3) {
-        errors.push("manifest_version must be the integer 3");
-    }
+// Previous bundle sizes, compared against on the next build
+const SIZE_REPORT_FILE = "size-report.json";
 
-    if (!("name" in manifestJson)) {
-        if (packageJson.name && typeof packageJson.name === "string") {
-            manifestJson.name = packageJson.name;
-            needsSave = true;
-            console.log(`ℹ️  Added name from package.json: ${packageJson.name}`);
-        } else {
-            errors.push("Missing required 'name' field");
-        }
-    } else {
-        if (typeof manifestJson.name !== "string") {
-            errors.push("'name' must be a string");
-        } else if (manifestJson.name.length > 75) {
-            errors.push(`'name' exceeds 75 characters (current: ${manifestJson.name.length})`);
-        }
-    }
+// Build stages run in forked workers; a failed build exits with the code of the stage that failed
+const BUILD_WORKER = path.join(__dirname, "buildWorker.cjs");
+const TYPE_CHECK_PROJECTS = ["tsconfig.json", "tsconfig.manifest.json"];
+const EXIT_TYPE_ERRORS = 2;
+const EXIT_BUNDLE_ERRORS = 3;
 
-    if (!("version" in manifestJson)) {
-        errors.push("Missing required 'version' field");
-    } else {
-        const versionParts = String(manifestJson.version).split(".");
-        if (versionParts.length < 1 || versionParts.length > 4) {
-            errors.push("Version must have 1 to 4 dot-separated integers");
-        } else {
-            let allZero = true;
-            for (const part of versionParts) {
-                if (!/^\d+$/.test(part)) {
-                    errors.push("Version parts must be integers");
-                    break;
-                }
-                const num = parseInt(part, 10);
-                if (num !== 0) allZero = false;
-                if (num < 0 || num > 65535) {
-                    errors.push("Version integers must be between 0 and 65535");
-                    break;
-                }
-                if (num !== 0 && part.startsWith("0")) {
-                    errors.push("Non-zero version integers cannot start with 0");
-                    break;
-                }
-            }
-            if (allZero) {
-                errors.push("Version cannot be all zeros (e.g., 0 or 0.0.0.0)");
-            }
-        }
-    }
+const DEFAULT_KEY_PATH = "key.pem";
 
-    if (!("description" in manifestJson)) {
-        warnings.push("Missing 'description' field required by Chrome Web Store");
-    } else {
-        if (typeof manifestJson.description !== "string") {
-            warnings.push("'description' must be a string");
-        } else if (manifestJson.description.length > 132) {
-            warnings.push(`'description' exceeds 132 characters (current: ${manifestJson.description.length})`);
-        }
-    }
+/**
+ * Loads and parses configuration files, and evaluates the production manifest.
+ * @returns {Promise<object>} Configuration data
+ */
+async function loadConfigs() {
+    const packageJsonPath = path.join(__dirname, "package.json");
+    if (!fs.existsSync(packageJsonPath)) throw new Error(`File ${green("package.json")} not found`);
+    const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, "utf8"));
 
-    if (!("icons" in manifestJson)) {
-        warnings.push("Missing 'icons' field required by Chrome Web Store");
-    } else {
-        if (typeof manifestJson.icons !== "object" || Array.isArray(manifestJson.icons)) {
-            warnings.push("'icons' must be an object");
-        } else {
-            if (!manifestJson.icons["128"]) {
-                warnings.push("Missing required 128x128 icon in 'icons' object");
-            }
-            const supportedFormats = [".png", ".bmp", ".gif", ".ico", ".jpg", ".jpeg"];
-            for (const [size, iconPath] of Object.entries(manifestJson.icons)) {
-                if (typeof iconPath !== "string") {
-                    warnings.push(`Icon path for size ${size} must be a string`);
-                } else if (!supportedFormats.some((format) => iconPath.toLowerCase().endsWith(format))) {
-                    warnings.push(
-                        `Icon path for size ${size} must end in supported format (${supportedFormats.join(", ")})`
-                    );
-                }
-            }
-        }
+    // Resolved by Vite itself, the way `vite build` sees it, so build.outDir follows the config
+    const viteConfigPath = path.join(__dirname, "vite.config.ts");
+    if (!fs.existsSync(viteConfigPath)) {
+        console.warn(`⚠️  ${green("vite.config.ts")} not found. Using default configuration.`);
     }
+    const { resolveConfig } = await import("vite");
+    const viteConfig = await resolveConfig(
+        { configFile: fs.existsSync(viteConfigPath) ? viteConfigPath : false, logLevel: "silent" },
+        "build",
+        "production",
+        // Without it Vite sets NODE_ENV to "development" here, which the forked bundle workers inherit
+        "production"
+    );
+    const outputDir = path.relative(__dirname, path.resolve(viteConfig.root, viteConfig.build.outDir)) || ".";
+    const manifestJson = await loadManifest(__dirname, { mode: "production", command: "build" });
+    const locales = loadLocales(__dirname);
+
+    return { packageJson, outputDir, manifestJson, locales };
+}
 
-    if (needsSave) {
-        fs.writeFileSync(manifestPath, JSON.stringify(manifestJson, null, 2));
-        console.log("ℹ️  Updated manifest.json with added fields");
+/**
+ * Calculates the next Chrome extension version. Parts are integers between 0 and 65535; major, minor
+ * and patch bumps reset the lower parts and drop the fourth (build) part.
+ * @param {string} version - Current version with 1 to 4 parts
+ * @param {string} release - "major", "minor", "patch" or "build"
+ * @returns {string} Next version
+ * @throws {Error} If the release type is unknown or a part would exceed 65535
+ */
+function bumpVersion(version, release) {
+    const [major = 0, minor = 0, patch = 0, build = 0] = version.split(".").map(Number);
+    const nextParts = {
+        major: [major + 1, 0, 0],
+        minor: [major, minor + 1, 0],
+        patch: [major, minor, patch + 1],
+        build: [major, minor, patch, build + 1],
+    };
+    if (!(release in nextParts)) {
+        throw new Error(`--bump must be one of ${Object.keys(nextParts).join(", ")} (got "${release}")`);
     }
-
-    return { errors, warnings };
+    const next = nextParts[release];
+    if (next.some((part) => part > 65535)) {
+        throw new Error(`Cannot bump ${release}: version integers must be between 0 and 65535`);
+    }
+    return next.join(".");
 }
 
 /**
- * Prints Vite output with a prefixed label.
- * @param {string} output - Vite stdout or stderr
+ * Runs a git command in the project root.
+ * @param {string[]} args - git arguments
+ * @returns {string} Trimmed stdout
  */
-function printViteOutput(output) {
-    const vitePrefix = purple("VITE ");
-    output.split("\n").forEach((line) => {
-        if (line.trim()) console.log(vitePrefix + line);
-    });
+function git(args) {
+    return execFileSync("git", args, { cwd: __dirname, encoding: "utf8", stdio: ["ignore", "pipe", "pipe"] }).trim();
 }
 
 /**
- * Compares two version strings (e.g., "1.2.3" vs "1.2.4").
- * @param {string} v1 - First version
- * @param {string} v2 - Second version
- * @returns {number} 1 if v1 > v2, -1 if v1 < v2, 0 if equal
+ * Builds a CHANGELOG.md section from the commit subjects since the last tag.
+ * @param {string} version - Released version
+ * @param {string} [versionName] - Pre-release label shown next to the version
+ * @returns {string} Markdown section
  */
-function compareVersions(v1, v2) {
-    const parts1 = v1.split(".").map(Number);
-    const parts2 = v2.split(".").map(Number);
-    for (let i = 0; i < Math.max(parts1.length, parts2.length); i++) {
-        const a = parts1[i] || 0;
-        const b = parts2[i] || 0;
-        if (a > b) return 1;
-        if (a < b) return -1;
+function generateChangelogSection(version, versionName) {
+    let lastTag = null;
+    try {
+        lastTag = git(["describe", "--tags", "--abbrev=0"]);
+    } catch {
+        // No tags yet: the first release lists every commit
     }
-    return 0;
+    const range = lastTag ? [`${lastTag}..HEAD`] : [];
+    const commits = git(["log", ...range, "--no-merges", "--pretty=format:%s (%h)"])
+        .split("\n")
+        .filter(Boolean);
+
+    const date = new Date().toISOString().slice(0, 10);
+    const heading = `## ${version}${versionName ? ` (${versionName})` : ""} - ${date}`;
+    const entries = commits.length > 0 ? commits.map((commit) => `- ${commit}`) : ["- No changes recorded"];
+    return `${heading}\n\n${entries.join("\n")}\n`;
 }
 
 /**
- * Loads and parses configuration files.
- * @returns {object} Configuration data
+ * Prepends a section to CHANGELOG.md, creating the file if needed.
+ * @param {string} section - Markdown section from generateChangelogSection
+ * @returns {string} Path to CHANGELOG.md
  */
-function loadConfigs() {
-    const packageJsonPath = path.join(__dirname, "package.json");
-    if (!fs.existsSync(packageJsonPath)) throw new Error(`File ${green("package.json")} not found`);
-    const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, "utf8"));
-
-    const viteConfigPath = path.join(__dirname, "vite.config.ts");
-    let viteConfig = {};
-    if (fs.existsSync(viteConfigPath)) {
-        viteConfig = require(viteConfigPath);
-        if (typeof viteConfig === "function") {
-            viteConfig = viteConfig({ command: "build", mode: "production" });
-        }
-    } else {
-        console.warn(`⚠️  ${green("vite.config.ts")} not found. Using default configuration.`);
-    }
-
-    const outputDir = viteConfig.build?.outDir || "dist";
-    const staticFolder = "public";
-
-    const manifestJsonPath = path.join(__dirname, staticFolder, "manifest.json");
-    if (!fs.existsSync(manifestJsonPath))
-        throw new Error(`Manifest file ${green("manifest.json")} not found at ${manifestJsonPath}`);
-    const manifestJson = JSON.parse(fs.readFileSync(manifestJsonPath, "utf8"));
-
-    return { packageJson, outputDir, staticFolder, manifestJson, manifestJsonPath };
+function updateChangelog(section) {
+    const changelogPath = path.join(__dirname, "CHANGELOG.md");
+    const title = "# Changelog\n";
+    const existing = fs.existsSync(changelogPath) ? fs.readFileSync(changelogPath, "utf8") : title;
+    const body = existing.startsWith(title) ? existing.slice(title.length).replace(/^\n+/, "") : existing;
+    fs.writeFileSync(changelogPath, `${title}\n${section}${body ? `\n${body}` : ""}`);
+    return changelogPath;
 }
 
 /**
- * Synchronizes versions between package.json and manifest.json.
+ * Bumps the version in package.json, from which manifest.config.ts takes `version` and `version_name`,
+ * updates the changelog, and commits and tags the release.
+ * @param {object} options - { release, versionName, skipGit }
  * @param {object} packageJson - Parsed package.json
- * @param {object} manifestJson - Parsed manifest.json
- * @param {string} packageJsonPath - Path to package.json
- * @param {string} manifestJsonPath - Path to manifest.json
- * @returns {string} Highest version
  */
-function synchronizeVersions(packageJson, manifestJson, packageJsonPath, manifestJsonPath) {
-    const pkgVersion = packageJson.version;
-    const manVersion = manifestJson.version;
-    const highestVersion = compareVersions(pkgVersion, manVersion) >= 0 ? pkgVersion : manVersion;
-
-    if (compareVersions(pkgVersion, highestVersion) < 0) {
-        packageJson.version = highestVersion;
-        fs.writeFileSync(packageJsonPath, JSON.stringify(packageJson, null, 2));
-        console.log(`🆕 Updated ${green("package.json")} version to ${highestVersion}`);
+function runVersionBump({ release, versionName, skipGit }, packageJson) {
+    const packageJsonPath = path.join(__dirname, "package.json");
+    if (!skipGit && git(["status", "--porcelain"]) !== "") {
+        throw new Error("Working tree has uncommitted changes. Commit them first or use --skip-git.");
+    }
+
+    const currentVersion = packageJson.version;
+    const nextVersion = bumpVersion(currentVersion, release);
+    const tagName = `v${nextVersion}`;
+    if (!skipGit && git(["tag", "--list", tagName]) !== "") {
+        throw new Error(`Tag ${tagName} already exists`);
+    }
+
+    packageJson.version = nextVersion;
+    if (versionName) {
+        packageJson.versionName = versionName;
+    } else {
+        delete packageJson.versionName;
     }
-    if (compareVersions(manVersion, highestVersion) < 0) {
-        manifestJson.version = highestVersion;
-        fs.writeFileSync(manifestJsonPath, JSON.stringify(manifestJson, null, 2));
-        console.log(`🆕 Updated ${green("manifest.json")} version to ${highestVersion}`);
+    writeJsonFile(packageJsonPath, packageJson);
+    const fullVersionName = versionName ? `${nextVersion}-${versionName}` : undefined;
+    console.log(`🆕 Bumped version ${currentVersion} → ${green(nextVersion)}`);
+    if (fullVersionName) console.log(`🏷️  Set version_name to ${green(fullVersionName)}`);
+
+    const changelogPath = updateChangelog(generateChangelogSection(nextVersion, fullVersionName));
+    console.log(`📝 Updated ${green("CHANGELOG.md")}`);
+
+    if (!skipGit) {
+        git(["add", packageJsonPath, changelogPath]);
+        git(["commit", "-m", `Release ${tagName}`]);
+        git(["tag", "-a", tagName, "-m", `Release ${fullVersionName || nextVersion}`]);
+        console.log(`🔖 Committed and tagged ${green(tagName)}`);
     }
-    return highestVersion;
 }
 
 /**
- * Runs the Vite build process.
+ * Formats a duration for the stage timings.
+ * @param {number} milliseconds - Duration
+ * @returns {string} e.g. "840ms" or "2.31s"
  */
-function runViteBuild() {
-    console.log("🚀 Running vite build...");
-    try {
-        const output = execSync(
-            "npx tsc -b && vite build --config vite.config.ts && vite build --config vite.content.config.ts",
-            { encoding: "utf8", stdio: ["inherit", "pipe", "pipe"] }
-        );
-        printViteOutput(output);
-    } catch (error) {
-        if (error.stdout) printViteOutput(error.stdout);
-        if (error.stderr) printViteOutput(error.stderr);
-        throw new Error(red("❌ Vite build failed"));
-    }
+function formatDuration(milliseconds) {
+    return milliseconds < 1000 ? `${milliseconds}ms` : `${(milliseconds / 1000).toFixed(2)}s`;
 }
 
 /**
- * Creates a ZIP archive of the output directory.
- * @param {string} outputDir - Build output directory
- * @param {string} zipFilePath - Path for the ZIP file
+ * Runs one build stage in a forked buildWorker.cjs, printing its output line by line as it arrives,
+ * prefixed with the stage label.
+ * @param {object} stage - { label, kind, env } and the fields of the stage message (see buildWorker.cjs)
+ * @returns {Promise<object>} { label, kind, ok, problems, duration }
  */
-async function createZipArchive(outputDir, zipFilePath) {
-    console.log(`📦 Creating ZIP archive: ${green(path.basename(zipFilePath))}`);
-    const output = fs.createWriteStream(zipFilePath);
-    const archive = archiver("zip", { zlib: { level: 9 } });
-
-    const archivePromise = new Promise((resolve, reject) => {
-        output.on("close", () => {
-            console.log(`✅ ZIP file ${green(path.basename(zipFilePath))} created (${archive.pointer()} bytes)`);
-            resolve();
+function runBuildStage({ label, env, ...stage }) {
+    const started = Date.now();
+    return new Promise((resolve) => {
+        const child = fork(BUILD_WORKER, [], {
+            cwd: __dirname,
+            // Piped output is not a terminal, so colors are kept explicitly when build.cjs writes to one
+            env: { ...process.env, ...(process.stdout.isTTY && { FORCE_COLOR: "1" }), ...env },
+            silent: true,
+        });
+        const prefix = purple(`${label} `);
+        [child.stdout, child.stderr].forEach((stream) => {
+            readline.createInterface({ input: stream }).on("line", (line) => {
+                if (line.trim()) console.log(prefix + line);
+            });
+        });
+
+        let result = null;
+        child.on("message", (message) => {
+            if (message?.type === "result") result = message;
         });
-        archive.on("error", (err) => reject(err));
+        child.on("error", (error) => {
+            result = { ok: false, problems: [{ message: error.message }] };
+        });
+        child.on("close", (code) => {
+            const outcome = result || {
+                ok: false,
+                problems: [{ message: `${label} exited with code ${code} before reporting a result` }],
+            };
+            resolve({ label, kind: stage.kind, ...outcome, duration: Date.now() - started });
+        });
+        child.send(stage);
     });
+}
 
-    archive.pipe(output);
-    archive.directory(outputDir, false);
-    archive.finalize();
-    await archivePromise;
+/**
+ * Prints the problems of failed stages with their location and code frame.
+ * @param {string} title - Heading
+ * @param {object[]} problems - Problems reported by buildWorker.cjs
+ */
+function printProblems(title, problems) {
+    if (problems.length === 0) return;
+    console.error(red(title));
+    problems.forEach((problem) => {
+        console.error(red(`  - ${formatProblem(problem).replace(/\n/g, "\n    ")}`));
+        if (problem.frame) console.error(problem.frame.replace(/^/gm, "    "));
+    });
+}
+
+/**
+ * Runs the production build: the type check of every TypeScript project, the build of the pages and
+ * service worker and one build per content script, all at the same time. Failures are summarized with
+ * their file and line once every stage has finished.
+ * @param {string} outputDir - Build output directory, emptied first
+ * @param {object[]} entrypoints - Entrypoints from discoverEntrypoints
+ * @throws {Error} With `exitCode` EXIT_BUNDLE_ERRORS when a Vite build failed, or EXIT_TYPE_ERRORS when
+ * only the type check did
+ */
+async function runViteBuild(outputDir, entrypoints) {
+    console.log("🚀 Running type check and vite builds...");
+    // Every Vite build writes into the output directory at once, so none of them may empty it
+    fs.rmSync(outputDir, { recursive: true, force: true });
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    // Vite keeps an inherited NODE_ENV, and a development one bundles React's development build
+    const bundleEnv = { NODE_ENV: "production" };
+    const started = Date.now();
+    const results = await Promise.all([
+        runBuildStage({ label: "TSC", kind: "types", projects: TYPE_CHECK_PROJECTS }),
+        runBuildStage({
+            label: "VITE MAIN",
+            kind: "bundle",
+            configFile: "vite.config.ts",
+            mode: "production",
+            env: bundleEnv,
+        }),
+        ...isolatedScripts(entrypoints).map((script) =>
+            runBuildStage({
+                label: `VITE CONTENT:${script.name}`,
+                kind: "bundle",
+                configFile: "vite.content.config.ts",
+                mode: "production",
+                env: { ...bundleEnv, CONTENT_ENTRY: script.name },
+            })
+        ),
+    ]);
+
+    console.log("⏱️  Build stages:");
+    results.forEach((result) => {
+        const status = result.ok ? "✅" : "❌";
+        console.log(`  ${status} ${result.label.padEnd(24)} ${formatDuration(result.duration).padStart(8)}`);
+    });
+    console.log(`  Total ${formatDuration(Date.now() - started)}`);
+
+    const failed = results.filter((result) => !result.ok);
+    if (failed.length === 0) return;
+    const typeErrors = failed.filter((result) => result.kind === "types").flatMap((result) => result.problems);
+    const bundleErrors = failed.filter((result) => result.kind === "bundle").flatMap((result) => result.problems);
+    printProblems("❌ Type errors:", typeErrors);
+    printProblems("❌ Bundling errors:", bundleErrors);
+    throw Object.assign(new Error(bundleErrors.length > 0 ? "Vite build failed" : "Type check failed"), {
+        exitCode: bundleErrors.length > 0 ? EXIT_BUNDLE_ERRORS : EXIT_TYPE_ERRORS,
+    });
 }
 
 /**
- * Updates .gitignore to ignore ZIP files.
- * @param {string} packageName - Extension name
+ * Runs the main Vite config and the content config of every content script in watch mode, each in a
+ * forked buildWorker.cjs, and tells the extension to reload after every successful rebuild the worker
+ * reports. Content script rebuilds also refresh the tabs the content script is injected into.
+ * @param {string} outputDir - Build output directory
+ * @param {number} port - Port of the reload server
+ * @param {object[]} entrypoints - Entrypoints from discoverEntrypoints
+ * @param {Buffer|null} [manifestKey] - Public key written into the emitted manifest as `key` after every build
  */
-function manageGitignore(packageName) {
-    const gitignorePath = path.join(__dirname, ".gitignore");
-    const zipIgnorePattern = `\n\n# Generated by build.cjs\n${packageName}-*.zip\n`;
-    if (fs.existsSync(gitignorePath)) {
-        const gitignoreContent = fs.readFileSync(gitignorePath, "utf8");
-        if (!gitignoreContent.includes(zipIgnorePattern.trim())) {
-            fs.appendFileSync(gitignorePath, zipIgnorePattern);
-            console.log(`📝 Added ZIP ignore pattern to ${green(".gitignore")}`);
+function runWatchMode(outputDir, port, entrypoints, manifestKey = null) {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    const reloadServer = startReloadServer(port);
+    let refreshTabsOnConnect = false;
+    reloadServer.onConnection((socket) => {
+        console.log(`🔌 Extension connected to reload server on port ${green(port)}`);
+        if (refreshTabsOnConnect) {
+            refreshTabsOnConnect = false;
+            reloadServer.send(socket, { type: "refresh-tabs" });
         }
-    } else {
-        fs.writeFileSync(gitignorePath, zipIgnorePattern);
-        console.log(`📝 Created ${green(".gitignore")} with ZIP ignore pattern`);
-    }
+    });
+
+    const builds = [
+        { label: "MAIN", config: "vite.config.ts", env: {}, refreshTabs: false, writesManifest: true },
+        ...isolatedScripts(entrypoints).map((script) => ({
+            label: `CONTENT:${script.name}`,
+            config: "vite.content.config.ts",
+            env: { CONTENT_ENTRY: script.name },
+            refreshTabs: true,
+            writesManifest: false,
+        })),
+    ];
+    const pendingInitialBuilds = new Set(builds.map((build) => build.label));
+
+    const children = builds.map((build) => {
+        const child = fork(BUILD_WORKER, [], {
+            cwd: __dirname,
+            env: {
+                ...process.env,
+                ...(process.stdout.isTTY && { FORCE_COLOR: "1" }),
+                ...build.env,
+                DEV_RELOAD_PORT: String(port),
+                DEV_RELOAD_HOST: RELOAD_HOST,
+            },
+            silent: true,
+        });
+        const prefix = purple(`VITE ${build.label} `);
+        [child.stdout, child.stderr].forEach((stream) => {
+            readline.createInterface({ input: stream }).on("line", (line) => {
+                if (line.trim()) console.log(prefix + line);
+            });
+        });
+        child.on("message", (message) => {
+            if (message?.type !== "built" || !message.ok) return;
+            if (manifestKey && build.writesManifest) {
+                injectManifestKey(path.join(outputDir, "manifest.json"), manifestKey);
+            }
+
+            if (pendingInitialBuilds.delete(build.label)) {
+                if (pendingInitialBuilds.size === 0) {
+                    console.log(`👀 Watching for changes. Load ${green(outputDir)} as an unpacked extension.`);
+                }
+                return;
+            }
+            console.log(`🔄 ${build.label} rebuilt, reloading extension...`);
+            if (build.refreshTabs) refreshTabsOnConnect = true;
+            reloadServer.broadcast({ type: "reload" });
+        });
+        child.on("exit", (code) => {
+            if (code) console.error(red(`❌ ${build.label} watcher exited with code ${code}`));
+        });
+        child.send({ kind: "watch", configFile: build.config, mode: "development" });
+        return child;
+    });
+
+    const shutdown = () => {
+        children.forEach((child) => child.kill());
+        reloadServer.close();
+        process.exit(0);
+    };
+    process.on("SIGINT", shutdown);
+    process.on("SIGTERM", shutdown);
 }
 
 /**
@@ -304,11 +509,72 @@ function manageGitignore(packageName) {
  */
 async function main() {
     try {
+        const { values: cliOptions } = parseArgs({
+            options: {
+                watch: { type: "boolean", default: false },
+                target: { type: "string", default: "chrome" },
+                bump: { type: "string" },
+                "version-name": { type: "string" },
+                "skip-git": { type: "boolean", default: false },
+                verify: { type: "boolean", default: false },
+                crx: { type: "boolean", default: false },
+                "codebase-url": { type: "string" },
+                key: { type: "string" },
+                "inject-key": { type: "boolean", default: false },
+            },
+        });
+        const targets = resolveTargets(cliOptions.target);
+
         // Load configurations
-        const { packageJson, outputDir, manifestJson, manifestJsonPath } = loadConfigs();
+        const { packageJson, outputDir, manifestJson, locales } = await loadConfigs();
+        const zipOptions = resolveZipOptions(packageJson);
+        const entrypoints = discoverEntrypoints(manifestJson, packageJson.injectedScripts, __dirname);
+        const injectedFiles = Object.values(injectedScriptFiles(entrypoints));
+        const keyPath = path.resolve(__dirname, cliOptions.key || process.env.CRX_KEY_PATH || DEFAULT_KEY_PATH);
+        const codebaseUrl = cliOptions["codebase-url"] || process.env.CRX_CODEBASE_URL;
+        if (cliOptions["inject-key"] && !cliOptions.watch)
+            throw new Error("--inject-key only applies together with --watch");
+        if (cliOptions.crx) {
+            if (cliOptions.verify) throw new Error("--crx cannot be combined with --verify");
+            if (!codebaseUrl) throw new Error("--crx requires --codebase-url or CRX_CODEBASE_URL");
+            try {
+                new URL(codebaseUrl);
+            } catch {
+                throw new Error(`'${codebaseUrl}' is not a valid codebase URL`);
+            }
+        }
+
+        // Version bumps update the version files and release metadata instead of building
+        if (cliOptions.bump) {
+            const { errors } = validateManifest(manifestJson, packageJson, "chrome", locales);
+            if (errors.length > 0) {
+                console.error(red("❌ Manifest validation failed with errors:"));
+                errors.forEach((error) => console.error(red(`  - ${error}`)));
+                process.exit(1);
+            }
+            runVersionBump(
+                { release: cliOptions.bump, versionName: cliOptions["version-name"], skipGit: cliOptions["skip-git"] },
+                packageJson
+            );
+            console.log(`🎉 Version bumped. Run ${green("npm run build")} to package it.`);
+            return;
+        }
+        if (cliOptions["version-name"]) throw new Error("--version-name only applies together with --bump");
+
+        // Watch mode rebuilds on change and reloads the extension instead of packaging it
+        if (cliOptions.watch) {
+            if (targets.length !== 1 || targets[0] !== "chrome") {
+                throw new Error("--watch only supports the chrome target");
+            }
+            const manifestKey = cliOptions["inject-key"] ? loadSigningKey(keyPath).publicKey : null;
+            // Watch builds emit the development manifest, which may declare other content scripts
+            const devEntrypoints = await loadEntrypoints(__dirname, { mode: "development", command: "build" });
+            runWatchMode(outputDir, Number(process.env.DEV_RELOAD_PORT) || 35729, devEntrypoints, manifestKey);
+            return;
+        }
 
         // Validate manifest
-        const { errors, warnings } = validateManifest(manifestJson, packageJson, manifestJsonPath);
+        const { errors, warnings } = validateManifest(manifestJson, packageJson, "chrome", locales);
 
         if (errors.length > 0) {
             console.error(red("❌ Manifest validation failed with errors:"));
@@ -321,13 +587,61 @@ async function main() {
             warnings.forEach((warning) => console.warn(`  - ${warning}`));
         }
 
-        // Synchronize versions
-        const highestVersion = synchronizeVersions(
-            packageJson,
-            manifestJson,
-            path.join(__dirname, "package.json"),
-            manifestJsonPath
-        );
+        // Check that every message the source code asks for exists and every message is used
+        const messageCheck = checkMessageUsage(path.join(__dirname, "src"), manifestJson, locales);
+        if (messageCheck.errors.length > 0) {
+            console.error(red("❌ Message check failed with errors:"));
+            messageCheck.errors.forEach((error) => console.error(red(`  - ${error}`)));
+            process.exit(1);
+        }
+        if (messageCheck.warnings.length > 0) {
+            console.warn("⚠️ Message check warnings:");
+            messageCheck.warnings.forEach((warning) => console.warn(`  - ${warning}`));
+        }
+
+        // Check that the declared permissions match the APIs the source code uses
+        const permissionAudit = auditPermissions(path.join(__dirname, "src"), manifestJson);
+        if (permissionAudit.errors.length > 0) {
+            console.error(red("❌ Permission audit failed with errors:"));
+            permissionAudit.errors.forEach((error) => console.error(red(`  - ${error}`)));
+            process.exit(1);
+        }
+        if (permissionAudit.warnings.length > 0) {
+            console.warn("⚠️ Permission audit warnings:");
+            permissionAudit.warnings.forEach((warning) => console.warn(`  - ${warning}`));
+        }
+        if (permissionAudit.installWarnings.length > 0) {
+            console.log("🔐 Chrome will warn on install that the extension can:");
+            permissionAudit.installWarnings.forEach((warning) => console.log(`  - ${warning}`));
+        } else {
+            console.log("🔐 Installs without permission warnings");
+        }
+        if (permissionAudit.optionalWarnings.length > 0) {
+            console.log("🔐 Granting the optional permissions adds:");
+            permissionAudit.optionalWarnings.forEach((warning) => console.log(`  - ${warning}`));
+        }
+
+        const version = manifestJson.version;
+
+        // Derive and validate the manifest of every other target from the one the build emits
+        const emittedManifest = rewriteManifest(manifestJson, entrypoints);
+        const targetBuilds = targets.map((target) => {
+            if (target === "chrome") return { target, manifest: emittedManifest, warnings };
+
+            const { manifest, notes } = transformManifest(emittedManifest, target, locales);
+            notes.forEach((note) => console.log(`ℹ️  [${target}] ${note}`));
+            const result = validateManifest(manifest, packageJson, target, locales);
+            if (result.errors.length > 0) {
+                console.error(red(`❌ ${target} manifest validation failed with errors:`));
+                result.errors.forEach((error) => console.error(red(`  - ${error}`)));
+                process.exit(1);
+            }
+            if (result.warnings.length > 0) {
+                console.warn(`⚠️ ${target} manifest validation warnings:`);
+                result.warnings.forEach((warning) => console.warn(`  - ${warning}`));
+            }
+            return { target, manifest, warnings: [...warnings, ...result.warnings] };
+        });
 
         // Ensure output directory exists
         if (!fs.existsSync(outputDir)) {
@@ -335,37 +649,128 @@ async function main() {
             console.log(`📁 Created output directory: ${green(outputDir)}`);
         }
 
-        // Run Vite build
-        runViteBuild();
+        // Type-check and run the Vite builds
+        await runViteBuild(outputDir, entrypoints);
+
+        // Report bundle sizes against the previous build and enforce the size budgets
+        const sizeReportPath = path.join(__dirname, SIZE_REPORT_FILE);
+        const sizeReport = createSizeReport(outputDir, injectedFiles);
+        printSizeReport(sizeReport, loadSizeReport(sizeReportPath));
+        writeJsonFile(sizeReportPath, { version, entries: sizeReport });
+        const sizeCheck = checkSizeBudgets(sizeReport, packageJson.sizeBudgets);
+        if (sizeCheck.errors.length > 0) {
+            console.error(red("❌ Size budgets exceeded:"));
+            sizeCheck.errors.forEach((error) => console.error(red(`  - ${error}`)));
+            process.exit(1);
+        }
+        if (sizeCheck.warnings.length > 0) {
+            console.warn("⚠️ Size budget warnings:");
+            sizeCheck.warnings.forEach((warning) => console.warn(`  - ${warning}`));
+        }
+
+        const packageName = packageNameOf(manifestJson, locales);
 
-        // If there are no warnings, generate ZIP
-        if (warnings.length === 0) {
-            // Determine ZIP file details
-            const packageName = manifestJson.name.toLowerCase().replace(/\s+/g, "-");
-            const formattedVersion = `v${highestVersion.replace(/\./g, "-")}`;
-            const zipFileName = `${packageName}-${formattedVersion}.zip`;
+        const verifyErrors = [];
+        const signingKey = cliOptions.crx ? loadSigningKey(keyPath) : null;
+        for (const { target, manifest, warnings: targetWarnings } of targetBuilds) {
+            const targetDir = targetOutputDir(outputDir, target);
+
+            // Copy the shared build output and write the target's manifest, with the fields validation added
+            if (targetDir !== outputDir) {
+                fs.rmSync(targetDir, { recursive: true, force: true });
+                fs.cpSync(outputDir, targetDir, { recursive: true });
+                console.log(`📁 Created ${target} output directory: ${green(targetDir)}`);
+            }
+            writeJsonFile(path.join(targetDir, "manifest.json"), manifest);
+
+            // Verify that every file the manifest references was emitted
+            const outputErrors = verifyBuildOutput(targetDir, injectedFiles);
+            if (outputErrors.length > 0) {
+                console.error(red(`❌ Build output verification failed for ${target}:`));
+                outputErrors.forEach((error) => console.error(red(`  - ${error}`)));
+                process.exit(1);
+            }
+            console.log(`🔍 Verified manifest references in ${green(targetDir)}`);
+
+            const zipFileName = targetZipFileName(packageName, version, target);
             const zipFilePath = path.join(__dirname, zipFileName);
 
-            // Create ZIP if it doesn't exist
-            if (!fs.existsSync(zipFilePath)) {
-                await createZipArchive(outputDir, zipFilePath);
-                const oldZips = glob.sync(`${packageName}-v*.zip`).filter((file) => file !== zipFileName);
-                oldZips.forEach((file) => fs.unlinkSync(file));
-                if (oldZips.length > 0) {
-                    console.log(`🗑️  Removed ${oldZips.length} old ZIP file(s)`);
+            // Verification packages the fresh build again and compares it with the existing ZIP
+            if (cliOptions.verify) {
+                if (!fs.existsSync(zipFilePath)) {
+                    verifyErrors.push(`${zipFileName} not found; run ${green("npm run build")} first`);
+                    continue;
+                }
+                const { expected, actual } = await verifyZipArchive(targetDir, zipFilePath, zipOptions);
+                const checksumPath = `${zipFilePath}.sha256`;
+                if (expected !== actual) {
+                    verifyErrors.push(`${zipFileName} differs from the rebuild (sha256 ${expected} vs ${actual})`);
+                } else if (fs.existsSync(checksumPath) && !fs.readFileSync(checksumPath, "utf8").startsWith(expected)) {
+                    verifyErrors.push(`${path.basename(checksumPath)} does not match ${zipFileName}`);
+                } else {
+                    console.log(`✅ ${green(zipFileName)} is reproducible (sha256 ${actual})`);
+                }
+                continue;
+            }
+
+            // If there are no warnings, generate ZIP
+            if (targetWarnings.length === 0) {
+                // Create ZIP if it doesn't exist
+                if (!fs.existsSync(zipFilePath)) {
+                    await createZipArchive(targetDir, zipFilePath, zipOptions);
+                    console.log(`🔒 SHA-256: ${writeChecksumFile(zipFilePath)}`);
+                    const oldZipPattern =
+                        target === "chrome" ? `${packageName}-v*.zip` : `${packageName}-${target}-v*.zip`;
+                    const oldZips = glob.sync(oldZipPattern).filter((file) => file !== zipFileName);
+                    oldZips.forEach((file) => {
+                        fs.unlinkSync(file);
+                        fs.rmSync(`${file}.sha256`, { force: true });
+                    });
+                    if (oldZips.length > 0) {
+                        console.log(`🗑️  Removed ${oldZips.length} old ZIP file(s)`);
+                    }
+                    manageGitignore([`${packageName}-*.zip`, `${packageName}-*.zip.sha256`]);
+                } else {
+                    if (!fs.existsSync(`${zipFilePath}.sha256`)) writeChecksumFile(zipFilePath);
+                    console.log(
+                        `✅ ZIP ${green(zipFileName)} for current version exists. Version unchanged; use ${green("--bump")} to release a new one.`
+                    );
                 }
-                manageGitignore(packageName);
             } else {
-                console.log(`✅ ZIP ${green(zipFileName)} for current version exists. Version unchanged.`);
+                console.log(`⚠️ Skipping ${target} ZIP generation due to manifest warnings.`);
             }
-        } else {
-            console.log("⚠️ Skipping ZIP generation due to manifest warnings.");
+
+            // Self-hosted installs get a signed CRX and the update manifest that points at it
+            if (signingKey && target === "firefox") {
+                console.log("ℹ️  [firefox] Skipping CRX packaging; Firefox installs signed XPI files instead");
+            } else if (signingKey) {
+                const crxFileName = zipFileName.replace(/\.zip$/, ".crx");
+                await createCrxPackage(targetDir, {
+                    crxFilePath: path.join(__dirname, crxFileName),
+                    updateFilePath: path.join(__dirname, target === "chrome" ? "update.xml" : `update-${target}.xml`),
+                    codebaseUrl,
+                    version,
+                    signingKey,
+                    zipOptions,
+                });
+                const oldCrxPattern = target === "chrome" ? `${packageName}-v*.crx` : `${packageName}-${target}-v*.crx`;
+                glob.sync(oldCrxPattern)
+                    .filter((file) => file !== crxFileName)
+                    .forEach((file) => fs.unlinkSync(file));
+                manageGitignore([`${packageName}-*.crx`, "update*.xml"]);
+            }
+        }
+
+        if (verifyErrors.length > 0) {
+            console.error(red("❌ ZIP verification failed:"));
+            verifyErrors.forEach((error) => console.error(red(`  - ${error}`)));
+            process.exit(1);
         }
 
         console.log("🎉 Build completed successfully.");
     } catch (error) {
         console.error(red(`❌ Error: ${error.message}`));
-        process.exit(1);
+        process.exit(error.exitCode ?? 1);
     }
 }
 
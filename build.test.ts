@@ -0,0 +1,469 @@
+import { createHash, createPublicKey, generateKeyPairSync, verify } from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createRequire } from "module";
+
+// Loaded by Node like build.cjs itself, since the build modules are CommonJS
+const require = createRequire(import.meta.url);
+const { checkMessageUsage, matchPatternError, validateManifest } = require("./manifestValidation.cjs");
+const { auditPermissions } = require("./permissionAudit.cjs");
+const { transformManifest } = require("./targets.cjs");
+const { checkSizeBudgets, createSizeReport, parseSize, readPngSize, verifyBuildOutput } = require("./buildOutput.cjs");
+const {
+    createCrx3,
+    createUpdateManifest,
+    createZipArchive,
+    extensionIdFromPublicKey,
+    verifyZipArchive,
+} = require("./packaging.cjs");
+
+const PACKAGE_JSON = { name: "test-extension", version: "1.2.3" };
+
+let tempDir: string;
+
+/**
+ * Writes files into the temporary directory, creating their parent directories.
+ */
+function writeFiles(files: Record<string, string | Buffer>) {
+    for (const [file, content] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(tempDir, file)), { recursive: true });
+        fs.writeFileSync(path.join(tempDir, file), content);
+    }
+}
+
+/**
+ * The PNG signature and an IHDR chunk header, which is all readPngSize looks at.
+ */
+function pngHeader(width: number, height: number) {
+    const header = Buffer.alloc(33);
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(header);
+    header.writeUInt32BE(13, 8);
+    header.write("IHDR", 12, "ascii");
+    header.writeUInt32BE(width, 16);
+    header.writeUInt32BE(height, 20);
+    return header;
+}
+
+function manifest(overrides: Record<string, unknown> = {}) {
+    return {
+        manifest_version: 3,
+        name: "Test Extension",
+        version: "1.2.3",
+        description: "Tests the build script",
+        icons: { 128: "icons/128.png" },
+        ...overrides,
+    };
+}
+
+function sha256(file: string) {
+    return createHash("sha256").update(fs.readFileSync(file)).digest("hex");
+}
+
+beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "build-test-"));
+    vi.spyOn(console, "log").mockImplementation(() => undefined);
+});
+
+afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe("validateManifest", () => {
+    it("accepts a complete manifest", () => {
+        const result = validateManifest(
+            manifest({ permissions: ["storage"], host_permissions: ["https://*.example.com/*"] }),
+            PACKAGE_JSON
+        );
+
+        expect(result).toEqual({ errors: [], warnings: [] });
+    });
+
+    it("adds manifest_version and the package name when they are missing", () => {
+        const manifestJson: Record<string, unknown> = manifest();
+        delete manifestJson.manifest_version;
+        delete manifestJson.name;
+
+        const { errors } = validateManifest(manifestJson, PACKAGE_JSON);
+
+        expect(errors).toEqual([]);
+        expect(manifestJson).toMatchObject({ manifest_version: 3, name: PACKAGE_JSON.name });
+    });
+
+    it("reports invalid versions and a version that differs from package.json", () => {
+        expect(validateManifest(manifest({ version: "1.02" }), { version: "1.02" }).errors).toEqual([
+            "version: Non-zero version integers cannot start with 0",
+        ]);
+        expect(validateManifest(manifest({ version: "1.2.4" }), PACKAGE_JSON).errors).toEqual([
+            expect.stringMatching(/^version: '1\.2\.4' differs from the package\.json version '1\.2\.3'/),
+        ]);
+    });
+
+    it("reports invalid match patterns with their JSON path", () => {
+        const { errors } = validateManifest(
+            manifest({ host_permissions: ["https://example.com/*", "example.com/*", "https://exa*mple.com/*"] }),
+            PACKAGE_JSON
+        );
+
+        expect(errors).toEqual([
+            "host_permissions[1]: Invalid match pattern \"example.com/*\": missing scheme separator '://'",
+            expect.stringMatching(/^host_permissions\[2\]: Invalid match pattern "https:\/\/exa\*mple\.com\/\*"/),
+        ]);
+    });
+
+    it("applies the rules of the target browser", () => {
+        const chromeManifest = manifest({ background: { service_worker: "serviceWorker.bundle.js" } });
+        expect(validateManifest(chromeManifest, PACKAGE_JSON, "firefox").errors).toContain(
+            "background.service_worker: Not supported by Firefox; use 'background.scripts' instead"
+        );
+
+        const { manifest: firefoxManifest } = transformManifest(chromeManifest, "firefox");
+        expect(firefoxManifest.background).toEqual({ scripts: ["serviceWorker.bundle.js"] });
+        expect(validateManifest(firefoxManifest, PACKAGE_JSON, "firefox").errors).toEqual([]);
+    });
+});
+
+describe("matchPatternError", () => {
+    it.each(["<all_urls>", "*://*/*", "https://*.example.com/path/*", "http://localhost:8080/*", "file:///*"])(
+        "accepts %s",
+        (pattern) => {
+            expect(matchPatternError(pattern)).toBeNull();
+        }
+    );
+
+    it.each([
+        ["<all_url>", "unknown special pattern (did you mean '<all_urls>'?)"],
+        ["chrome://extensions/*", expect.stringContaining("unsupported scheme")],
+        ["https://example.com", expect.stringContaining("missing path")],
+        ["https://example.com:port/*", expect.stringContaining("invalid port")],
+        ["file://host/*", "file patterns must not have a host (use 'file:///...')"],
+    ])("rejects %s", (pattern, reason) => {
+        expect(matchPatternError(pattern)).toEqual(reason);
+    });
+});
+
+describe("verifyBuildOutput", () => {
+    it("accepts an output directory with every referenced file", () => {
+        writeFiles({
+            "manifest.json": JSON.stringify(
+                manifest({
+                    background: { service_worker: "serviceWorker.bundle.js" },
+                    action: { default_popup: "index.html" },
+                })
+            ),
+            "icons/128.png": pngHeader(128, 128),
+            "serviceWorker.bundle.js": "",
+            "index.html": "",
+            "content.bundle.js": "",
+        });
+
+        expect(verifyBuildOutput(tempDir, ["content.bundle.js"])).toEqual([]);
+    });
+
+    it("reports missing files, including the background scripts of Firefox builds and injected scripts", () => {
+        writeFiles({
+            "manifest.json": JSON.stringify(manifest({ background: { scripts: ["serviceWorker.bundle.js"] } })),
+            "icons/128.png": pngHeader(128, 128),
+        });
+
+        expect(verifyBuildOutput(tempDir, ["content.bundle.js"])).toEqual([
+            `background.scripts[0]: 'serviceWorker.bundle.js' not found in ${tempDir}`,
+            `injectedScripts: 'content.bundle.js' not found in ${tempDir}`,
+        ]);
+    });
+
+    it("checks that PNG icons have the size their key declares", () => {
+        writeFiles({
+            "manifest.json": JSON.stringify(manifest({ icons: { 48: "icons/48.png", 128: "icons/128.png" } })),
+            "icons/48.png": pngHeader(64, 64),
+            "icons/128.png": "not a png",
+        });
+
+        expect(verifyBuildOutput(tempDir)).toEqual([
+            "icons.48: 'icons/48.png' is 64x64 but declared as 48x48",
+            "icons.128: 'icons/128.png' is not a valid PNG file",
+        ]);
+    });
+
+    it("rejects a bundled development build", () => {
+        writeFiles({
+            "manifest.json": JSON.stringify(manifest({ icons: {} })),
+            "assets/index.js": "const x = jsxDEV('div');",
+        });
+
+        expect(verifyBuildOutput(tempDir)).toEqual([
+            "assets/index.js: contains 'jsxDEV', a development build was bundled",
+        ]);
+    });
+});
+
+describe("readPngSize", () => {
+    it("reads the dimensions from the IHDR chunk", () => {
+        writeFiles({ "icon.png": pngHeader(16, 32), "icon.txt": "plain text, long enough for a header" });
+
+        expect(readPngSize(path.join(tempDir, "icon.png"))).toEqual({ width: 16, height: 32 });
+        expect(readPngSize(path.join(tempDir, "icon.txt"))).toBeNull();
+    });
+});
+
+describe("size budgets", () => {
+    it("parses sizes in bytes, kB and MB", () => {
+        expect(parseSize(512)).toBe(512);
+        expect(parseSize("20 kB")).toBe(20000);
+        expect(parseSize("1.5MB")).toBe(1500000);
+        expect(parseSize("twenty")).toBeNull();
+        expect(parseSize(-1)).toBeNull();
+    });
+
+    it("measures each entry with the chunks it imports and groups the rest as assets", () => {
+        writeFiles({
+            "manifest.json": JSON.stringify(
+                manifest({ background: { service_worker: "serviceWorker.bundle.js" }, icons: {} })
+            ),
+            "serviceWorker.bundle.js": "import './assets/shared.js';",
+            "assets/shared.js": "import { log } from './logger.js';",
+            "assets/logger.js": "export const log = console.log;",
+        });
+
+        const report = createSizeReport(tempDir);
+
+        expect(report.serviceWorker.files).toEqual(["assets/logger.js", "assets/shared.js", "serviceWorker.bundle.js"]);
+        expect(report.serviceWorker.raw).toBe(
+            ["serviceWorker.bundle.js", "assets/shared.js", "assets/logger.js"].reduce(
+                (total, file) => total + fs.statSync(path.join(tempDir, file)).size,
+                0
+            )
+        );
+        expect(report.assets.files).toEqual(["manifest.json"]);
+    });
+
+    it("reports the first limit an entry exceeds", () => {
+        const sizeReport = { popup: { raw: 30000, gzip: 12000, brotli: 10000 } };
+
+        expect(checkSizeBudgets(sizeReport, { popup: { warn: "10 kB", error: "20 kB" } })).toEqual({
+            errors: [],
+            warnings: ["sizeBudgets.popup: 12.00 kB gzip exceeds the budget of 10.00 kB"],
+        });
+        expect(checkSizeBudgets(sizeReport, { popup: { metric: "raw", warn: "10 kB", error: "20 kB" } })).toEqual({
+            errors: ["sizeBudgets.popup: 30.00 kB raw exceeds the budget of 20.00 kB"],
+            warnings: [],
+        });
+    });
+
+    it("reports invalid budgets and entries the build does not have", () => {
+        expect(
+            checkSizeBudgets(
+                { popup: { raw: 1, gzip: 1, brotli: 1 } },
+                {
+                    popup: { metric: "zstd" },
+                    sidePanel: { error: "1 kB" },
+                }
+            )
+        ).toEqual({
+            errors: ["sizeBudgets.popup.metric: must be one of raw, gzip, brotli"],
+            warnings: ["sizeBudgets.sidePanel: no entry named 'sidePanel' in this build"],
+        });
+    });
+});
+
+describe("createZipArchive", () => {
+    beforeEach(() => {
+        writeFiles({
+            "dist/manifest.json": "{}",
+            "dist/assets/index.js": "console.log(1);",
+            "dist/assets/index.js.map": "{}",
+            "dist/.DS_Store": "",
+        });
+    });
+
+    it("creates the same bytes regardless of when the files were written", async () => {
+        const outputDir = path.join(tempDir, "dist");
+        const first = path.join(tempDir, "first.zip");
+        const second = path.join(tempDir, "second.zip");
+
+        const files = await createZipArchive(outputDir, first, { quiet: true });
+        fs.utimesSync(path.join(outputDir, "manifest.json"), new Date(), new Date(2001, 0, 1));
+        await createZipArchive(outputDir, second, { quiet: true });
+
+        expect(files).toEqual(["assets/index.js", "manifest.json"]);
+        expect(sha256(second)).toBe(sha256(first));
+        await expect(verifyZipArchive(outputDir, first, {})).resolves.toEqual({
+            expected: sha256(first),
+            actual: sha256(first),
+        });
+    });
+
+    it("adds only the files matching the include patterns", async () => {
+        const files = await createZipArchive(path.join(tempDir, "dist"), path.join(tempDir, "out.zip"), {
+            include: ["**/*.js", "**/*.map"],
+            exclude: [],
+            quiet: true,
+        });
+
+        expect(files).toEqual(["assets/index.js", "assets/index.js.map"]);
+    });
+
+    it("detects an archive that no longer matches the output", async () => {
+        const outputDir = path.join(tempDir, "dist");
+        const zipPath = path.join(tempDir, "out.zip");
+        await createZipArchive(outputDir, zipPath, { quiet: true });
+        fs.writeFileSync(path.join(outputDir, "manifest.json"), JSON.stringify({ changed: true }));
+
+        const { expected, actual } = await verifyZipArchive(outputDir, zipPath, {});
+
+        expect(actual).not.toBe(expected);
+    });
+});
+
+describe("CRX3 signing", () => {
+    const { privateKey } = generateKeyPairSync("rsa", { modulusLength: 2048 });
+    const publicKey = createPublicKey(privateKey).export({ type: "spki", format: "der" });
+
+    /**
+     * Reads the length-delimited fields of a protocol buffer message by field number.
+     */
+    function readFields(message: Buffer) {
+        const fields = new Map<number, Buffer[]>();
+        let offset = 0;
+        const varint = () => {
+            let value = 0;
+            let shift = 0;
+            let byte;
+            do {
+                byte = message[offset++];
+                value += (byte & 0x7f) * 2 ** shift;
+                shift += 7;
+            } while (byte & 0x80);
+            return value;
+        };
+        while (offset < message.length) {
+            const field = Math.floor(varint() / 8);
+            const length = varint();
+            fields.set(field, [...(fields.get(field) ?? []), message.subarray(offset, offset + length)]);
+            offset += length;
+        }
+        return fields;
+    }
+
+    it("derives the extension ID from the public key", () => {
+        const id = extensionIdFromPublicKey(publicKey);
+        const hash = createHash("sha256").update(publicKey).digest("hex").slice(0, 32);
+
+        expect(id).toMatch(/^[a-p]{32}$/);
+        expect([...id].map((letter) => (letter.charCodeAt(0) - 97).toString(16)).join("")).toBe(hash);
+    });
+
+    it("wraps the ZIP in a CRX3 header with a signature Chrome can verify", () => {
+        const zip = Buffer.from("PK fake zip contents");
+
+        const crx = createCrx3(zip, privateKey, publicKey);
+
+        expect(crx.toString("ascii", 0, 4)).toBe("Cr24");
+        expect(crx.readUInt32LE(4)).toBe(3);
+        const headerLength = crx.readUInt32LE(8);
+        const header = readFields(crx.subarray(12, 12 + headerLength));
+        expect(crx.subarray(12 + headerLength)).toEqual(zip);
+
+        const signedHeaderData = header.get(10000)![0];
+        const crxId = readFields(signedHeaderData).get(1)![0];
+        expect(crxId).toEqual(createHash("sha256").update(publicKey).digest().subarray(0, 16));
+
+        const proof = readFields(header.get(2)![0]);
+        expect(proof.get(1)![0]).toEqual(publicKey);
+        const signedDataLength = Buffer.alloc(4);
+        signedDataLength.writeUInt32LE(signedHeaderData.length);
+        const signedData = Buffer.concat([
+            Buffer.from("CRX3 SignedData\x00", "binary"),
+            signedDataLength,
+            signedHeaderData,
+            zip,
+        ]);
+        expect(verify("sha256", signedData, createPublicKey(privateKey), proof.get(2)![0])).toBe(true);
+    });
+
+    it("escapes the values of the update manifest", () => {
+        const xml = createUpdateManifest("abcdefghijklmnopabcdefghijklmnop", "https://example.com/a?b=1&c=2", "1.0");
+
+        expect(xml).toContain("<app appid='abcdefghijklmnopabcdefghijklmnop'>");
+        expect(xml).toContain("codebase='https://example.com/a?b=1&#38;c=2' version='1.0'");
+    });
+});
+
+describe("checkMessageUsage", () => {
+    const locales = {
+        en: {
+            greeting: { message: "Hello" },
+            destroyedCount: { message: "$COUNT$ destroyed", placeholders: { count: { content: "$1" } } },
+        },
+    };
+
+    function check(messagesType: string) {
+        writeFiles({
+            "src/utils/i18n.ts": `export interface Messages {\n${messagesType}\n}\n`,
+            "src/App.tsx": "t('greeting'); t('destroyedCount', '2');",
+        });
+        return checkMessageUsage(path.join(tempDir, "src"), { default_locale: "en" }, locales);
+    }
+
+    it("accepts a Messages type that matches the default locale", () => {
+        expect(check("    greeting: [];\n    destroyedCount: [count: string];")).toEqual({ errors: [], warnings: [] });
+    });
+
+    it("reports missing and unknown messages and wrong substitution counts", () => {
+        const { errors } = check("    greeting: [];\n    farewell: [];");
+
+        expect(errors).toEqual([
+            expect.stringMatching(/src\/utils\/i18n\.ts:3: Messages lists 'farewell', which .* does not define$/),
+            expect.stringMatching(/src\/utils\/i18n\.ts:1: Messages is missing destroyedCount from /),
+        ]);
+        expect(check("    greeting: [name: string];\n    destroyedCount: [];").errors).toEqual([
+            expect.stringContaining(
+                "Messages gives 'greeting' 1 substitution(s), but _locales/en/messages.json uses 0"
+            ),
+            expect.stringContaining(
+                "Messages gives 'destroyedCount' 0 substitution(s), but _locales/en/messages.json uses 1"
+            ),
+        ]);
+    });
+});
+
+describe("auditPermissions", () => {
+    it("reports undeclared and unused permissions", () => {
+        writeFiles({
+            "src/worker.ts": [
+                "chrome.storage.local.get('key');",
+                "// chrome.alarms.create() in a comment does not count",
+                "chrome.contextMenus.create({ id: 'menu' });",
+                "const tab: chrome.tabs.Tab | undefined = undefined;",
+            ].join("\n"),
+            "src/worker.test.ts": "chrome.bookmarks.getTree();",
+        });
+
+        const result = auditPermissions(path.join(tempDir, "src"), manifest({ permissions: ["storage", "history"] }));
+
+        expect(result.errors).toEqual([
+            expect.stringMatching(
+                /src\/worker\.ts:3: chrome\.contextMenus\.create needs the 'contextMenus' permission$/
+            ),
+        ]);
+        expect(result.warnings).toEqual([
+            "permissions[1]: 'history' is declared but nothing in src calls an API that needs it",
+        ]);
+        expect(result.installWarnings).toEqual(["Read and change your browsing history on all your signed-in devices"]);
+    });
+
+    it("warns about broad host permissions and accepts activeTab when pages are scripted", () => {
+        writeFiles({ "src/worker.ts": "chrome.scripting.executeScript({ target: { tabId: 1 }, files: [] });" });
+
+        const result = auditPermissions(
+            path.join(tempDir, "src"),
+            manifest({ permissions: ["scripting", "activeTab"], host_permissions: ["<all_urls>"] })
+        );
+
+        expect(result.errors).toEqual([]);
+        expect(result.warnings).toEqual([
+            "host_permissions[0]: '<all_urls>' grants access to every website on install; prefer 'activeTab', optional_host_permissions or the hosts the extension needs",
+        ]);
+        expect(result.installWarnings).toContain("Read and change all your data on all websites");
+    });
+});
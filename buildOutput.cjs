@@ -0,0 +1,389 @@
+/**
+ * @file Checks of the build output for build.cjs: every file and glob the emitted manifest references must
+ * exist, PNG icons must have the size of their key, and no development build of React may be bundled.
+ * Also measures the raw, gzip and brotli size of every entry for the size report and the `sizeBudgets`
+ * of package.json.
+ *
+ * @module BuildOutput
+ * @requires fs
+ * @requires path
+ * @requires zlib
+ * @requires glob
+ * @requires ./manifestValidation.cjs
+ */
+
+/* eslint-disable no-undef */
+
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const glob = require("glob");
+const { checkUnknownKeys, createReporter } = require("./manifestValidation.cjs");
+
+const RED = "\x1b[1;31m";
+const GREEN = "\x1b[1;32m";
+const RESET = "\x1b[0m";
+
+function red(text) {
+    return `${RED}${text}${RESET}`;
+}
+
+function green(text) {
+    return `${GREEN}${text}${RESET}`;
+}
+
+const SIZE_METRICS = ["raw", "gzip", "brotli"];
+const SIZE_UNITS = { b: 1, kb: 1000, mb: 1000 * 1000 };
+const ASSETS_ENTRY = "assets";
+
+// Strings that only development builds of React contain
+const DEVELOPMENT_BUILD_MARKERS = ["react.development", "jsxDEV"];
+
+/**
+ * Reads the pixel dimensions from a PNG file's IHDR chunk.
+ * @param {string} filePath - Path to the PNG file
+ * @returns {object|null} { width, height }, or null when the file is not a PNG
+ */
+function readPngSize(filePath) {
+    const header = Buffer.alloc(24);
+    const fd = fs.openSync(filePath, "r");
+    try {
+        fs.readSync(fd, header, 0, 24, 0);
+    } finally {
+        fs.closeSync(fd);
+    }
+    const signature = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+    if (!header.subarray(0, 8).equals(signature) || header.toString("ascii", 12, 16) !== "IHDR") return null;
+    return { width: header.readUInt32BE(16), height: header.readUInt32BE(20) };
+}
+
+/**
+ * Collects every file path and glob the manifest points at, keyed by JSON path.
+ * @param {object} manifestJson - Manifest as emitted into the output directory
+ * @returns {object} { files: Array<[jsonPath, file]>, globs: Array<[jsonPath, pattern]>, icons: Array<[jsonPath, size, file]> }
+ */
+function collectManifestReferences(manifestJson) {
+    const files = [];
+    const globs = [];
+    const icons = [];
+    const addIconMap = (iconMap, jsonPath) => {
+        if (typeof iconMap === "string") {
+            files.push([jsonPath, iconMap]);
+            return;
+        }
+        for (const [size, file] of Object.entries(iconMap || {})) {
+            files.push([`${jsonPath}.${size}`, file]);
+            icons.push([`${jsonPath}.${size}`, Number(size), file]);
+        }
+    };
+
+    addIconMap(manifestJson.icons, "icons");
+    if (manifestJson.action?.default_icon) addIconMap(manifestJson.action.default_icon, "action.default_icon");
+    if (manifestJson.action?.default_popup) files.push(["action.default_popup", manifestJson.action.default_popup]);
+    if (manifestJson.background?.service_worker) {
+        files.push(["background.service_worker", manifestJson.background.service_worker]);
+    }
+    // Firefox targets run background scripts instead of a service worker
+    (manifestJson.background?.scripts || []).forEach((file, index) => {
+        files.push([`background.scripts[${index}]`, file]);
+    });
+    (manifestJson.content_scripts || []).forEach((entry, index) => {
+        for (const key of ["js", "css"]) {
+            (entry[key] || []).forEach((file, fileIndex) => {
+                files.push([`content_scripts[${index}].${key}[${fileIndex}]`, file]);
+            });
+        }
+    });
+    (manifestJson.web_accessible_resources || []).forEach((entry, index) => {
+        (entry.resources || []).forEach((pattern, patternIndex) => {
+            globs.push([`web_accessible_resources[${index}].resources[${patternIndex}]`, pattern]);
+        });
+    });
+    if (manifestJson.options_page) files.push(["options_page", manifestJson.options_page]);
+    if (manifestJson.options_ui?.page) files.push(["options_ui.page", manifestJson.options_ui.page]);
+    if (manifestJson.devtools_page) files.push(["devtools_page", manifestJson.devtools_page]);
+    if (manifestJson.side_panel?.default_path)
+        files.push(["side_panel.default_path", manifestJson.side_panel.default_path]);
+    for (const [page, file] of Object.entries(manifestJson.chrome_url_overrides || {})) {
+        files.push([`chrome_url_overrides.${page}`, file]);
+    }
+    (manifestJson.sandbox?.pages || []).forEach((file, index) => files.push([`sandbox.pages[${index}]`, file]));
+    (manifestJson.declarative_net_request?.rule_resources || []).forEach((resource, index) => {
+        files.push([`declarative_net_request.rule_resources[${index}].path`, resource.path]);
+    });
+    if (manifestJson.default_locale) {
+        files.push(["default_locale", `_locales/${manifestJson.default_locale}/messages.json`]);
+    }
+
+    return { files, globs, icons };
+}
+
+/**
+ * Verifies that every file and glob referenced by the emitted manifest exists in the output
+ * directory, that PNG icons have the pixel size their key declares, and that no script bundles a
+ * development build.
+ * @param {string} outputDir - Build output directory
+ * @param {string[]} [injectedFiles] - Emitted scripts the service worker injects, which the manifest does not list
+ * @returns {string[]} Errors found; empty when the output is complete
+ */
+function verifyBuildOutput(outputDir, injectedFiles = []) {
+    const manifestPath = path.join(outputDir, "manifest.json");
+    if (!fs.existsSync(manifestPath)) return [`${green("manifest.json")} was not emitted to ${outputDir}`];
+    const manifestJson = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+    const { files, globs, icons } = collectManifestReferences(manifestJson);
+    injectedFiles.forEach((file) => files.push(["injectedScripts", file]));
+    const errors = [];
+
+    for (const [jsonPath, file] of files) {
+        const resolved = path.join(outputDir, file.replace(/^\//, ""));
+        if (!fs.existsSync(resolved) || !fs.statSync(resolved).isFile()) {
+            errors.push(`${jsonPath}: '${file}' not found in ${outputDir}`);
+        }
+    }
+
+    for (const [jsonPath, pattern] of globs) {
+        if (glob.sync(pattern.replace(/^\//, ""), { cwd: outputDir, nodir: true }).length === 0) {
+            errors.push(`${jsonPath}: '${pattern}' matches no files in ${outputDir}`);
+        }
+    }
+
+    for (const [jsonPath, size, file] of icons) {
+        const resolved = path.join(outputDir, file.replace(/^\//, ""));
+        if (!fs.existsSync(resolved) || !file.toLowerCase().endsWith(".png")) continue;
+        const dimensions = readPngSize(resolved);
+        if (!dimensions) {
+            errors.push(`${jsonPath}: '${file}' is not a valid PNG file`);
+        } else if (dimensions.width !== size || dimensions.height !== size) {
+            errors.push(
+                `${jsonPath}: '${file}' is ${dimensions.width}x${dimensions.height} but declared as ${size}x${size}`
+            );
+        }
+    }
+
+    // Development builds of dependencies are several times larger and must never reach the store
+    for (const file of glob.sync("**/*.js", { cwd: outputDir, nodir: true })) {
+        const source = fs.readFileSync(path.join(outputDir, file), "utf8");
+        const marker = DEVELOPMENT_BUILD_MARKERS.find((candidate) => source.includes(candidate));
+        if (marker) errors.push(`${file}: contains '${marker}', a development build was bundled`);
+    }
+
+    return errors;
+}
+
+/**
+ * Parses a size budget such as `20 kB`, `1.5 MB` or a plain number of bytes.
+ * @param {number|string} value - Size as configured
+ * @returns {number|null} Size in bytes, or null when the value is not a size
+ */
+function parseSize(value) {
+    if (typeof value === "number") return Number.isFinite(value) && value >= 0 ? value : null;
+    if (typeof value !== "string") return null;
+    const match = value.trim().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb)?$/i);
+    if (!match) return null;
+    return Math.round(Number(match[1]) * SIZE_UNITS[(match[2] || "b").toLowerCase()]);
+}
+
+/**
+ * Formats a byte count the way Vite prints file sizes.
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Size in kB with two decimals
+ */
+function formatSize(bytes) {
+    return `${(bytes / 1000).toFixed(2)} kB`;
+}
+
+/**
+ * Lists the local files an emitted HTML, JavaScript or CSS file loads: scripts, stylesheets and
+ * modulepreloads of pages, static and dynamic imports of modules and `url()` references of stylesheets.
+ * @param {string} outputDir - Build output directory
+ * @param {string} file - File path relative to the output directory
+ * @returns {string[]} Referenced files relative to the output directory
+ */
+function collectLocalReferences(outputDir, file) {
+    const patterns = {
+        ".html": /\s(?:src|href)="([^"]+)"/g,
+        ".js": /(?:\bfrom|\bimport)\s*\(?\s*["']([^"']+)["']/g,
+        ".css": /url\(\s*["']?([^"')]+)["']?\s*\)/g,
+    };
+    const pattern = patterns[path.extname(file)];
+    if (!pattern) return [];
+
+    const content = fs.readFileSync(path.join(outputDir, file), "utf8");
+    const references = [];
+    for (const [, reference] of content.matchAll(pattern)) {
+        if (/^([a-z][a-z0-9+.-]*:|\/\/|#)/i.test(reference)) continue;
+        const target = reference.split(/[?#]/)[0];
+        const resolved = target.startsWith("/") ? target.slice(1) : path.posix.join(path.posix.dirname(file), target);
+        references.push(resolved);
+    }
+    return references;
+}
+
+/**
+ * Lists the entries to report sizes for, each with the files the emitted manifest loads directly.
+ * @param {object} manifestJson - Manifest as emitted into the output directory
+ * @param {string[]} injectedFiles - Emitted scripts the service worker injects, counted as content
+ * @returns {Array<[string, string[]]>} Entry name and root files relative to the output directory
+ */
+function sizeReportEntries(manifestJson, injectedFiles) {
+    const strip = (file) => file.replace(/^\//, "");
+    const entries = [];
+    if (manifestJson.action?.default_popup) entries.push(["popup", [strip(manifestJson.action.default_popup)]]);
+    const optionsPage = manifestJson.options_ui?.page || manifestJson.options_page;
+    if (optionsPage) entries.push(["options", [strip(optionsPage)]]);
+    if (manifestJson.side_panel?.default_path) {
+        entries.push(["sidePanel", [strip(manifestJson.side_panel.default_path)]]);
+    }
+    if (manifestJson.devtools_page) entries.push(["devtools", [strip(manifestJson.devtools_page)]]);
+    if (manifestJson.background?.service_worker) {
+        entries.push(["serviceWorker", [strip(manifestJson.background.service_worker)]]);
+    }
+    const contentFiles = [
+        ...(manifestJson.content_scripts || []).flatMap((entry) => [...(entry.js || []), ...(entry.css || [])]),
+        ...injectedFiles,
+    ];
+    if (contentFiles.length > 0) entries.push(["content", [...new Set(contentFiles.map(strip))]]);
+    return entries;
+}
+
+/**
+ * Measures every entry of the build output, following imports so that shared chunks count towards each
+ * entry that loads them. Files no entry loads (icons, locales, the manifest, ...) are grouped as assets.
+ * @param {string} outputDir - Build output directory
+ * @param {string[]} [injectedFiles] - Emitted scripts the service worker injects, counted as content
+ * @returns {object} { [entry]: { files: string[], raw, gzip, brotli } }
+ */
+function createSizeReport(outputDir, injectedFiles = []) {
+    const manifestJson = JSON.parse(fs.readFileSync(path.join(outputDir, "manifest.json"), "utf8"));
+    const sizes = new Map();
+    const measure = (file) => {
+        if (!sizes.has(file)) {
+            const content = fs.readFileSync(path.join(outputDir, file));
+            sizes.set(file, {
+                raw: content.length,
+                gzip: zlib.gzipSync(content, { level: 9 }).length,
+                brotli: zlib.brotliCompressSync(content).length,
+            });
+        }
+        return sizes.get(file);
+    };
+    const summarize = (files) => {
+        const entry = { files: [...files].sort(), raw: 0, gzip: 0, brotli: 0 };
+        files.forEach((file) => SIZE_METRICS.forEach((metric) => (entry[metric] += measure(file)[metric])));
+        return entry;
+    };
+
+    const report = {};
+    const loaded = new Set();
+    for (const [name, roots] of sizeReportEntries(manifestJson, injectedFiles)) {
+        const files = new Set();
+        const queue = [...roots];
+        while (queue.length > 0) {
+            const file = queue.shift();
+            if (files.has(file) || !fs.existsSync(path.join(outputDir, file))) continue;
+            files.add(file);
+            queue.push(...collectLocalReferences(outputDir, file));
+        }
+        files.forEach((file) => loaded.add(file));
+        report[name] = summarize(files);
+    }
+
+    const assets = glob.sync("**/*", { cwd: outputDir, nodir: true, dot: true, posix: true });
+    report[ASSETS_ENTRY] = summarize(assets.filter((file) => !loaded.has(file)));
+    return report;
+}
+
+/**
+ * Reads the size report stored by the previous build.
+ * @param {string} reportPath - Path to the stored report
+ * @returns {object|null} The previous report, or null when there is none or it cannot be read
+ */
+function loadSizeReport(reportPath) {
+    if (!fs.existsSync(reportPath)) return null;
+    try {
+        return JSON.parse(fs.readFileSync(reportPath, "utf8")).entries || null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Prints the raw, gzip and brotli size of every entry with the gzip change since the previous build.
+ * @param {object} report - Report from createSizeReport
+ * @param {object|null} previous - Report of the previous build
+ */
+function printSizeReport(report, previous) {
+    const names = Object.keys(report);
+    const width = Math.max(...names.map((name) => name.length));
+    console.log("📊 Bundle sizes (raw / gzip / brotli):");
+    for (const name of names) {
+        const entry = report[name];
+        const sizes = SIZE_METRICS.map((metric) => formatSize(entry[metric]).padStart(10)).join(" ");
+        let change = "";
+        if (previous && !previous[name]) {
+            change = "  (new)";
+        } else if (previous && previous[name].gzip !== entry.gzip) {
+            const delta = entry.gzip - previous[name].gzip;
+            const text = `${delta > 0 ? "+" : "-"}${formatSize(Math.abs(delta))} gzip`;
+            change = `  ${delta > 0 ? red(text) : green(text)}`;
+        }
+        console.log(`  ${green(name.padEnd(width))} ${sizes}${change}`);
+    }
+}
+
+/**
+ * Checks the size report against the `sizeBudgets` of package.json. Each budget names an entry
+ * (popup, options, sidePanel, devtools, serviceWorker, content or assets) and sets `warn` and/or `error` limits for its
+ * `metric` (raw, gzip or brotli; gzip by default).
+ * @param {object} sizeReport - Report from createSizeReport
+ * @param {object} [budgets] - `sizeBudgets` from package.json
+ * @returns {object} { errors: string[], warnings: string[] }
+ */
+function checkSizeBudgets(sizeReport, budgets) {
+    const errors = [];
+    const warnings = [];
+    const report = createReporter(errors, warnings);
+    if (budgets === undefined) return { errors, warnings };
+    if (!report.type(budgets, "object", "sizeBudgets")) return { errors, warnings };
+
+    for (const [name, budget] of Object.entries(budgets)) {
+        const jsonPath = `sizeBudgets.${name}`;
+        if (!report.type(budget, "object", jsonPath)) continue;
+        checkUnknownKeys(budget, ["metric", "warn", "error"], jsonPath, report);
+        const metric = budget.metric ?? "gzip";
+        if (!SIZE_METRICS.includes(metric)) {
+            report.error(`${jsonPath}.metric`, `must be one of ${SIZE_METRICS.join(", ")}`);
+            continue;
+        }
+        const entry = sizeReport[name];
+        if (!entry) {
+            report.warn(jsonPath, `no entry named '${name}' in this build`);
+            continue;
+        }
+
+        for (const severity of ["error", "warn"]) {
+            if (budget[severity] === undefined) continue;
+            const limit = parseSize(budget[severity]);
+            if (limit === null) {
+                report.error(`${jsonPath}.${severity}`, `'${budget[severity]}' is not a size (e.g. 20 kB)`);
+                continue;
+            }
+            if (entry[metric] > limit) {
+                const flag = severity === "error" ? report.error : report.warn;
+                flag(jsonPath, `${formatSize(entry[metric])} ${metric} exceeds the budget of ${formatSize(limit)}`);
+                break;
+            }
+        }
+    }
+    return { errors, warnings };
+}
+
+module.exports = {
+    checkSizeBudgets,
+    createSizeReport,
+    loadSizeReport,
+    parseSize,
+    printSizeReport,
+    readPngSize,
+    verifyBuildOutput,
+};
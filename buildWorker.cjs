@@ -0,0 +1,183 @@
+/**
+ * @file Runs one stage of the production build in a child process forked by build.cjs, so that the type
+ * check and the Vite builds run in parallel and every Vite build gets its own environment (content
+ * script builds pick their script through CONTENT_ENTRY). The stage arrives over IPC:
+ *
+ * - `{ kind: "types", projects }` type-checks each tsconfig with the TypeScript compiler API
+ * - `{ kind: "bundle", configFile, mode }` runs `build()` from Vite's JavaScript API with that config file
+ * - `{ kind: "watch", configFile, mode }` runs the same build in watch mode and never ends by itself
+ *
+ * Output goes to stdout and stderr as it happens. When the stage ends, the worker sends
+ * `{ type: "result", ok, problems }` back, where every problem is `{ file, line, column, code, message,
+ * frame }` (file and position are null when unknown), and exits with 0 on success or 1 on failure.
+ * A watch stage instead sends `{ type: "built", ok }` each time a build has finished writing its output.
+ *
+ * @module BuildWorker
+ * @requires path
+ * @requires typescript
+ * @requires vite
+ */
+
+/* eslint-disable no-undef */
+
+const path = require("path");
+
+/**
+ * Converts a TypeScript diagnostic into a problem.
+ * @param {object} ts - TypeScript module
+ * @param {object} diagnostic - ts.Diagnostic
+ * @returns {object} Problem
+ */
+function diagnosticProblem(ts, diagnostic) {
+    const { file, start } = diagnostic;
+    const position = file && start !== undefined ? file.getLineAndCharacterOfPosition(start) : null;
+    return {
+        file: file ? path.relative(process.cwd(), file.fileName) : null,
+        line: position ? position.line + 1 : null,
+        column: position ? position.character + 1 : null,
+        code: `TS${diagnostic.code}`,
+        message: ts.flattenDiagnosticMessageText(diagnostic.messageText, "\n"),
+        frame: null,
+    };
+}
+
+/**
+ * Formats a problem as `file:line:column - code message`, the way compilers print them.
+ * @param {object} problem - Problem
+ * @returns {string} One or more lines
+ */
+function formatProblem(problem) {
+    const position = problem.line ? `:${problem.line}:${problem.column}` : "";
+    const location = problem.file ? `${problem.file}${position} - ` : "";
+    return `${location}${problem.code ? `${problem.code} ` : ""}${problem.message}`;
+}
+
+/**
+ * Type-checks TypeScript projects without emitting, printing every error as it is found.
+ * @param {string[]} projects - tsconfig files relative to the working directory
+ * @returns {object[]} Problems
+ */
+function checkTypes(projects) {
+    const ts = require("typescript");
+    const problems = [];
+    const report = (diagnostic) => {
+        const problem = diagnosticProblem(ts, diagnostic);
+        problems.push(problem);
+        console.error(formatProblem(problem));
+    };
+
+    for (const project of projects) {
+        const started = Date.now();
+        const parsed = ts.getParsedCommandLineOfConfigFile(
+            path.resolve(project),
+            { noEmit: true },
+            { ...ts.sys, onUnRecoverableConfigFileDiagnostic: report }
+        );
+        if (!parsed) continue;
+        const program = ts.createProgram({
+            rootNames: parsed.fileNames,
+            options: parsed.options,
+            projectReferences: parsed.projectReferences,
+        });
+        const errors = [...parsed.errors, ...ts.getPreEmitDiagnostics(program)].filter(
+            (diagnostic) => diagnostic.category === ts.DiagnosticCategory.Error
+        );
+        errors.forEach(report);
+        const summary = errors.length === 0 ? "no errors" : `${errors.length} error(s)`;
+        console.log(`${project}: ${summary} in ${parsed.fileNames.length} files (${Date.now() - started}ms)`);
+    }
+    return problems;
+}
+
+/**
+ * Converts an error thrown by a Vite build into a problem. Rollup and Vite plugin errors carry the
+ * module and position in `loc` or `id`, and a code frame in `frame`. Vite also folds the plugin name,
+ * the file and the frame into the message; those parts are dropped from it.
+ * @param {Error} error - Build error
+ * @returns {object} Problem
+ */
+function bundleProblem(error) {
+    const file = error.loc?.file || error.id || null;
+    const message = error.message
+        .replace(/^(\[[^\]]+\] )+/, "")
+        .split(/\nfile: /)[0]
+        .trim();
+    return {
+        file: file ? path.relative(process.cwd(), file) : null,
+        line: error.loc?.line ?? null,
+        column: error.loc ? error.loc.column + 1 : null,
+        code: error.plugin ? `[${error.plugin}]` : error.code || null,
+        message,
+        frame: error.frame?.replace(/^\n+|\s+$/g, "") || null,
+    };
+}
+
+/**
+ * Runs a Vite build. The output directory is emptied by build.cjs beforehand, because the builds run
+ * at the same time and write into the same directory.
+ * @param {string} configFile - Vite config file relative to the working directory
+ * @param {string} mode - Vite mode
+ * @returns {Promise<object[]>} Problems
+ */
+async function bundle(configFile, mode) {
+    const { build } = await import("vite");
+    try {
+        await build({ configFile: path.resolve(configFile), mode, build: { emptyOutDir: false } });
+        return [];
+    } catch (error) {
+        // Vite has already logged the error; the problem is what build.cjs summarizes
+        return [bundleProblem(error)];
+    }
+}
+
+/**
+ * Runs a Vite build in watch mode. A plugin reports every finished build from `closeBundle`, which
+ * Rollup calls once all output is written (including the manifest emitted in `writeBundle`), and also
+ * after a failed build.
+ * @param {string} configFile - Vite config file relative to the working directory
+ * @param {string} mode - Vite mode
+ */
+async function watch(configFile, mode) {
+    const { build } = await import("vite");
+    let failed = false;
+    const reportBuilds = {
+        name: "report-builds",
+        buildStart() {
+            failed = false;
+        },
+        buildEnd(error) {
+            if (error) failed = true;
+        },
+        renderError() {
+            failed = true;
+        },
+        closeBundle() {
+            process.send({ type: "built", ok: !failed });
+        },
+    };
+    await build({ configFile: path.resolve(configFile), mode, build: { watch: {} }, plugins: [reportBuilds] });
+}
+
+// build.cjs also requires this module for formatProblem; only a forked worker waits for a stage
+if (require.main === module) {
+    process.once("message", async (stage) => {
+        if (stage.kind === "watch") {
+            watch(stage.configFile, stage.mode).catch((error) => {
+                console.error(error.stack);
+                process.exit(1);
+            });
+            return;
+        }
+        let problems;
+        try {
+            problems = stage.kind === "types" ? checkTypes(stage.projects) : await bundle(stage.configFile, stage.mode);
+        } catch (error) {
+            console.error(error.stack);
+            problems = [{ file: null, line: null, column: null, code: null, message: error.message, frame: null }];
+        }
+        const ok = problems.length === 0;
+        process.send({ type: "result", ok, problems }, () => process.exit(ok ? 0 : 1));
+    });
+}
+
+module.exports = { formatProblem };
@@ -0,0 +1,177 @@
+/**
+ * @file Discovers the extension's entrypoints from the manifest (manifest.config.ts), so that the manifest
+ * is the only place that names them. Shared by build.cjs and the Vite configs:
+ *
+ * - HTML pages (`action.default_popup`, `options_ui.page`, `options_page`, `side_panel.default_path`,
+ *   `devtools_page`) and `background.service_worker` are built together as ES modules by vite.config.ts
+ * - Every script in `content_scripts[].js`, and every script the service worker injects with
+ *   chrome.scripting (`injectedScripts` in package.json), is built on its own as an IIFE without shared
+ *   chunks by vite.content.config.ts, because content scripts cannot load modules
+ *
+ * The manifest points at source files (e.g. `src/serviceWorker.ts`). Scripts are emitted as
+ * `<file name>.bundle.js` and pages keep their path; `rewriteManifest` swaps those names into the emitted
+ * manifest. Paths that are not source files in the project (such as files in public/) are left alone.
+ *
+ * @module Entrypoints
+ * @requires fs
+ * @requires path
+ * @requires ./manifest.cjs
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { loadManifest } = require("./manifest.cjs");
+
+const SCRIPT_EXTENSIONS = [".ts", ".tsx", ".mts", ".js", ".jsx", ".mjs"];
+
+// Entry names of the pages; their JavaScript is emitted as `<name>.bundle.js`
+const PAGE_KEYS = [
+    ["popup", "action.default_popup"],
+    ["options", "options_ui.page"],
+    ["options", "options_page"],
+    ["sidePanel", "side_panel.default_path"],
+    ["devtools", "devtools_page"],
+];
+
+/**
+ * Reads a value at a JSON path such as `content_scripts[0].js[1]`.
+ * @param {object} object - Object to read from
+ * @param {string} jsonPath - Dot-separated keys with [index] for array items
+ * @returns {*} The value, or undefined when any part of the path is missing
+ */
+function getJsonPath(object, jsonPath) {
+    return jsonPath
+        .split(/[.[\]]+/)
+        .filter(Boolean)
+        .reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+/**
+ * Writes a value at a JSON path whose parents exist.
+ * @param {object} object - Object to modify
+ * @param {string} jsonPath - Dot-separated keys with [index] for array items
+ * @param {*} value - Value to set
+ */
+function setJsonPath(object, jsonPath, value) {
+    const keys = jsonPath.split(/[.[\]]+/).filter(Boolean);
+    const parent = keys.slice(0, -1).reduce((current, key) => current[key], object);
+    parent[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Tells whether a manifest path names a source file of the project with one of the given extensions.
+ * @param {string} root - Project root
+ * @param {*} file - Path from the manifest
+ * @param {string[]} extensions - Accepted file extensions
+ * @returns {boolean}
+ */
+function isSourceFile(root, file, extensions) {
+    if (typeof file !== "string" || !extensions.includes(path.extname(file).toLowerCase())) return false;
+    const resolved = path.join(root, file.replace(/^\//, ""));
+    return fs.existsSync(resolved) && fs.statSync(resolved).isFile();
+}
+
+/**
+ * Lists every entrypoint the manifest and `injectedScripts` declare.
+ * @param {object} manifestJson - Source manifest
+ * @param {string[]} injectedScripts - Source files the service worker injects with chrome.scripting
+ * @param {string} root - Project root the paths are relative to
+ * @returns {object[]} { name, kind, jsonPath, source, output, format }, where kind is "page", "background",
+ *   "content" or "injected", jsonPath is null for injected scripts and format is "es" or "iife"
+ * @throws {Error} When two entrypoints would be emitted under the same name
+ */
+function discoverEntrypoints(manifestJson, injectedScripts, root) {
+    const entrypoints = [];
+    const addScript = (kind, jsonPath, source, format) => {
+        const name = path.basename(source, path.extname(source));
+        entrypoints.push({ name, kind, jsonPath, source, output: `${name}.bundle.js`, format });
+    };
+
+    for (const [name, jsonPath] of PAGE_KEYS) {
+        const source = getJsonPath(manifestJson, jsonPath);
+        if (!isSourceFile(root, source, [".html"])) continue;
+        entrypoints.push({ name, kind: "page", jsonPath, source, output: source.replace(/^\//, ""), format: "es" });
+    }
+    const serviceWorker = manifestJson.background?.service_worker;
+    if (isSourceFile(root, serviceWorker, SCRIPT_EXTENSIONS)) {
+        addScript("background", "background.service_worker", serviceWorker, "es");
+    }
+    (manifestJson.content_scripts || []).forEach((entry, index) => {
+        (entry.js || []).forEach((file, fileIndex) => {
+            if (!isSourceFile(root, file, SCRIPT_EXTENSIONS)) return;
+            addScript("content", `content_scripts[${index}].js[${fileIndex}]`, file, "iife");
+        });
+    });
+    (injectedScripts || []).forEach((file) => {
+        if (!isSourceFile(root, file, SCRIPT_EXTENSIONS)) {
+            throw new Error(`injectedScripts: '${file}' is not a script in the project`);
+        }
+        addScript("injected", null, file, "iife");
+    });
+
+    // The same script may be both a content script and injected; it is still built only once
+    const names = new Map();
+    for (const entry of entrypoints) {
+        const previous = names.get(entry.name);
+        if (previous && previous.source !== entry.source) {
+            throw new Error(
+                `'${previous.source}' and '${entry.source}' are both emitted as ${entry.output}; rename one of them`
+            );
+        }
+        names.set(entry.name, entry);
+    }
+    return entrypoints;
+}
+
+/**
+ * Loads the manifest and package.json of a project and discovers its entrypoints.
+ * @param {string} root - Project root
+ * @param {object} env - { mode, command } the manifest is loaded for
+ * @returns {Promise<object[]>} Entrypoints as returned by discoverEntrypoints
+ */
+async function loadEntrypoints(root, env) {
+    const manifestJson = await loadManifest(root, env);
+    const packageJson = JSON.parse(fs.readFileSync(path.join(root, "package.json"), "utf8"));
+    return discoverEntrypoints(manifestJson, packageJson.injectedScripts, root);
+}
+
+/**
+ * Returns a copy of the manifest with every source path replaced by the file emitted for it.
+ * @param {object} manifestJson - Source manifest
+ * @param {object[]} entrypoints - Entrypoints from discoverEntrypoints
+ * @returns {object} Manifest as it belongs in the build output
+ */
+function rewriteManifest(manifestJson, entrypoints) {
+    const manifest = JSON.parse(JSON.stringify(manifestJson));
+    entrypoints.forEach((entry) => entry.jsonPath && setJsonPath(manifest, entry.jsonPath, entry.output));
+    return manifest;
+}
+
+/**
+ * Lists the scripts to build as IIFEs, one Vite build each, without duplicates.
+ * @param {object[]} entrypoints - Entrypoints from discoverEntrypoints
+ * @returns {object[]} One entrypoint per emitted script
+ */
+function isolatedScripts(entrypoints) {
+    const scripts = entrypoints.filter((entry) => entry.format === "iife");
+    return scripts.filter((entry, index) => scripts.findIndex((other) => other.name === entry.name) === index);
+}
+
+/**
+ * Maps the entry name of every injected script to its emitted file, for `__INJECTED_SCRIPTS__`.
+ * @param {object[]} entrypoints - Entrypoints from discoverEntrypoints
+ * @returns {object} { [name]: output }
+ */
+function injectedScriptFiles(entrypoints) {
+    return Object.fromEntries(
+        entrypoints.filter((entry) => entry.kind === "injected").map((entry) => [entry.name, entry.output])
+    );
+}
+
+module.exports = {
+    discoverEntrypoints,
+    loadEntrypoints,
+    rewriteManifest,
+    isolatedScripts,
+    injectedScriptFiles,
+};
@@ -24,7 +24,7 @@ const compat = new FlatCompat({
 
 const config = [
     {
-        ignores: ["**/node_modules/", "**/dist/"],
+        ignores: ["**/node_modules/", "**/dist/", "**/dist-*/"],
     },
     ...fixupConfigRules(
         compat.extends(
@@ -0,0 +1,103 @@
+/**
+ * @file Build-time log level of src/utils/logger.ts, shared by the Vite configs.
+ *
+ * Development builds keep every level. Production builds keep `productionLogLevel` from package.json
+ * ("warn" when unset) and above: the logger skips lower levels through `__LOG_LEVEL__`, and the
+ * `strip-log-calls` plugin removes the `log.<level>(...)` calls below it from the bundles altogether,
+ * arguments included. Calls are matched by the name `log`, so loggers must be named that way.
+ *
+ * @module LogLevel
+ * @requires fs
+ * @requires path
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const LOG_LEVELS = ["debug", "info", "warn", "error"];
+const DEFAULT_PRODUCTION_LEVEL = "warn";
+
+/**
+ * Resolves the lowest level a build keeps.
+ * @param {string} mode - Vite mode
+ * @param {string} root - Project root with package.json
+ * @returns {string} One of LOG_LEVELS
+ * @throws {Error} When `productionLogLevel` is not a known level
+ */
+function resolveLogLevel(mode, root) {
+    if (mode !== "production") return LOG_LEVELS[0];
+    const packageJson = JSON.parse(fs.readFileSync(path.join(root, "package.json"), "utf8"));
+    const level = packageJson.productionLogLevel ?? DEFAULT_PRODUCTION_LEVEL;
+    if (!LOG_LEVELS.includes(level)) {
+        throw new Error(`productionLogLevel: '${level}' is not one of ${LOG_LEVELS.join(", ")}`);
+    }
+    return level;
+}
+
+/**
+ * Calls `visit` for every node of an ESTree AST, skipping the children of nodes it returns false for.
+ * @param {object} node - Root node
+ * @param {function(object): (boolean|void)} visit - Visitor
+ */
+function walk(node, visit) {
+    if (visit(node) === false) return;
+    for (const value of Object.values(node)) {
+        const children = Array.isArray(value) ? value : [value];
+        children.forEach((child) => child && typeof child.type === "string" && walk(child, visit));
+    }
+}
+
+/**
+ * Vite plugin that replaces `log.<level>(...)` calls of the given levels with `void 0`.
+ * @param {string[]} levels - Levels to remove
+ * @returns {object} Vite plugin
+ */
+function stripLogCalls(levels) {
+    return {
+        name: "strip-log-calls",
+        // After TypeScript and JSX are compiled, so the code parses as JavaScript
+        enforce: "post",
+        transform(code, id) {
+            const file = id.split("?")[0];
+            if (file.includes("/node_modules/") || !/\.[cm]?[jt]sx?$/.test(file)) return null;
+            if (!levels.some((level) => code.includes(`log.${level}(`))) return null;
+
+            const ranges = [];
+            walk(this.parse(code), (node) => {
+                const { callee } = node;
+                const isLogCall =
+                    node.type === "CallExpression" &&
+                    callee.type === "MemberExpression" &&
+                    !callee.computed &&
+                    callee.object.type === "Identifier" &&
+                    callee.object.name === "log" &&
+                    levels.includes(callee.property.name);
+                if (!isLogCall) return;
+                ranges.push([node.start, node.end]);
+                return false;
+            });
+            if (ranges.length === 0) return null;
+            // Replace from the end so earlier offsets stay valid
+            const stripped = ranges
+                .sort((a, b) => b[0] - a[0])
+                .reduce((result, [start, end]) => result.slice(0, start) + "void 0" + result.slice(end), code);
+            return { code: stripped, map: null };
+        },
+    };
+}
+
+/**
+ * Returns the Vite options that apply the log level of a build.
+ * @param {string} mode - Vite mode
+ * @param {string} root - Project root with package.json
+ * @returns {object} { define, plugin }, to spread into `define` and add to `plugins`
+ */
+function logLevelOptions(mode, root) {
+    const level = resolveLogLevel(mode, root);
+    return {
+        define: { __LOG_LEVEL__: JSON.stringify(level) },
+        plugin: stripLogCalls(LOG_LEVELS.slice(0, LOG_LEVELS.indexOf(level))),
+    };
+}
+
+module.exports = { LOG_LEVELS, resolveLogLevel, logLevelOptions };
@@ -0,0 +1,146 @@
+/**
+ * @file Loads the extension manifest from manifest.config.ts, and holds the manifest helpers shared by
+ * build.cjs, publish.cjs, entrypoints.cjs and the Vite configs: locale messages, the localized package
+ * name and the ZIP file names derived from it.
+ *
+ * manifest.config.ts default-exports a function of the Vite mode and command, so development builds can
+ * differ from the store build. It is bundled and evaluated by Vite, the same way as vite.config.ts.
+ *
+ * @module Manifest
+ * @requires fs
+ * @requires path
+ * @requires vite
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const MANIFEST_CONFIG = "manifest.config.ts";
+const LOCALES_DIR = "public/_locales";
+const MESSAGE_REFERENCE = /__MSG_([A-Za-z0-9_@]+?)__/g;
+const MESSAGE_PLACEHOLDER = /\$([A-Za-z0-9_@]+)\$/g;
+
+/**
+ * Evaluates manifest.config.ts for a mode.
+ * @param {string} root - Project root
+ * @param {object} env - { mode, command } as Vite passes them to its configs
+ * @returns {Promise<object>} The manifest
+ * @throws {Error} When manifest.config.ts is missing or does not return an object
+ */
+async function loadManifest(root, { mode, command }) {
+    const configPath = path.join(root, MANIFEST_CONFIG);
+    if (!fs.existsSync(configPath)) throw new Error(`${MANIFEST_CONFIG} not found in ${root}`);
+    // Vite's Node API is ESM-only from here on, so it is imported rather than required
+    const { loadConfigFromFile } = await import("vite");
+    const loaded = await loadConfigFromFile({ mode, command }, configPath, root, "silent");
+    if (!loaded) throw new Error(`${MANIFEST_CONFIG} could not be loaded`);
+    return loaded.config;
+}
+
+/**
+ * Reads the messages of every locale in public/_locales.
+ * @param {string} root - Project root
+ * @returns {object} Parsed messages keyed by locale (null when a locale has no messages.json); empty when
+ * the extension is not localized
+ * @throws {Error} When a messages.json is not valid JSON
+ */
+function loadLocales(root) {
+    const localesDir = path.join(root, LOCALES_DIR);
+    const locales = {};
+    if (!fs.existsSync(localesDir)) return locales;
+    for (const entry of fs.readdirSync(localesDir, { withFileTypes: true })) {
+        if (!entry.isDirectory()) continue;
+        const messagesPath = path.join(localesDir, entry.name, "messages.json");
+        if (!fs.existsSync(messagesPath)) {
+            locales[entry.name] = null;
+            continue;
+        }
+        try {
+            locales[entry.name] = JSON.parse(fs.readFileSync(messagesPath, "utf8"));
+        } catch (error) {
+            throw new Error(`Invalid JSON in ${path.relative(root, messagesPath)}: ${error.message}`);
+        }
+    }
+    return locales;
+}
+
+/**
+ * Looks up a message the way browsers do, ignoring the case of its name.
+ * @param {object|null} messages - Messages of one locale
+ * @param {string} name - Message name
+ * @returns {object|undefined} The message entry
+ */
+function findMessage(messages, name) {
+    if (!messages || typeof messages !== "object" || Array.isArray(messages)) return undefined;
+    const lowerName = name.toLowerCase();
+    const match = Object.keys(messages).find((key) => key.toLowerCase() === lowerName);
+    return match === undefined ? undefined : messages[match];
+}
+
+/**
+ * Replaces the __MSG_ placeholders of a string with the text of one locale, falling back to the default
+ * locale like the browser does. Named placeholders inside the message are replaced with their content.
+ * @param {string} value - Manifest string
+ * @param {object} messages - Messages of the locale
+ * @param {object} fallbackMessages - Messages of the default locale
+ * @returns {string} Localized string
+ */
+function localizeString(value, messages, fallbackMessages) {
+    return value.replace(MESSAGE_REFERENCE, (reference, name) => {
+        const entry = findMessage(messages, name) ?? findMessage(fallbackMessages, name);
+        if (!entry || typeof entry.message !== "string") return reference;
+        return entry.message.replace(MESSAGE_PLACEHOLDER, (placeholder, placeholderName) => {
+            const content = findMessage(entry.placeholders, placeholderName)?.content;
+            return typeof content === "string" ? content : placeholder;
+        });
+    });
+}
+
+/**
+ * Returns the name that build artifacts are named after: the extension name in the default locale, slugified.
+ * @param {object} manifestJson - Manifest
+ * @param {object} locales - Messages keyed by locale, as returned by loadLocales
+ * @returns {string} e.g. "react-chrome-extension-template"
+ */
+function packageNameOf(manifestJson, locales) {
+    const defaultMessages = locales[manifestJson.default_locale];
+    return localizeString(String(manifestJson.name), defaultMessages, defaultMessages)
+        .toLowerCase()
+        .replace(/\s+/g, "-");
+}
+
+/**
+ * Returns the ZIP file name of a target build. Chrome keeps the name without a target, which publish.cjs uploads.
+ * @param {string} packageName - Name from packageNameOf
+ * @param {string} version - Extension version
+ * @param {string} [target] - Build target
+ * @returns {string} ZIP file name
+ */
+function targetZipFileName(packageName, version, target = "chrome") {
+    const formattedVersion = `v${version.replace(/\./g, "-")}`;
+    return target === "chrome"
+        ? `${packageName}-${formattedVersion}.zip`
+        : `${packageName}-${target}-${formattedVersion}.zip`;
+}
+
+/**
+ * Writes JSON the way Prettier formats it in this project, so generated and edited files do not churn.
+ * @param {string} filePath - Destination
+ * @param {*} value - JSON-serializable value
+ */
+function writeJsonFile(filePath, value) {
+    fs.writeFileSync(filePath, `${JSON.stringify(value, null, 4)}\n`);
+}
+
+module.exports = {
+    MANIFEST_CONFIG,
+    MESSAGE_PLACEHOLDER,
+    MESSAGE_REFERENCE,
+    loadManifest,
+    loadLocales,
+    findMessage,
+    localizeString,
+    packageNameOf,
+    targetZipFileName,
+    writeJsonFile,
+};
@@ -0,0 +1,74 @@
+// The extension manifest. build.cjs, publish.cjs and the Vite configs load it through manifest.cjs, and
+// the build emits it as dist/manifest.json with the source paths replaced by the bundles.
+
+import packageJson from "./package.json";
+
+export interface ManifestEnv {
+    /** Vite mode: "production" for `npm run build`, "development" for `npm start` and `npm run watch`. */
+    mode: string;
+    command: "build" | "serve";
+}
+
+// @types/chrome only allows `author: { email }`, but browsers also take a name (the Firefox gecko ID uses it)
+export type Manifest = Omit<chrome.runtime.ManifestV3, "author"> & { author?: string | { email: string } };
+
+// Added to development builds only, e.g. "tabs" while debugging; production keeps the minimal set
+const DEV_PERMISSIONS: chrome.runtime.ManifestPermissions[] = [];
+
+export default function manifest({ mode }: ManifestEnv): Manifest {
+    const isDev = mode === "development";
+    const { version, versionName } = packageJson as { version: string; versionName?: string };
+
+    return {
+        manifest_version: 3,
+        // Chrome resolves the message and keeps the suffix, so dev builds stand out in chrome://extensions
+        name: isDev ? "__MSG_extensionName__ (DEV)" : "__MSG_extensionName__",
+        author: "ganemedelabs",
+        version,
+        ...(versionName && { version_name: `${version}-${versionName}` }),
+        description: "__MSG_extensionDescription__",
+        default_locale: "en",
+        // Public key from the item's dashboard, so unpacked dev builds keep the published extension ID
+        ...(isDev && process.env.EXTENSION_DEV_KEY && { key: process.env.EXTENSION_DEV_KEY }),
+        permissions: ["activeTab", "contextMenus", "scripting", "storage", ...(isDev ? DEV_PERMISSIONS : [])],
+        optional_host_permissions: ["<all_urls>"],
+        background: {
+            service_worker: "src/serviceWorker.ts",
+            type: "module",
+        },
+        web_accessible_resources: [
+            {
+                resources: ["images/*"],
+                matches: ["<all_urls>"],
+            },
+        ],
+        action: {
+            default_title: "__MSG_actionTitle__",
+            default_popup: "index.html",
+            default_icon: {
+                16: "images/icon-16.png",
+                48: "images/icon-48.png",
+                128: "images/icon-128.png",
+            },
+        },
+        options_ui: {
+            page: "options.html",
+            open_in_tab: false,
+        },
+        commands: {
+            "destroy-page": {
+                suggested_key: { default: "Alt+Shift+D" },
+                description: "__MSG_commandDestroyPage__",
+            },
+            "restore-page": {
+                suggested_key: { default: "Alt+Shift+R" },
+                description: "__MSG_commandRestorePage__",
+            },
+        },
+        icons: {
+            16: "images/icon-16.png",
+            48: "images/icon-48.png",
+            128: "images/icon-128.png",
+        },
+    };
+}
@@ -0,0 +1,1051 @@
+/**
+ * @file Manifest checks of build.cjs: the Manifest V3 schema (keys, permissions, match patterns,
+ * background, content scripts, commands, ...) with the rules of the build target, the package.json
+ * version, the _locales messages of every __MSG_ placeholder, the message names t() and getMessage() use
+ * in src, and the `Messages` type in src/utils/i18n.ts.
+ *
+ * Problems are collected with createReporter, which the other checks of the build (permission audit,
+ * size budgets, ZIP options) share, so every check reports the same way.
+ *
+ * @module ManifestValidation
+ * @requires fs
+ * @requires path
+ * @requires glob
+ * @requires ./manifest.cjs
+ * @requires ./targets.cjs
+ */
+
+/* eslint-disable no-undef */
+
+const fs = require("fs");
+const path = require("path");
+const glob = require("glob");
+const { MESSAGE_PLACEHOLDER, MESSAGE_REFERENCE, findMessage, localizeString } = require("./manifest.cjs");
+const { FIREFOX_ONLY_KEYS, FIREFOX_UNSUPPORTED_KEYS, FIREFOX_UNSUPPORTED_PERMISSIONS } = require("./targets.cjs");
+
+/**
+ * Top-level keys Chrome accepts in a Manifest V3 file, mapped to their expected JSON type.
+ * A type of `null` means the value may take several shapes and is checked by a dedicated validator.
+ */
+const MANIFEST_KEYS = {
+    manifest_version: "number",
+    name: "string",
+    version: "string",
+    description: "string",
+    icons: "object",
+    action: "object",
+    author: null,
+    background: "object",
+    chrome_settings_overrides: "object",
+    chrome_url_overrides: "object",
+    commands: "object",
+    content_scripts: "array",
+    content_security_policy: "object",
+    cross_origin_embedder_policy: "object",
+    cross_origin_opener_policy: "object",
+    declarative_net_request: "object",
+    default_locale: "string",
+    devtools_page: "string",
+    event_rules: "array",
+    export: "object",
+    externally_connectable: "object",
+    file_browser_handlers: "array",
+    file_system_provider_capabilities: "object",
+    homepage_url: "string",
+    host_permissions: "array",
+    import: "array",
+    incognito: "string",
+    key: "string",
+    minimum_chrome_version: "string",
+    oauth2: "object",
+    offline_enabled: "boolean",
+    omnibox: "object",
+    optional_host_permissions: "array",
+    optional_permissions: "array",
+    options_page: "string",
+    options_ui: "object",
+    permissions: "array",
+    requirements: "object",
+    sandbox: "object",
+    short_name: "string",
+    side_panel: "object",
+    storage: "object",
+    trial_tokens: "array",
+    tts_engine: "object",
+    update_url: "string",
+    version_name: "string",
+    web_accessible_resources: "array",
+};
+
+/**
+ * Manifest V2 keys that Chrome rejects in a Manifest V3 file, with their replacement.
+ */
+const MV2_ONLY_KEYS = {
+    browser_action: "use 'action' instead",
+    page_action: "use 'action' instead",
+    background_page: "use 'background.service_worker' instead",
+    nacl_modules: "Native Client is not supported in Manifest V3",
+};
+
+/**
+ * Permission names Chrome recognizes in 'permissions' and 'optional_permissions'.
+ */
+const KNOWN_PERMISSIONS = new Set([
+    "accessibilityFeatures.modify",
+    "accessibilityFeatures.read",
+    "activeTab",
+    "alarms",
+    "audio",
+    "background",
+    "bookmarks",
+    "browsingData",
+    "certificateProvider",
+    "clipboardRead",
+    "clipboardWrite",
+    "contentSettings",
+    "contextMenus",
+    "cookies",
+    "debugger",
+    "declarativeContent",
+    "declarativeNetRequest",
+    "declarativeNetRequestFeedback",
+    "declarativeNetRequestWithHostAccess",
+    "desktopCapture",
+    "dns",
+    "documentScan",
+    "downloads",
+    "downloads.open",
+    "downloads.ui",
+    "enterprise.deviceAttributes",
+    "enterprise.hardwarePlatform",
+    "enterprise.networkingAttributes",
+    "enterprise.platformKeys",
+    "favicon",
+    "fileBrowserHandler",
+    "fileSystemProvider",
+    "fontSettings",
+    "gcm",
+    "geolocation",
+    "history",
+    "identity",
+    "identity.email",
+    "idle",
+    "loginState",
+    "management",
+    "nativeMessaging",
+    "notifications",
+    "offscreen",
+    "pageCapture",
+    "platformKeys",
+    "power",
+    "printerProvider",
+    "printing",
+    "printingMetrics",
+    "privacy",
+    "processes",
+    "proxy",
+    "readingList",
+    "runtime",
+    "scripting",
+    "search",
+    "sessions",
+    "sidePanel",
+    "storage",
+    "system.cpu",
+    "system.display",
+    "system.memory",
+    "system.storage",
+    "tabCapture",
+    "tabGroups",
+    "tabs",
+    "topSites",
+    "tts",
+    "ttsEngine",
+    "unlimitedStorage",
+    "userScripts",
+    "vpnProvider",
+    "wallpaper",
+    "webAuthenticationProxy",
+    "webNavigation",
+    "webRequest",
+    "webRequestAuthProvider",
+]);
+
+/**
+ * Permissions that only exist in Manifest V2, with their replacement.
+ */
+const MV2_ONLY_PERMISSIONS = {
+    webRequestBlocking: "use 'declarativeNetRequest' instead",
+};
+
+const MATCH_PATTERN_SCHEMES = ["*", "http", "https", "file", "ftp", "ws", "wss", "urn"];
+const SHORTCUT_MODIFIERS = ["Ctrl", "Alt", "Shift", "Command", "MacCtrl", "Search"];
+const SHORTCUT_KEYS = /^([A-Z0-9]|Comma|Period|Home|End|PageUp|PageDown|Space|Insert|Delete|Up|Down|Left|Right)$/;
+const SHORTCUT_MEDIA_KEYS = ["MediaNextTrack", "MediaPlayPause", "MediaPrevTrack", "MediaStop"];
+const SHORTCUT_PLATFORMS = ["default", "windows", "mac", "chromeos", "linux"];
+
+const LOCALES_DIR = "_locales";
+const MESSAGE_NAME = /^[A-Za-z0-9_@]+$/;
+// Declares the `Messages` type t() is checked against, relative to src
+const MESSAGES_TYPE_FILE = "utils/i18n.ts";
+
+/**
+ * Manifest fields with a length limit, checked in every locale once __MSG_ placeholders are resolved.
+ */
+const LOCALIZED_LIMITS = [
+    { key: "name", limit: 75, severity: "error" },
+    { key: "short_name", limit: 12, severity: "warn" },
+    { key: "description", limit: 132, severity: "warn" },
+];
+
+/**
+ * Returns the JSON type of a value, distinguishing arrays and null from objects.
+ * @param {*} value - Any parsed JSON value
+ * @returns {string} "array", "null", "object", "string", "number" or "boolean"
+ */
+function jsonType(value) {
+    if (Array.isArray(value)) return "array";
+    if (value === null) return "null";
+    return typeof value;
+}
+
+/**
+ * Creates a collector that records findings prefixed with their JSON path.
+ * @param {string[]} errors - Array receiving error messages
+ * @param {string[]} warnings - Array receiving warning messages
+ * @returns {object} { error(path, message), warn(path, message), type(value, expected, path, asWarning) }
+ */
+function createReporter(errors, warnings) {
+    const reporter = {
+        error: (jsonPath, message) => errors.push(`${jsonPath}: ${message}`),
+        warn: (jsonPath, message) => warnings.push(`${jsonPath}: ${message}`),
+        type(value, expected, jsonPath, asWarning = false) {
+            const actual = jsonType(value);
+            const expectedList = [].concat(expected);
+            if (expectedList.includes(actual)) return true;
+            const report = asWarning ? reporter.warn : reporter.error;
+            report(jsonPath, `must be ${expectedList.join(" or ")} (got ${actual})`);
+            return false;
+        },
+    };
+    return reporter;
+}
+
+/**
+ * Checks an object for keys outside of the allowed list.
+ * @param {object} value - Object to inspect
+ * @param {string[]} allowedKeys - Keys that may appear
+ * @param {string} jsonPath - JSON path of the object
+ * @param {object} report - Reporter from createReporter
+ */
+function checkUnknownKeys(value, allowedKeys, jsonPath, report) {
+    for (const key of Object.keys(value)) {
+        if (!allowedKeys.includes(key)) report.warn(`${jsonPath}.${key}`, "Unrecognized key");
+    }
+}
+
+/**
+ * Checks that a value is an array of strings.
+ * @param {*} value - Value to inspect
+ * @param {string} jsonPath - JSON path of the value
+ * @param {object} report - Reporter from createReporter
+ * @returns {boolean} Whether the value is a string array
+ */
+function checkStringArray(value, jsonPath, report) {
+    if (!report.type(value, "array", jsonPath)) return false;
+    let valid = true;
+    value.forEach((item, index) => {
+        if (!report.type(item, "string", `${jsonPath}[${index}]`)) valid = false;
+    });
+    return valid;
+}
+
+/**
+ * Validates a Chrome match pattern (https://developer.chrome.com/docs/extensions/develop/concepts/match-patterns).
+ * @param {string} pattern - Match pattern
+ * @returns {string|null} Reason the pattern is invalid, or null when it is valid
+ */
+function matchPatternError(pattern) {
+    if (pattern === "<all_urls>") return null;
+    if (/^<.*>$/.test(pattern)) return "unknown special pattern (did you mean '<all_urls>'?)";
+
+    const separator = pattern.indexOf("://");
+    if (separator === -1) return "missing scheme separator '://'";
+    const scheme = pattern.slice(0, separator);
+    if (!MATCH_PATTERN_SCHEMES.includes(scheme)) {
+        return `unsupported scheme "${scheme}" (expected one of ${MATCH_PATTERN_SCHEMES.join(", ")})`;
+    }
+
+    const rest = pattern.slice(separator + 3);
+    const slash = rest.indexOf("/");
+    if (slash === -1) return `missing path (e.g. "${pattern}/*")`;
+    const host = rest.slice(0, slash);
+
+    if (scheme === "file") {
+        if (host !== "") return "file patterns must not have a host (use 'file:///...')";
+        return null;
+    }
+    if (host === "") return "missing host";
+    if (host.includes(":")) {
+        const [hostname, port] = host.split(":");
+        if (!/^(\*|\d+)$/.test(port)) return `invalid port "${port}"`;
+        return hostPatternError(hostname);
+    }
+    return hostPatternError(host);
+}
+
+/**
+ * Validates the host part of a match pattern.
+ * @param {string} host - Host without port
+ * @returns {string|null} Reason the host is invalid, or null when it is valid
+ */
+function hostPatternError(host) {
+    if (host === "*") return null;
+    const name = host.startsWith("*.") ? host.slice(2) : host;
+    if (name.includes("*")) return `"*" is only allowed as the whole host or as a leading "*." (got "${host}")`;
+    if (!/^[a-z0-9.-]+$/i.test(name) && !/^\[[0-9a-f:]+\]$/i.test(name)) return `invalid host "${host}"`;
+    return null;
+}
+
+/**
+ * Validates an array of match patterns.
+ * @param {*} value - Value to inspect
+ * @param {string} jsonPath - JSON path of the array
+ * @param {object} report - Reporter from createReporter
+ */
+function checkMatchPatterns(value, jsonPath, report) {
+    if (!checkStringArray(value, jsonPath, report)) return;
+    value.forEach((pattern, index) => {
+        const reason = matchPatternError(pattern);
+        if (reason) report.error(`${jsonPath}[${index}]`, `Invalid match pattern "${pattern}": ${reason}`);
+    });
+    const seen = new Set();
+    value.forEach((pattern, index) => {
+        if (seen.has(pattern)) report.warn(`${jsonPath}[${index}]`, `Duplicate match pattern "${pattern}"`);
+        seen.add(pattern);
+    });
+}
+
+/**
+ * Validates an icon map ({ "16": "path.png", ... }) or a single icon path.
+ * @param {*} value - Value to inspect
+ * @param {string} jsonPath - JSON path of the value
+ * @param {object} report - Reporter from createReporter
+ * @param {boolean} allowString - Whether a single path string is accepted
+ */
+function checkIconMap(value, jsonPath, report, allowString) {
+    if (!report.type(value, allowString ? ["object", "string"] : "object", jsonPath)) return;
+    if (typeof value === "string") return;
+    for (const [size, iconPath] of Object.entries(value)) {
+        if (!/^\d+$/.test(size)) report.error(`${jsonPath}.${size}`, "Icon size keys must be integers");
+        report.type(iconPath, "string", `${jsonPath}.${size}`);
+    }
+}
+
+/**
+ * Validates a permission list.
+ * @param {*} value - Value to inspect
+ * @param {string} jsonPath - JSON path of the list
+ * @param {object} report - Reporter from createReporter
+ * @param {string} target - Build target the manifest is meant for
+ */
+function checkPermissions(value, jsonPath, report, target) {
+    if (!checkStringArray(value, jsonPath, report)) return;
+    const seen = new Set();
+    value.forEach((permission, index) => {
+        const itemPath = `${jsonPath}[${index}]`;
+        if (seen.has(permission)) report.warn(itemPath, `Duplicate permission "${permission}"`);
+        seen.add(permission);
+
+        if (permission in MV2_ONLY_PERMISSIONS) {
+            report.error(
+                itemPath,
+                `"${permission}" is not available in Manifest V3; ${MV2_ONLY_PERMISSIONS[permission]}`
+            );
+        } else if (permission === "<all_urls>" || permission.includes("://")) {
+            report.error(itemPath, `Host pattern "${permission}" belongs in 'host_permissions' in Manifest V3`);
+        } else if (target === "firefox" && FIREFOX_UNSUPPORTED_PERMISSIONS.has(permission)) {
+            report.warn(itemPath, `"${permission}" is not supported by Firefox`);
+        } else if (!KNOWN_PERMISSIONS.has(permission)) {
+            const suggestion = [...KNOWN_PERMISSIONS].find((known) => known.toLowerCase() === permission.toLowerCase());
+            report.error(
+                itemPath,
+                `Unknown permission "${permission}"${suggestion ? ` (did you mean "${suggestion}"?)` : ""}`
+            );
+        }
+    });
+}
+
+/**
+ * Validates the 'background' key. Firefox runs background scripts instead of a service worker.
+ * @param {object} background - manifest.background
+ * @param {object} report - Reporter from createReporter
+ * @param {string} target - Build target the manifest is meant for
+ */
+function checkBackground(background, report, target) {
+    checkUnknownKeys(background, ["service_worker", "type", "scripts", "page", "persistent"], "background", report);
+    if ("type" in background && background.type !== "module" && background.type !== "classic") {
+        report.error("background.type", `must be "module" or "classic" (got ${JSON.stringify(background.type)})`);
+    }
+
+    if (target === "firefox") {
+        if ("service_worker" in background) {
+            report.error("background.service_worker", "Not supported by Firefox; use 'background.scripts' instead");
+        }
+        if (!("scripts" in background)) report.error("background", "Missing required 'scripts' field");
+        else checkStringArray(background.scripts, "background.scripts", report);
+        return;
+    }
+
+    for (const key of ["scripts", "page", "persistent"]) {
+        if (key in background) {
+            report.error(`background.${key}`, "Not supported in Manifest V3; use 'background.service_worker' instead");
+        }
+    }
+    if (!("service_worker" in background)) {
+        report.error("background", "Missing required 'service_worker' field");
+    } else {
+        report.type(background.service_worker, "string", "background.service_worker");
+    }
+}
+
+/**
+ * Validates the 'action' key.
+ * @param {object} action - manifest.action
+ * @param {object} report - Reporter from createReporter
+ */
+function checkAction(action, report) {
+    checkUnknownKeys(action, ["default_icon", "default_popup", "default_title", "default_state"], "action", report);
+    if ("default_icon" in action) checkIconMap(action.default_icon, "action.default_icon", report, true);
+    if ("default_popup" in action) report.type(action.default_popup, "string", "action.default_popup");
+    if ("default_title" in action) report.type(action.default_title, "string", "action.default_title");
+    if ("default_state" in action && !["enabled", "disabled"].includes(action.default_state)) {
+        report.error("action.default_state", "must be 'enabled' or 'disabled'");
+    }
+}
+
+/**
+ * Validates the 'content_scripts' key, including duplicate entries.
+ * @param {object[]} contentScripts - manifest.content_scripts
+ * @param {object} report - Reporter from createReporter
+ */
+function checkContentScripts(contentScripts, report) {
+    const allowedKeys = [
+        "matches",
+        "exclude_matches",
+        "include_globs",
+        "exclude_globs",
+        "js",
+        "css",
+        "run_at",
+        "all_frames",
+        "match_about_blank",
+        "match_origin_as_fallback",
+        "world",
+    ];
+    const seenEntries = new Map();
+
+    contentScripts.forEach((entry, index) => {
+        const entryPath = `content_scripts[${index}]`;
+        if (!report.type(entry, "object", entryPath)) return;
+        checkUnknownKeys(entry, allowedKeys, entryPath, report);
+
+        if (!("matches" in entry)) {
+            report.error(entryPath, "Missing required 'matches' field");
+        } else {
+            checkMatchPatterns(entry.matches, `${entryPath}.matches`, report);
+            if (Array.isArray(entry.matches) && entry.matches.length === 0) {
+                report.error(`${entryPath}.matches`, "must contain at least one match pattern");
+            }
+        }
+        if ("exclude_matches" in entry)
+            checkMatchPatterns(entry.exclude_matches, `${entryPath}.exclude_matches`, report);
+        for (const key of ["include_globs", "exclude_globs", "js", "css"]) {
+            if (key in entry) checkStringArray(entry[key], `${entryPath}.${key}`, report);
+        }
+        if (!entry.js?.length && !entry.css?.length) {
+            report.error(entryPath, "must list at least one file in 'js' or 'css'");
+        }
+        if ("run_at" in entry && !["document_start", "document_end", "document_idle"].includes(entry.run_at)) {
+            report.error(`${entryPath}.run_at`, "must be 'document_start', 'document_end' or 'document_idle'");
+        }
+        for (const key of ["all_frames", "match_about_blank", "match_origin_as_fallback"]) {
+            if (key in entry) report.type(entry[key], "boolean", `${entryPath}.${key}`);
+        }
+        if ("world" in entry && !["ISOLATED", "MAIN"].includes(entry.world)) {
+            report.error(`${entryPath}.world`, "must be 'ISOLATED' or 'MAIN'");
+        }
+
+        const fingerprint = JSON.stringify(
+            Object.keys(entry)
+                .sort()
+                .map((key) => [key, entry[key]])
+        );
+        if (seenEntries.has(fingerprint)) {
+            report.warn(entryPath, `Duplicate of content_scripts[${seenEntries.get(fingerprint)}]`);
+        } else {
+            seenEntries.set(fingerprint, index);
+        }
+    });
+}
+
+/**
+ * Validates the 'web_accessible_resources' key.
+ * @param {Array} resources - manifest.web_accessible_resources
+ * @param {object} report - Reporter from createReporter
+ */
+function checkWebAccessibleResources(resources, report) {
+    resources.forEach((entry, index) => {
+        const entryPath = `web_accessible_resources[${index}]`;
+        if (typeof entry === "string") {
+            report.error(
+                entryPath,
+                "Plain resource strings are Manifest V2 syntax; use { resources, matches } objects"
+            );
+            return;
+        }
+        if (!report.type(entry, "object", entryPath)) return;
+        checkUnknownKeys(entry, ["resources", "matches", "extension_ids", "use_dynamic_url"], entryPath, report);
+        if (!("resources" in entry)) {
+            report.error(entryPath, "Missing required 'resources' field");
+        } else {
+            checkStringArray(entry.resources, `${entryPath}.resources`, report);
+        }
+        if (!("matches" in entry) && !("extension_ids" in entry)) {
+            report.error(entryPath, "must specify 'matches' or 'extension_ids'");
+        }
+        if ("matches" in entry) checkMatchPatterns(entry.matches, `${entryPath}.matches`, report);
+        if ("extension_ids" in entry) checkStringArray(entry.extension_ids, `${entryPath}.extension_ids`, report);
+        if ("use_dynamic_url" in entry) report.type(entry.use_dynamic_url, "boolean", `${entryPath}.use_dynamic_url`);
+    });
+}
+
+/**
+ * Validates a keyboard shortcut string such as "Ctrl+Shift+Y".
+ * @param {string} shortcut - Shortcut string
+ * @returns {string|null} Reason the shortcut is invalid, or null when it is valid
+ */
+function shortcutError(shortcut) {
+    const parts = shortcut.split("+");
+    const key = parts.pop();
+    if (SHORTCUT_MEDIA_KEYS.includes(key)) {
+        return parts.length === 0 ? null : "media keys cannot have modifiers";
+    }
+    if (!SHORTCUT_KEYS.test(key)) return `unsupported key "${key}"`;
+    if (parts.length === 0 || parts.length > 2) return "must combine one or two modifiers with a key";
+    const unknown = parts.find((modifier) => !SHORTCUT_MODIFIERS.includes(modifier));
+    if (unknown) return `unknown modifier "${unknown}"`;
+    if (!parts.some((modifier) => modifier !== "Shift")) return "must include Ctrl, Alt, Command or MacCtrl";
+    return null;
+}
+
+/**
+ * Validates the 'commands' key.
+ * @param {object} commands - manifest.commands
+ * @param {object} report - Reporter from createReporter
+ */
+function checkCommands(commands, report) {
+    let suggestedKeyCount = 0;
+    for (const [name, command] of Object.entries(commands)) {
+        const commandPath = `commands.${name}`;
+        if (name === "_execute_browser_action" || name === "_execute_page_action") {
+            report.error(commandPath, "Manifest V2 command; use '_execute_action' instead");
+        }
+        if (!report.type(command, "object", commandPath)) continue;
+        checkUnknownKeys(command, ["suggested_key", "description", "global"], commandPath, report);
+
+        if (!name.startsWith("_execute_") && !("description" in command)) {
+            report.error(commandPath, "Missing required 'description' field");
+        }
+        if ("description" in command) report.type(command.description, "string", `${commandPath}.description`);
+        if ("global" in command) report.type(command.global, "boolean", `${commandPath}.global`);
+
+        if (!("suggested_key" in command)) continue;
+        suggestedKeyCount++;
+        const suggested = command.suggested_key;
+        const keyPath = `${commandPath}.suggested_key`;
+        const shortcuts = typeof suggested === "string" ? { default: suggested } : suggested;
+        if (!report.type(suggested, ["string", "object"], keyPath)) continue;
+        for (const [platform, shortcut] of Object.entries(shortcuts)) {
+            const platformPath = typeof suggested === "string" ? keyPath : `${keyPath}.${platform}`;
+            if (!SHORTCUT_PLATFORMS.includes(platform)) {
+                report.warn(platformPath, `Unknown platform (expected one of ${SHORTCUT_PLATFORMS.join(", ")})`);
+            }
+            if (!report.type(shortcut, "string", platformPath)) continue;
+            const reason = shortcutError(shortcut);
+            if (reason) report.error(platformPath, `Invalid shortcut "${shortcut}": ${reason}`);
+        }
+    }
+    if (suggestedKeyCount > 4) {
+        report.warn("commands", `Chrome only assigns up to 4 suggested keys (found ${suggestedKeyCount})`);
+    }
+}
+
+/**
+ * Validates every Manifest V3 key other than the core fields handled in validateManifest.
+ * @param {object} manifestJson - Manifest
+ * @param {object} report - Reporter from createReporter
+ * @param {string} target - Build target the manifest is meant for
+ */
+function validateManifestSchema(manifestJson, report, target) {
+    const knownKeys = target === "firefox" ? { ...MANIFEST_KEYS, ...FIREFOX_ONLY_KEYS } : MANIFEST_KEYS;
+    for (const [key, value] of Object.entries(manifestJson)) {
+        if (key in MV2_ONLY_KEYS) {
+            report.error(key, `Not supported in Manifest V3; ${MV2_ONLY_KEYS[key]}`);
+            continue;
+        }
+        if (!(key in knownKeys)) {
+            report.warn(key, "Unrecognized manifest key");
+            continue;
+        }
+        if (target === "firefox" && FIREFOX_UNSUPPORTED_KEYS.includes(key)) {
+            report.warn(key, "Not supported by Firefox");
+        }
+        const expected = knownKeys[key];
+        if (key === "content_security_policy" && typeof value === "string") {
+            report.error(key, "String policies are Manifest V2 syntax; use { extension_pages, sandbox }");
+            continue;
+        }
+        if (expected && !["name", "version", "description", "icons", "manifest_version"].includes(key)) {
+            report.type(value, expected, key);
+        }
+    }
+
+    const has = (key, type) => key in manifestJson && jsonType(manifestJson[key]) === type;
+
+    if ("author" in manifestJson) report.type(manifestJson.author, ["string", "object"], "author");
+    if (has("permissions", "array")) checkPermissions(manifestJson.permissions, "permissions", report, target);
+    if (has("optional_permissions", "array")) {
+        checkPermissions(manifestJson.optional_permissions, "optional_permissions", report, target);
+    }
+    if (has("host_permissions", "array")) checkMatchPatterns(manifestJson.host_permissions, "host_permissions", report);
+    if (has("optional_host_permissions", "array")) {
+        checkMatchPatterns(manifestJson.optional_host_permissions, "optional_host_permissions", report);
+    }
+    if (has("background", "object")) checkBackground(manifestJson.background, report, target);
+    if (has("action", "object")) checkAction(manifestJson.action, report);
+    if (has("content_scripts", "array")) checkContentScripts(manifestJson.content_scripts, report);
+    if (has("web_accessible_resources", "array")) {
+        checkWebAccessibleResources(manifestJson.web_accessible_resources, report);
+    }
+    if (has("commands", "object")) checkCommands(manifestJson.commands, report);
+
+    if (has("options_ui", "object")) {
+        const optionsUi = manifestJson.options_ui;
+        checkUnknownKeys(optionsUi, ["page", "open_in_tab", "browser_style", "chrome_style"], "options_ui", report);
+        if (!("page" in optionsUi)) report.error("options_ui", "Missing required 'page' field");
+        else report.type(optionsUi.page, "string", "options_ui.page");
+        if ("open_in_tab" in optionsUi) report.type(optionsUi.open_in_tab, "boolean", "options_ui.open_in_tab");
+    }
+    if ("options_page" in manifestJson && "options_ui" in manifestJson) {
+        report.warn("options_page", "Both 'options_page' and 'options_ui' are set; Chrome uses 'options_ui'");
+    }
+    if (has("side_panel", "object")) {
+        checkUnknownKeys(manifestJson.side_panel, ["default_path"], "side_panel", report);
+        report.type(manifestJson.side_panel.default_path, "string", "side_panel.default_path");
+    }
+    if ("incognito" in manifestJson && !["spanning", "split", "not_allowed"].includes(manifestJson.incognito)) {
+        report.error("incognito", "must be 'spanning', 'split' or 'not_allowed'");
+    }
+    if (target === "firefox") {
+        const geckoId = manifestJson.browser_specific_settings?.gecko?.id;
+        if (!geckoId) {
+            report.error("browser_specific_settings.gecko.id", "Missing add-on ID required by Firefox");
+        } else if (
+            !/^[\w.-]*@[\w.-]+$/.test(geckoId) &&
+            !/^\{[0-9a-f]{8}(-[0-9a-f]{4}){3}-[0-9a-f]{12}\}$/i.test(geckoId)
+        ) {
+            report.error("browser_specific_settings.gecko.id", `must be email-like or a {GUID} (got "${geckoId}")`);
+        }
+    }
+    const shortName = manifestJson.short_name;
+    if ("short_name" in manifestJson && !hasMessageReference(shortName) && String(shortName).length > 12) {
+        report.warn("short_name", `exceeds 12 characters (current: ${String(manifestJson.short_name).length})`);
+    }
+}
+
+/**
+ * Validates the manifest for required fields and formats, then checks the rest of the Manifest V3 schema.
+ * Every finding is prefixed with the JSON path it refers to. Missing fields that have a default are added
+ * to manifestJson, which is what the build writes to the output directory.
+ * @param {object} manifestJson - Manifest from manifest.config.ts, or one derived from it
+ * @param {object} packageJson - Parsed package.json content
+ * @param {string} [target] - Build target whose rules apply ("chrome", "firefox" or "edge")
+ * @param {object} [locales] - Messages keyed by locale, as returned by loadLocales
+ * @returns {object} { errors: string[], warnings: string[] }
+ */
+function validateManifest(manifestJson, packageJson, target = "chrome", locales = {}) {
+    let errors = [];
+    let warnings = [];
+    const report = createReporter(errors, warnings);
+
+    if (!("manifest_version" in manifestJson)) {
+        manifestJson.manifest_version = 3;
+        console.log("ℹ️  Added manifest_version: 3");
+    } else if (typeof manifestJson.manifest_version !== "number" || manifestJson.manifest_version !== 3) {
+        report.error("manifest_version", "must be the integer 3");
+    }
+
+    if (!("name" in manifestJson)) {
+        if (packageJson.name && typeof packageJson.name === "string") {
+            manifestJson.name = packageJson.name;
+            console.log(`ℹ️  Added name from package.json: ${packageJson.name}`);
+        } else {
+            report.error("name", "Missing required 'name' field");
+        }
+    } else {
+        if (typeof manifestJson.name !== "string") {
+            report.error("name", "'name' must be a string");
+        } else if (!hasMessageReference(manifestJson.name) && manifestJson.name.length > 75) {
+            report.error("name", `'name' exceeds 75 characters (current: ${manifestJson.name.length})`);
+        }
+    }
+
+    if (!("version" in manifestJson)) {
+        report.error("version", "Missing required 'version' field");
+    } else {
+        const versionParts = String(manifestJson.version).split(".");
+        if (versionParts.length < 1 || versionParts.length > 4) {
+            report.error("version", "Version must have 1 to 4 dot-separated integers");
+        } else {
+            let allZero = true;
+            for (const part of versionParts) {
+                if (!/^\d+$/.test(part)) {
+                    report.error("version", "Version parts must be integers");
+                    break;
+                }
+                const num = parseInt(part, 10);
+                if (num !== 0) allZero = false;
+                if (num < 0 || num > 65535) {
+                    report.error("version", "Version integers must be between 0 and 65535");
+                    break;
+                }
+                if (num !== 0 && part.startsWith("0")) {
+                    report.error("version", "Non-zero version integers cannot start with 0");
+                    break;
+                }
+            }
+            if (allZero) {
+                report.error("version", "Version cannot be all zeros (e.g., 0 or 0.0.0.0)");
+            }
+        }
+        if (manifestJson.version !== packageJson.version) {
+            report.error(
+                "version",
+                `'${manifestJson.version}' differs from the package.json version '${packageJson.version}'; read it from package.json in manifest.config.ts`
+            );
+        }
+    }
+
+    if (!("description" in manifestJson)) {
+        report.warn("description", "Missing 'description' field required by Chrome Web Store");
+    } else {
+        if (typeof manifestJson.description !== "string") {
+            report.warn("description", "'description' must be a string");
+        } else if (!hasMessageReference(manifestJson.description) && manifestJson.description.length > 132) {
+            report.warn(
+                "description",
+                `'description' exceeds 132 characters (current: ${manifestJson.description.length})`
+            );
+        }
+    }
+
+    if (!("icons" in manifestJson)) {
+        report.warn("icons", "Missing 'icons' field required by Chrome Web Store");
+    } else {
+        if (typeof manifestJson.icons !== "object" || Array.isArray(manifestJson.icons)) {
+            report.warn("icons", "'icons' must be an object");
+        } else {
+            if (!manifestJson.icons["128"]) {
+                report.warn("icons", "Missing required 128x128 icon in 'icons' object");
+            }
+            const supportedFormats = [".png", ".bmp", ".gif", ".ico", ".jpg", ".jpeg"];
+            for (const [size, iconPath] of Object.entries(manifestJson.icons)) {
+                if (typeof iconPath !== "string") {
+                    report.warn(`icons.${size}`, `Icon path for size ${size} must be a string`);
+                } else if (!supportedFormats.some((format) => iconPath.toLowerCase().endsWith(format))) {
+                    report.warn(
+                        `icons.${size}`,
+                        `Icon path for size ${size} must end in supported format (${supportedFormats.join(", ")})`
+                    );
+                }
+            }
+        }
+    }
+
+    validateManifestSchema(manifestJson, report, target);
+    checkLocales(manifestJson, locales, report);
+
+    return { errors, warnings };
+}
+
+/**
+ * Whether a manifest value contains a __MSG_name__ placeholder.
+ * @param {*} value - Manifest value
+ * @returns {boolean} True for strings with at least one placeholder
+ */
+function hasMessageReference(value) {
+    return typeof value === "string" && value.includes("__MSG_");
+}
+
+/**
+ * Returns the message names referenced by __MSG_name__ placeholders in a string.
+ * @param {string} value - Manifest string
+ * @returns {string[]} Referenced message names
+ */
+function messageNames(value) {
+    return [...value.matchAll(MESSAGE_REFERENCE)].map((match) => match[1]);
+}
+
+/**
+ * Collects every manifest string that contains a __MSG_ placeholder.
+ * @param {*} value - Manifest or a part of it
+ * @param {string} [jsonPath] - JSON path of value
+ * @param {Array} [found] - Accumulator
+ * @returns {Array<[string, string]>} [jsonPath, value] pairs
+ */
+function collectMessageReferences(value, jsonPath = "", found = []) {
+    if (hasMessageReference(value)) {
+        found.push([jsonPath, value]);
+    } else if (Array.isArray(value)) {
+        value.forEach((item, index) => collectMessageReferences(item, `${jsonPath}[${index}]`, found));
+    } else if (value && typeof value === "object") {
+        for (const [key, item] of Object.entries(value)) {
+            collectMessageReferences(item, jsonPath ? `${jsonPath}.${key}` : key, found);
+        }
+    }
+    return found;
+}
+
+/**
+ * Validates the format of one locale's messages.json.
+ * @param {string} locale - Locale directory name
+ * @param {object|null} messages - Parsed messages, or null when messages.json is missing
+ * @param {object} report - Reporter from createReporter
+ */
+function checkMessagesFile(locale, messages, report) {
+    const filePath = `${LOCALES_DIR}/${locale}/messages.json`;
+    if (messages === null) {
+        report.error(filePath, "Missing; every locale directory needs a messages.json");
+        return;
+    }
+    if (!report.type(messages, "object", filePath)) return;
+
+    for (const [name, entry] of Object.entries(messages)) {
+        const entryPath = `${filePath}#${name}`;
+        if (!MESSAGE_NAME.test(name) || name.startsWith("@@")) {
+            report.error(entryPath, "Message names may only use letters, digits and '_' ('@@' is reserved)");
+        }
+        if (jsonType(entry) !== "object" || typeof entry.message !== "string") {
+            report.error(entryPath, "must be an object with a string 'message'");
+            continue;
+        }
+        checkUnknownKeys(entry, ["message", "description", "placeholders"], entryPath, report);
+        if ("placeholders" in entry && !report.type(entry.placeholders, "object", `${entryPath}.placeholders`)) {
+            continue;
+        }
+        for (const [placeholder, definition] of Object.entries(entry.placeholders || {})) {
+            if (jsonType(definition) !== "object" || typeof definition.content !== "string") {
+                report.error(`${entryPath}.placeholders.${placeholder}`, "must be an object with a string 'content'");
+            }
+        }
+        for (const [, placeholder] of entry.message.matchAll(MESSAGE_PLACEHOLDER)) {
+            if (!findMessage(entry.placeholders, placeholder)) {
+                report.error(entryPath, `uses $${placeholder}$ but does not define it in 'placeholders'`);
+            }
+        }
+    }
+}
+
+/**
+ * Validates default_locale, every locale's messages.json and the __MSG_ placeholders of the manifest.
+ * A missing locale or message is an error; name, short_name and description are length-checked in every
+ * locale after their placeholders are resolved.
+ * @param {object} manifestJson - Manifest
+ * @param {object} locales - Messages keyed by locale, as returned by loadLocales
+ * @param {object} report - Reporter from createReporter
+ */
+function checkLocales(manifestJson, locales, report) {
+    const references = collectMessageReferences(manifestJson);
+    const defaultLocale = manifestJson.default_locale;
+
+    if (defaultLocale === undefined) {
+        if (Object.keys(locales).length > 0) {
+            report.error("default_locale", `Missing required field when a ${LOCALES_DIR} directory exists`);
+        }
+        references.forEach(([jsonPath]) => report.error(jsonPath, "uses __MSG_ placeholders without 'default_locale'"));
+        return;
+    }
+    if (typeof defaultLocale !== "string") return;
+    if (!(defaultLocale in locales)) {
+        report.error("default_locale", `No ${LOCALES_DIR}/${defaultLocale}/messages.json for '${defaultLocale}'`);
+        return;
+    }
+
+    for (const [locale, messages] of Object.entries(locales)) {
+        checkMessagesFile(locale, messages, report);
+        if (jsonType(messages) !== "object") continue;
+
+        for (const [jsonPath, value] of references) {
+            for (const name of messageNames(value)) {
+                if (name.startsWith("@@") || findMessage(messages, name)) continue;
+                report.error(jsonPath, `Message '${name}' is missing from ${LOCALES_DIR}/${locale}/messages.json`);
+            }
+        }
+        for (const { key, limit, severity } of LOCALIZED_LIMITS) {
+            if (!hasMessageReference(manifestJson[key])) continue;
+            const localized = localizeString(manifestJson[key], messages, locales[defaultLocale]);
+            if (localized.length > limit) {
+                report[severity](
+                    key,
+                    `'${key}' exceeds ${limit} characters in '${locale}' (current: ${localized.length})`
+                );
+            }
+        }
+    }
+}
+
+/**
+ * Counts the substitutions a message takes: the highest `$1` to `$9` its text or placeholders refer to.
+ * @param {object} entry - Message entry from messages.json
+ * @returns {number} Number of substitutions
+ */
+function substitutionCount(entry) {
+    const texts = [
+        entry.message,
+        ...Object.values(entry.placeholders || {}).map((placeholder) => placeholder?.content),
+    ];
+    const indexes = texts
+        .filter((text) => typeof text === "string")
+        .flatMap((text) => [...text.replace(/\$\$/g, "").matchAll(/\$([1-9])/g)].map((match) => Number(match[1])));
+    return Math.max(0, ...indexes);
+}
+
+/**
+ * Compares the hand-written `Messages` interface with the default locale, so that t() is type-checked
+ * against the messages that actually exist. Every message must be listed with one tuple element per
+ * substitution, and the interface must not list messages the locale lacks.
+ * @param {string} typesFile - File declaring `export interface Messages`
+ * @param {object} defaultMessages - Messages of the default locale
+ * @param {string} defaultPath - Path of the default locale's messages.json, for the findings
+ * @returns {string[]} Errors
+ */
+function checkMessagesType(typesFile, defaultMessages, defaultPath) {
+    const location = path.relative(__dirname, typesFile);
+    if (!fs.existsSync(typesFile)) return [`${location}: not found; it must declare the Messages interface`];
+    const source = stripComments(fs.readFileSync(typesFile, "utf8"));
+    const body = source.match(/export interface Messages\s*\{([^}]*)\}/);
+    if (!body) return [`${location}: does not declare 'export interface Messages'`];
+
+    const errors = [];
+    const bodyLine = source.slice(0, body.index).split("\n").length;
+    const declared = new Map();
+    for (const match of body[1].matchAll(/^\s*([A-Za-z0-9_@]+)\s*:\s*\[([^\]]*)\]/gm)) {
+        const line = bodyLine + body[1].slice(0, match.index).split("\n").length - 1;
+        const count = match[2].split(",").filter((element) => element.trim() !== "").length;
+        declared.set(match[1], { count, line });
+    }
+
+    for (const [name, { count, line }] of declared) {
+        const entry = findMessage(defaultMessages, name);
+        if (!entry) {
+            errors.push(`${location}:${line}: Messages lists '${name}', which ${defaultPath} does not define`);
+            continue;
+        }
+        const expected = substitutionCount(entry);
+        if (count !== expected) {
+            errors.push(
+                `${location}:${line}: Messages gives '${name}' ${count} substitution(s), but ${defaultPath} uses ${expected}`
+            );
+        }
+    }
+    const missing = Object.keys(defaultMessages).filter((name) => !declared.has(name));
+    if (missing.length > 0) {
+        errors.push(`${location}:${bodyLine}: Messages is missing ${missing.join(", ")} from ${defaultPath}`);
+    }
+    return errors;
+}
+
+/**
+ * Cross-checks message names between the source code, the manifest and the locales. Names passed to
+ * t() or getMessage() that the default locale lacks are errors. Messages that neither the manifest nor
+ * any source file mentions, and messages missing from or extra in other locales, are warnings. So are
+ * differences between the `Messages` type and the default locale (see checkMessagesType), as errors.
+ * @param {string} sourceDir - Directory with the extension source code
+ * @param {object} manifestJson - Manifest
+ * @param {object} locales - Messages keyed by locale, as returned by loadLocales
+ * @returns {object} { errors: string[], warnings: string[] }
+ */
+function checkMessageUsage(sourceDir, manifestJson, locales) {
+    const errors = [];
+    const warnings = [];
+    const defaultLocale = manifestJson.default_locale;
+    const defaultMessages = locales[defaultLocale];
+    if (jsonType(defaultMessages) !== "object") return { errors, warnings };
+
+    const defaultPath = `${LOCALES_DIR}/${defaultLocale}/messages.json`;
+    const mentioned = new Set(
+        collectMessageReferences(manifestJson).flatMap(([, value]) => messageNames(value).map((n) => n.toLowerCase()))
+    );
+
+    const sourceFiles = glob.sync("**/*.{ts,tsx,js,jsx}", { cwd: sourceDir, nodir: true, ignore: ["**/*.test.*"] });
+    for (const file of sourceFiles.sort()) {
+        const source = fs.readFileSync(path.join(sourceDir, file), "utf8");
+        // Any quoted message name counts as used, so names kept in lookup tables are not reported
+        for (const [, literal] of source.matchAll(/["'`]([A-Za-z0-9_@]+)["'`]/g)) {
+            mentioned.add(literal.toLowerCase());
+        }
+        for (const match of source.matchAll(/\b(?:t|getMessage)\(\s*["'`]([A-Za-z0-9_@]+)["'`]/g)) {
+            const name = match[1];
+            if (name.startsWith("@@") || findMessage(defaultMessages, name)) continue;
+            const line = source.slice(0, match.index).split("\n").length;
+            const location = path.relative(__dirname, path.join(sourceDir, file));
+            errors.push(`${location}:${line}: Message '${name}' is not defined in ${defaultPath}`);
+        }
+    }
+
+    errors.push(...checkMessagesType(path.join(sourceDir, MESSAGES_TYPE_FILE), defaultMessages, defaultPath));
+
+    const defaultNames = Object.keys(defaultMessages);
+    for (const name of defaultNames) {
+        if (!mentioned.has(name.toLowerCase())) {
+            warnings.push(`${defaultPath}#${name}: Not used by the manifest or the source code`);
+        }
+    }
+    for (const [locale, messages] of Object.entries(locales)) {
+        if (locale === defaultLocale || jsonType(messages) !== "object") continue;
+        const localePath = `${LOCALES_DIR}/${locale}/messages.json`;
+        const missing = defaultNames.filter((name) => !findMessage(messages, name));
+        if (missing.length > 0) {
+            warnings.push(`${localePath}: Missing ${missing.join(", ")} (falls back to '${defaultLocale}')`);
+        }
+        const extra = Object.keys(messages).filter((name) => !findMessage(defaultMessages, name));
+        if (extra.length > 0) {
+            warnings.push(`${localePath}: ${extra.join(", ")} not defined in the default locale`);
+        }
+    }
+
+    return { errors, warnings };
+}
+
+/**
+ * Blanks out the comments of a JavaScript or TypeScript source, keeping strings and line numbers.
+ * @param {string} source - Source code
+ * @returns {string} Source with every comment character except newlines replaced by a space
+ */
+function stripComments(source) {
+    return source.replace(
+        /("(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'|`(?:\\.|[^`\\])*`)|\/\/[^\n]*|\/\*[\s\S]*?\*\//g,
+        (match, string) => (string ? match : match.replace(/[^\n]/g, " "))
+    );
+}
+
+module.exports = {
+    checkMessageUsage,
+    checkStringArray,
+    checkUnknownKeys,
+    createReporter,
+    matchPatternError,
+    stripComments,
+    validateManifest,
+};
@@ -0,0 +1,356 @@
+/**
+ * @file Packaging of build.cjs: the reproducible store ZIP and its `.sha256` checksum file, the CRX3 file
+ * signed with key.pem for self-hosted installs and the `update.xml` pointing at it, and the .gitignore
+ * entries of the generated files.
+ *
+ * @module Packaging
+ * @requires fs
+ * @requires path
+ * @requires os
+ * @requires crypto
+ * @requires archiver
+ * @requires glob
+ * @requires ./manifest.cjs
+ * @requires ./manifestValidation.cjs
+ */
+
+/* eslint-disable no-undef */
+
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const { constants, createHash, createPrivateKey, createPublicKey, generateKeyPairSync, sign } = require("crypto");
+const archiver = require("archiver");
+const glob = require("glob");
+const { writeJsonFile } = require("./manifest.cjs");
+const { checkStringArray, checkUnknownKeys, createReporter } = require("./manifestValidation.cjs");
+
+const GREEN = "\x1b[1;32m";
+const RESET = "\x1b[0m";
+
+function green(text) {
+    return `${GREEN}${text}${RESET}`;
+}
+
+// Files left out of the store ZIP unless package.json sets its own `zip.exclude`
+const DEFAULT_ZIP_INCLUDE = ["**/*"];
+const DEFAULT_ZIP_EXCLUDE = ["**/*.map", "**/.DS_Store", "**/Thumbs.db", "**/desktop.ini"];
+// Earliest time a ZIP can store; used for every entry unless SOURCE_DATE_EPOCH is set
+const DEFAULT_ZIP_DATE = Date.UTC(1980, 0, 1);
+const ZIP_FILE_MODE = 0o644;
+
+const CRX3_MAGIC = "Cr24";
+const CRX3_SIGNATURE_CONTEXT = Buffer.from("CRX3 SignedData\x00", "binary");
+
+/**
+ * Reads the `zip` settings of package.json: glob patterns, relative to the output directory, of the
+ * files to put into the ZIP and of the files to leave out of it.
+ * @param {object} packageJson - Parsed package.json
+ * @returns {object} { include: string[], exclude: string[] }
+ */
+function resolveZipOptions(packageJson) {
+    const errors = [];
+    const report = createReporter(errors, errors);
+    const options = packageJson.zip ?? {};
+    if (report.type(options, "object", "zip")) {
+        checkUnknownKeys(options, ["include", "exclude"], "zip", report);
+        if (options.include !== undefined) checkStringArray(options.include, "zip.include", report);
+        if (options.exclude !== undefined) checkStringArray(options.exclude, "zip.exclude", report);
+    }
+    if (errors.length > 0) throw new Error(`Invalid ${green("package.json")} ${errors.join("; ")}`);
+    return { include: options.include ?? DEFAULT_ZIP_INCLUDE, exclude: options.exclude ?? DEFAULT_ZIP_EXCLUDE };
+}
+
+/**
+ * Returns the modification time stored for every ZIP entry: SOURCE_DATE_EPOCH (seconds) when set,
+ * otherwise 1980-01-01, so that the archive does not depend on when the files were written.
+ * @returns {Date} Entry date
+ */
+function zipEntryDate() {
+    const epoch = process.env.SOURCE_DATE_EPOCH;
+    if (epoch === undefined || epoch === "") return new Date(DEFAULT_ZIP_DATE);
+    if (!/^\d+$/.test(epoch)) throw new Error(`SOURCE_DATE_EPOCH must be a number of seconds (got '${epoch}')`);
+    return new Date(Number(epoch) * 1000);
+}
+
+/**
+ * Computes the SHA-256 hash of a file.
+ * @param {string} filePath - Path to the file
+ * @returns {string} Hex-encoded hash
+ */
+function hashFile(filePath) {
+    return createHash("sha256").update(fs.readFileSync(filePath)).digest("hex");
+}
+
+/**
+ * Writes `<zip>.sha256` next to a ZIP in the format `sha256sum --check` reads.
+ * @param {string} zipFilePath - Path to the ZIP file
+ * @returns {string} Hex-encoded hash of the ZIP
+ */
+function writeChecksumFile(zipFilePath) {
+    const hash = hashFile(zipFilePath);
+    fs.writeFileSync(`${zipFilePath}.sha256`, `${hash}  ${path.basename(zipFilePath)}\n`);
+    return hash;
+}
+
+/**
+ * Creates a reproducible ZIP archive of the output directory: entries are sorted by path and get a fixed
+ * date and file mode, so the same build output always produces the same bytes.
+ * @param {string} outputDir - Build output directory
+ * @param {string} zipFilePath - Path for the ZIP file
+ * @param {object} [zipOptions] - { include, exclude } glob patterns from resolveZipOptions, and `quiet` to
+ * skip logging for intermediate archives
+ * @returns {Promise<string[]>} Paths of the files added, relative to the output directory
+ */
+async function createZipArchive(outputDir, zipFilePath, zipOptions = {}) {
+    const { include = DEFAULT_ZIP_INCLUDE, exclude = DEFAULT_ZIP_EXCLUDE, quiet = false } = zipOptions;
+    const files = [
+        ...new Set(glob.sync(include, { cwd: outputDir, nodir: true, dot: true, posix: true, ignore: exclude })),
+    ].sort();
+    if (files.length === 0) throw new Error(`No files in ${outputDir} match the ZIP include patterns`);
+
+    if (!quiet) console.log(`📦 Creating ZIP archive: ${green(path.basename(zipFilePath))}`);
+    const output = fs.createWriteStream(zipFilePath);
+    const archive = archiver("zip", { zlib: { level: 9 } });
+
+    const archivePromise = new Promise((resolve, reject) => {
+        output.on("close", () => {
+            if (!quiet) {
+                console.log(`✅ ZIP file ${green(path.basename(zipFilePath))} created (${archive.pointer()} bytes)`);
+            }
+            resolve();
+        });
+        archive.on("error", (err) => reject(err));
+    });
+
+    archive.pipe(output);
+    const date = zipEntryDate();
+    for (const file of files) {
+        archive.append(fs.readFileSync(path.join(outputDir, file)), { name: file, date, mode: ZIP_FILE_MODE });
+    }
+    archive.finalize();
+    await archivePromise;
+    return files;
+}
+
+/**
+ * Packages the output directory again into a temporary ZIP and compares its hash with the existing one.
+ * @param {string} outputDir - Build output directory
+ * @param {string} zipFilePath - Path to the ZIP created by an earlier build
+ * @param {object} zipOptions - { include, exclude } glob patterns from resolveZipOptions
+ * @returns {Promise<object>} { expected, actual } hashes; equal when the build is reproducible
+ */
+async function verifyZipArchive(outputDir, zipFilePath, zipOptions) {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "build-verify-"));
+    try {
+        const rebuiltPath = path.join(tempDir, path.basename(zipFilePath));
+        await createZipArchive(outputDir, rebuiltPath, { ...zipOptions, quiet: true });
+        return { expected: hashFile(zipFilePath), actual: hashFile(rebuiltPath) };
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Loads the PEM private key used to sign CRX files, generating a 2048-bit RSA key when the file does not
+ * exist yet. The key decides the extension ID, so it must be kept and reused for every release.
+ * @param {string} keyPath - Path to the PKCS#8 PEM file
+ * @returns {object} { privateKey: KeyObject, publicKey: Buffer } with the public key as DER SubjectPublicKeyInfo
+ */
+function loadSigningKey(keyPath) {
+    if (!fs.existsSync(keyPath)) {
+        const { privateKey } = generateKeyPairSync("rsa", { modulusLength: 2048 });
+        fs.writeFileSync(keyPath, privateKey.export({ type: "pkcs8", format: "pem" }), { mode: 0o600 });
+        console.log(
+            `🔑 Generated signing key ${green(path.relative(__dirname, keyPath))}. Back it up and keep it private.`
+        );
+        if (!path.relative(__dirname, keyPath).startsWith("..")) {
+            manageGitignore([path.relative(__dirname, keyPath).split(path.sep).join("/")]);
+        }
+    }
+    let privateKey;
+    try {
+        privateKey = createPrivateKey(fs.readFileSync(keyPath, "utf8"));
+    } catch (error) {
+        throw new Error(`Could not read the private key ${keyPath}: ${error.message}`);
+    }
+    if (privateKey.asymmetricKeyType !== "rsa") throw new Error(`${keyPath} must contain an RSA private key`);
+    const publicKey = createPublicKey(privateKey).export({ type: "spki", format: "der" });
+    return { privateKey, publicKey };
+}
+
+/**
+ * Derives the extension ID from a public key the way Chrome does: the first 16 bytes of its SHA-256
+ * hash, written with the letters a-p instead of the hex digits 0-f.
+ * @param {Buffer} publicKey - DER SubjectPublicKeyInfo
+ * @returns {string} 32-character extension ID
+ */
+function extensionIdFromPublicKey(publicKey) {
+    return [...createHash("sha256").update(publicKey).digest("hex").slice(0, 32)]
+        .map((digit) => String.fromCharCode(97 + parseInt(digit, 16)))
+        .join("");
+}
+
+/**
+ * Encodes a length-delimited protocol buffer field.
+ * @param {number} field - Field number
+ * @param {Buffer} value - Field bytes
+ * @returns {Buffer} Tag, length and value
+ */
+function encodeProtobufField(field, value) {
+    const varint = (number) => {
+        const bytes = [];
+        while (number > 0x7f) {
+            bytes.push((number & 0x7f) | 0x80);
+            number >>>= 7;
+        }
+        bytes.push(number);
+        return Buffer.from(bytes);
+    };
+    return Buffer.concat([varint((field << 3) | 2), varint(value.length), value]);
+}
+
+/**
+ * Wraps a ZIP into a CRX3 file signed with RSA-SHA256. The header is a CrxFileHeader message holding the
+ * public key with its signature (field 2) and the signed CRX ID (field 10000), as Chrome verifies it.
+ * @param {Buffer} zip - ZIP archive of the extension
+ * @param {KeyObject} privateKey - RSA private key
+ * @param {Buffer} publicKey - DER SubjectPublicKeyInfo of the key
+ * @returns {Buffer} CRX3 file contents
+ */
+function createCrx3(zip, privateKey, publicKey) {
+    const crxId = createHash("sha256").update(publicKey).digest().subarray(0, 16);
+    const signedHeaderData = encodeProtobufField(1, crxId);
+
+    const signedDataLength = Buffer.alloc(4);
+    signedDataLength.writeUInt32LE(signedHeaderData.length);
+    const signature = sign("sha256", Buffer.concat([CRX3_SIGNATURE_CONTEXT, signedDataLength, signedHeaderData, zip]), {
+        key: privateKey,
+        padding: constants.RSA_PKCS1_PADDING,
+    });
+
+    const header = Buffer.concat([
+        encodeProtobufField(2, Buffer.concat([encodeProtobufField(1, publicKey), encodeProtobufField(2, signature)])),
+        encodeProtobufField(10000, signedHeaderData),
+    ]);
+    const prefix = Buffer.alloc(12);
+    prefix.write(CRX3_MAGIC, 0, "ascii");
+    prefix.writeUInt32LE(3, 4);
+    prefix.writeUInt32LE(header.length, 8);
+    return Buffer.concat([prefix, header, zip]);
+}
+
+/**
+ * Builds the update manifest that enterprise policies and `update_url` point Chrome at.
+ * @param {string} extensionId - Extension ID derived from the signing key
+ * @param {string} codebase - URL the CRX file is downloaded from
+ * @param {string} version - Extension version
+ * @returns {string} gupdate XML document
+ */
+function createUpdateManifest(extensionId, codebase, version) {
+    const escape = (value) => String(value).replace(/[&<>'"]/g, (char) => `&#${char.charCodeAt(0)};`);
+    return [
+        "<?xml version='1.0' encoding='UTF-8'?>",
+        "<gupdate xmlns='http://www.google.com/update2/response' protocol='2.0'>",
+        `    <app appid='${escape(extensionId)}'>`,
+        `        <updatecheck codebase='${escape(codebase)}' version='${escape(version)}' />`,
+        "    </app>",
+        "</gupdate>",
+        "",
+    ].join("\n");
+}
+
+/**
+ * Signs a target's output directory into a CRX3 file and writes its update manifest. The packaged
+ * manifest gets an `update_url` pointing at the update manifest unless it already has one.
+ * @param {string} targetDir - Output directory of the target
+ * @param {object} crx - { crxFilePath, updateFilePath, codebaseUrl, version, signingKey, zipOptions }
+ * @returns {Promise<string>} Extension ID
+ */
+async function createCrxPackage(targetDir, crx) {
+    const { crxFilePath, updateFilePath, codebaseUrl, version, signingKey, zipOptions } = crx;
+    const crxName = path.basename(crxFilePath);
+    const codebase = codebaseUrl.endsWith(".crx")
+        ? codebaseUrl
+        : new URL(crxName, `${codebaseUrl.replace(/\/?$/, "/")}`).href;
+    const updateUrl = new URL(path.basename(updateFilePath), codebase).href;
+
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "build-crx-"));
+    try {
+        const packageDir = path.join(tempDir, "extension");
+        fs.cpSync(targetDir, packageDir, { recursive: true });
+        const manifestPath = path.join(packageDir, "manifest.json");
+        const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+        if (!manifest.update_url) {
+            manifest.update_url = updateUrl;
+            writeJsonFile(manifestPath, manifest);
+        }
+
+        const zipPath = path.join(tempDir, "extension.zip");
+        await createZipArchive(packageDir, zipPath, { ...zipOptions, quiet: true });
+        fs.writeFileSync(
+            crxFilePath,
+            createCrx3(fs.readFileSync(zipPath), signingKey.privateKey, signingKey.publicKey)
+        );
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+
+    const extensionId = extensionIdFromPublicKey(signingKey.publicKey);
+    fs.writeFileSync(updateFilePath, createUpdateManifest(extensionId, codebase, version));
+    console.log(
+        `🔏 Signed ${green(crxName)} and wrote ${green(path.basename(updateFilePath))} (ID ${green(extensionId)})`
+    );
+    return extensionId;
+}
+
+/**
+ * Writes the public key into the manifest of an unpacked build as `key`, so Chrome gives it the same
+ * extension ID as the signed CRX.
+ * @param {string} manifestPath - Path to the emitted manifest.json
+ * @param {Buffer} publicKey - DER SubjectPublicKeyInfo
+ */
+function injectManifestKey(manifestPath, publicKey) {
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+    manifest.key = publicKey.toString("base64");
+    writeJsonFile(manifestPath, manifest);
+}
+
+/**
+ * Updates .gitignore to ignore generated files such as ZIPs, CRXs and the signing key.
+ * @param {string[]} patterns - Patterns to add when missing
+ */
+function manageGitignore(patterns) {
+    const gitignorePath = path.join(__dirname, ".gitignore");
+    const header = "# Generated by build.cjs";
+    if (fs.existsSync(gitignorePath)) {
+        const gitignoreContent = fs.readFileSync(gitignorePath, "utf8");
+        const lines = gitignoreContent.split(/\r?\n/);
+        const missing = patterns.filter((pattern) => !lines.includes(pattern));
+        if (missing.length > 0) {
+            const block = lines.includes(header) ? missing : ["", header, ...missing];
+            const separator = gitignoreContent === "" || gitignoreContent.endsWith("\n") ? "" : "\n";
+            fs.appendFileSync(gitignorePath, `${separator}${block.join("\n")}\n`);
+            console.log(`📝 Added ${missing.map((pattern) => green(pattern)).join(", ")} to ${green(".gitignore")}`);
+        }
+    } else {
+        fs.writeFileSync(gitignorePath, `${header}\n${patterns.join("\n")}\n`);
+        console.log(
+            `📝 Created ${green(".gitignore")} ignoring ${patterns.map((pattern) => green(pattern)).join(", ")}`
+        );
+    }
+}
+
+module.exports = {
+    createCrx3,
+    createCrxPackage,
+    createUpdateManifest,
+    createZipArchive,
+    extensionIdFromPublicKey,
+    injectManifestKey,
+    loadSigningKey,
+    manageGitignore,
+    resolveZipOptions,
+    verifyZipArchive,
+    writeChecksumFile,
+};
@@ -0,0 +1,340 @@
+/**
+ * @file Permission audit of build.cjs. Maps the chrome.* and browser.* APIs used in src to the
+ * permissions they need and compares them with the manifest: undeclared permissions are errors, while
+ * declared ones nothing uses, unused host permissions and broad host patterns granted on install are
+ * warnings. Also lists the warnings Chrome shows when the extension is installed.
+ *
+ * @module PermissionAudit
+ * @requires fs
+ * @requires path
+ * @requires glob
+ * @requires ./manifestValidation.cjs
+ */
+
+/* eslint-disable no-undef */
+
+const fs = require("fs");
+const path = require("path");
+const glob = require("glob");
+const { stripComments } = require("./manifestValidation.cjs");
+
+/**
+ * Permissions that `chrome.<namespace>` or `chrome.<namespace>.<member>` calls need, for the permission
+ * audit. Any one of the listed permissions will do; the most specific key wins, and an empty list means
+ * the member needs none. Namespaces that are missing (action, runtime, tabs, windows, ...) need none.
+ */
+const API_PERMISSIONS = {
+    alarms: ["alarms"],
+    bookmarks: ["bookmarks"],
+    browsingData: ["browsingData"],
+    certificateProvider: ["certificateProvider"],
+    contentSettings: ["contentSettings"],
+    contextMenus: ["contextMenus"],
+    cookies: ["cookies"],
+    debugger: ["debugger"],
+    declarativeContent: ["declarativeContent"],
+    declarativeNetRequest: ["declarativeNetRequest", "declarativeNetRequestWithHostAccess"],
+    desktopCapture: ["desktopCapture"],
+    documentScan: ["documentScan"],
+    downloads: ["downloads"],
+    "enterprise.deviceAttributes": ["enterprise.deviceAttributes"],
+    "enterprise.hardwarePlatform": ["enterprise.hardwarePlatform"],
+    "enterprise.networkingAttributes": ["enterprise.networkingAttributes"],
+    "enterprise.platformKeys": ["enterprise.platformKeys"],
+    fileBrowserHandler: ["fileBrowserHandler"],
+    fileSystemProvider: ["fileSystemProvider"],
+    fontSettings: ["fontSettings"],
+    gcm: ["gcm"],
+    history: ["history"],
+    identity: ["identity"],
+    idle: ["idle"],
+    loginState: ["loginState"],
+    management: ["management"],
+    "management.getSelf": [],
+    "management.uninstallSelf": [],
+    notifications: ["notifications"],
+    offscreen: ["offscreen"],
+    pageCapture: ["pageCapture"],
+    platformKeys: ["platformKeys"],
+    power: ["power"],
+    printerProvider: ["printerProvider"],
+    printing: ["printing"],
+    printingMetrics: ["printingMetrics"],
+    privacy: ["privacy"],
+    processes: ["processes"],
+    proxy: ["proxy"],
+    readingList: ["readingList"],
+    "runtime.connectNative": ["nativeMessaging"],
+    "runtime.sendNativeMessage": ["nativeMessaging"],
+    scripting: ["scripting"],
+    search: ["search"],
+    sessions: ["sessions"],
+    sidePanel: ["sidePanel"],
+    storage: ["storage"],
+    "system.cpu": ["system.cpu"],
+    "system.display": ["system.display"],
+    "system.memory": ["system.memory"],
+    "system.storage": ["system.storage"],
+    tabCapture: ["tabCapture"],
+    tabGroups: ["tabGroups"],
+    topSites: ["topSites"],
+    tts: ["tts"],
+    ttsEngine: ["ttsEngine"],
+    userScripts: ["userScripts"],
+    vpnProvider: ["vpnProvider"],
+    wallpaper: ["wallpaper"],
+    webAuthenticationProxy: ["webAuthenticationProxy"],
+    webNavigation: ["webNavigation"],
+    webRequest: ["webRequest"],
+};
+
+/**
+ * Calls that act on the content of pages, so they need `activeTab` or host permissions to do anything.
+ * A cross-origin fetch() from an extension page also counts as host access.
+ */
+const HOST_ACCESS_APIS = [
+    "cookies",
+    "declarativeNetRequest",
+    "scripting.executeScript",
+    "scripting.insertCSS",
+    "scripting.registerContentScripts",
+    "scripting.removeCSS",
+    "scripting.updateContentScripts",
+    "tabs.captureVisibleTab",
+    "webNavigation",
+    "webRequest",
+];
+
+const ALL_SITES_WARNING = "Read and change all your data on all websites";
+
+/**
+ * Warnings Chrome shows when the extension is installed or asks for an optional permission
+ * (https://developer.chrome.com/docs/extensions/develop/concepts/permission-warnings). Permissions
+ * without an entry install silently.
+ */
+const PERMISSION_WARNINGS = {
+    "accessibilityFeatures.modify": "Change your accessibility settings",
+    "accessibilityFeatures.read": "Read your accessibility settings",
+    bookmarks: "Read and change your bookmarks",
+    clipboardRead: "Read data you copy and paste",
+    clipboardWrite: "Modify data you copy and paste",
+    contentSettings:
+        "Change your settings that control websites' access to features such as cookies, JavaScript, plugins, geolocation, microphone, camera etc.",
+    debugger: ALL_SITES_WARNING,
+    declarativeNetRequest: "Block content on any page",
+    declarativeNetRequestFeedback: "Read your browsing history",
+    desktopCapture: "Capture content of your screen",
+    downloads: "Manage your downloads",
+    "downloads.open": "Open downloaded files",
+    favicon: "Read the icons of the websites you visit",
+    geolocation: "Detect your physical location",
+    history: "Read and change your browsing history on all your signed-in devices",
+    "identity.email": "Know your email address",
+    management: "Manage your apps, extensions, and themes",
+    nativeMessaging: "Communicate with cooperating native applications",
+    notifications: "Display notifications",
+    pageCapture: ALL_SITES_WARNING,
+    privacy: "Change your privacy-related settings",
+    proxy: ALL_SITES_WARNING,
+    readingList: "Read and change entries in the reading list",
+    sessions: "Read your browsing history on all your signed-in devices",
+    "system.storage": "Identify and eject storage devices",
+    tabCapture: ALL_SITES_WARNING,
+    tabGroups: "View and manage your tab groups",
+    tabs: "Read your browsing history",
+    topSites: "Read a list of your most frequently visited websites",
+    ttsEngine: "Read all text spoken using synthesized speech",
+    webAuthenticationProxy: ALL_SITES_WARNING,
+    webNavigation: "Read your browsing history",
+};
+
+/**
+ * Finds every `chrome.*` and `browser.*` API the source code refers to. Type references such as
+ * `chrome.tabs.Tab` are skipped, and so are the test harness and the popup preview shim, which stand in
+ * for the APIs instead of using them.
+ * @param {string} sourceDir - Directory to scan
+ * @returns {object} { apis: Array<{ api, location }>, fetches: boolean }, where api is the namespace with up
+ *   to two members (e.g. "storage.local.get") and fetches tells whether any file calls fetch()
+ */
+function collectApiUsage(sourceDir) {
+    const apis = [];
+    let fetches = false;
+    const sourceFiles = glob.sync("**/*.{ts,tsx,js,jsx}", {
+        cwd: sourceDir,
+        nodir: true,
+        ignore: ["**/*.test.*", "test/**", "dev/**"],
+    });
+    for (const file of sourceFiles.sort()) {
+        const source = stripComments(fs.readFileSync(path.join(sourceDir, file), "utf8"));
+        fetches ||= /\bfetch\(/.test(source);
+        for (const match of source.matchAll(/\b(?:chrome|browser)\.([A-Za-z0-9]+(?:\.[A-Za-z0-9]+){0,2})/g)) {
+            const api = match[1];
+            if (api.split(".").some((part) => /^[A-Z]/.test(part))) continue;
+            const line = source.slice(0, match.index).split("\n").length;
+            apis.push({ api, location: `${path.relative(__dirname, path.join(sourceDir, file))}:${line}` });
+        }
+    }
+    return { apis, fetches };
+}
+
+/**
+ * Looks up the permissions an API needs in API_PERMISSIONS, from its most specific entry.
+ * @param {string} api - Namespace with up to two members, e.g. "runtime.connectNative"
+ * @returns {string[]} Permissions of which any one will do; empty when the API needs none
+ */
+function requiredPermissions(api) {
+    const parts = api.split(".");
+    for (let length = parts.length; length > 0; length--) {
+        const key = parts.slice(0, length).join(".");
+        if (key in API_PERMISSIONS) return API_PERMISSIONS[key];
+    }
+    return [];
+}
+
+/**
+ * Whether a match pattern grants access to every site, or every site under a top-level domain.
+ * @param {string} pattern - Match pattern
+ * @returns {boolean} True for `<all_urls>`, `*://*\/*`, `https://*.com/*` and the like
+ */
+function isBroadHostPattern(pattern) {
+    if (pattern === "<all_urls>") return true;
+    const host = (pattern.split("://")[1] || "").split("/")[0].split(":")[0];
+    return host === "*" || /^\*\.[^.]+$/.test(host);
+}
+
+/**
+ * Returns the warning Chrome shows for a set of host patterns, phrased the way Chrome phrases it.
+ * @param {string[]} patterns - Match patterns
+ * @returns {string|null} The warning, or null when the patterns grant no website access
+ */
+function hostPermissionWarning(patterns) {
+    if (patterns.some((pattern) => pattern === "<all_urls>" || /^[^:]+:\/\/\*\//.test(pattern))) {
+        return ALL_SITES_WARNING;
+    }
+    const hosts = [
+        ...new Set(
+            patterns
+                .map((pattern) => (pattern.split("://")[1] || "").split("/")[0].split(":")[0])
+                .filter(Boolean)
+                .map((host) => (host.startsWith("*.") ? `all ${host.slice(2)} sites` : host))
+        ),
+    ];
+    if (hosts.length === 0) return null;
+    if (hosts.length > 3) return "Read and change your data on a number of websites";
+    const list = hosts.length < 3 ? hosts.join(" and ") : `${hosts[0]}, ${hosts[1]}, and ${hosts[2]}`;
+    return `Read and change your data on ${list}`;
+}
+
+/**
+ * Lists the warnings Chrome shows for a set of permissions and host patterns, without duplicates.
+ * @param {string[]} permissions - API permissions
+ * @param {string[]} hostPatterns - Host permissions and content script matches
+ * @returns {string[]} Warning texts
+ */
+function permissionWarnings(permissions, hostPatterns) {
+    const warnings = [hostPermissionWarning(hostPatterns), ...permissions.map((name) => PERMISSION_WARNINGS[name])];
+    return [...new Set(warnings.filter(Boolean))];
+}
+
+/**
+ * Compares the permissions the manifest declares with the APIs the source code uses. Permissions an API
+ * needs but neither `permissions` nor `optional_permissions` declares are errors. Permissions and host
+ * permissions nothing uses, and broad host patterns granted at install, are warnings. Permissions the
+ * code cannot reveal (e.g. `unlimitedStorage`) are not reported as unused.
+ * @param {string} sourceDir - Directory to scan
+ * @param {object} manifestJson - Manifest
+ * @returns {object} { errors: string[], warnings: string[], installWarnings: string[], optionalWarnings: string[] }
+ */
+function auditPermissions(sourceDir, manifestJson) {
+    const errors = [];
+    const warnings = [];
+    const { apis, fetches } = collectApiUsage(sourceDir);
+    const permissions = Array.isArray(manifestJson.permissions) ? manifestJson.permissions : [];
+    const optionalPermissions = Array.isArray(manifestJson.optional_permissions)
+        ? manifestJson.optional_permissions
+        : [];
+    const declared = new Set([...permissions, ...optionalPermissions]);
+
+    const used = new Set();
+    const missing = new Map();
+    for (const use of apis) {
+        const required = requiredPermissions(use.api);
+        if (required.length === 0) continue;
+        const granted = required.filter((permission) => declared.has(permission));
+        granted.forEach((permission) => used.add(permission));
+        if (granted.length > 0) continue;
+        const key = required.map((permission) => `'${permission}'`).join(" or ");
+        missing.set(key, [...(missing.get(key) || []), use]);
+    }
+    for (const [key, uses] of missing) {
+        const more = uses.length > 1 ? ` (and ${uses.length - 1} more use${uses.length > 2 ? "s" : ""})` : "";
+        errors.push(`${uses[0].location}: chrome.${uses[0].api} needs the ${key} permission${more}`);
+    }
+
+    const accessesPages = apis.some(({ api }) =>
+        HOST_ACCESS_APIS.some((hostApi) => api === hostApi || api.startsWith(`${hostApi}.`))
+    );
+    if (accessesPages) used.add("activeTab");
+    const detectable = new Set(["activeTab", ...Object.values(API_PERMISSIONS).flat()]);
+    for (const [key, list] of [
+        ["permissions", permissions],
+        ["optional_permissions", optionalPermissions],
+    ]) {
+        list.forEach((permission, index) => {
+            if (!detectable.has(permission) || used.has(permission)) return;
+            const reason =
+                permission === "activeTab"
+                    ? "nothing in src scripts, captures or otherwise accesses the active tab"
+                    : "nothing in src calls an API that needs it";
+            warnings.push(`${key}[${index}]: '${permission}' is declared but ${reason}`);
+        });
+    }
+
+    const hostPermissions = Array.isArray(manifestJson.host_permissions) ? manifestJson.host_permissions : [];
+    const optionalHostPermissions = Array.isArray(manifestJson.optional_host_permissions)
+        ? manifestJson.optional_host_permissions
+        : [];
+    const contentScriptMatches = (manifestJson.content_scripts || []).flatMap((entry, index) =>
+        (Array.isArray(entry?.matches) ? entry.matches : []).map((pattern, matchIndex) => ({
+            pattern,
+            jsonPath: `content_scripts[${index}].matches[${matchIndex}]`,
+        }))
+    );
+    for (const [key, list] of [
+        ["host_permissions", hostPermissions],
+        ["optional_host_permissions", optionalHostPermissions],
+    ]) {
+        list.forEach((pattern, index) => {
+            if (!accessesPages && !fetches) {
+                warnings.push(
+                    `${key}[${index}]: '${pattern}' is declared but nothing in src scripts pages, calls fetch() or uses cookies or webRequest`
+                );
+            } else if (key === "host_permissions" && isBroadHostPattern(pattern)) {
+                warnings.push(
+                    `${key}[${index}]: '${pattern}' grants access to every website on install; prefer 'activeTab', optional_host_permissions or the hosts the extension needs`
+                );
+            }
+        });
+    }
+    contentScriptMatches
+        .filter(({ pattern }) => isBroadHostPattern(pattern))
+        .forEach(({ pattern, jsonPath }) => {
+            warnings.push(
+                `${jsonPath}: '${pattern}' injects into every website; consider injecting on demand with 'activeTab'`
+            );
+        });
+
+    return {
+        errors,
+        warnings,
+        installWarnings: permissionWarnings(permissions, [
+            ...hostPermissions,
+            ...contentScriptMatches.map(({ pattern }) => pattern),
+        ]),
+        optionalWarnings: permissionWarnings(optionalPermissions, optionalHostPermissions),
+    };
+}
+
+module.exports = {
+    auditPermissions,
+};
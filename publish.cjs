@@ -2,13 +2,38 @@
  * @file Publish script for Chrome Extensions. Uploads a pre-built ZIP file to the Chrome Web Store
  * using OAuth 2.0 credentials. Performs the following actions:
  *
- * 1. Loads manifest.json to determine the ZIP file name based on extension name and version
+ * 1. Loads the production manifest from manifest.config.ts (through manifest.cjs, like build.cjs) to
+ *    determine the ZIP file name based on the localized extension name and version
  * 2. Verifies the existence of the ZIP file generated by build.cjs
  * 3. Ensures required Chrome Web Store credentials (CLIENT_ID, CLIENT_SECRET) are present
  * 4. Automatically obtains a refresh token if missing or invalid
  * 5. Fetches an OAuth 2.0 access token
- * 6. Uploads the ZIP file to the Chrome Web Store if EXTENSION_ID is available
- * 7. Logs detailed status updates and results
+ * 6. Uploads the ZIP file to the Chrome Web Store if EXTENSION_ID is available, polling while the
+ *    upload is IN_PROGRESS
+ * 7. Optionally publishes the uploaded draft (--publish), to a target and with a staged rollout
+ * 8. Logs detailed status updates and results, including parsed itemError entries
+ *
+ * Requests to the token endpoint and the API are retried with exponential backoff on network errors,
+ * 429 and 5xx responses (honouring Retry-After). The publish request is not idempotent and is sent once.
+ *
+ * **Usage:**
+ * ```sh
+ * node publish.cjs                                   # upload only; the item stays a draft
+ * node publish.cjs --publish                         # upload, then publish to everyone
+ * node publish.cjs --publish --target trustedTesters # upload, then publish to trusted testers
+ * node publish.cjs --publish --rollout 10            # upload, then publish to 10% of users
+ * node publish.cjs --status                          # only show the current draft and published state
+ * node publish.cjs --dry-run                         # check credentials and the ZIP without uploading
+ * node publish.cjs --ci --publish --json             # never prompt; print the result as JSON on stdout
+ * ```
+ *
+ * With `--ci` the script never starts the browser authorization flow: CLIENT_ID, CLIENT_SECRET,
+ * REFRESH_TOKEN and EXTENSION_ID must all be set, and a rejected refresh token is an error.
+ * With `--json` progress messages go to stderr and stdout receives a single JSON object describing the
+ * result (`ok`, `zip`, `upload`, `publish`, `items`, `error`).
+ *
+ * The API endpoints default to Google's and can be pointed at a local stand-in server with the
+ * `CWS_API_URL` and `CWS_TOKEN_URL` environment variables (or `--api-url` for the former).
  *
  * **Prerequisites:**
  * - A ZIP file must exist from a prior run of build.cjs
@@ -17,7 +42,8 @@
  *   - `CLIENT_ID`: OAuth 2.0 Client ID (see "How to obtain CLIENT_ID and CLIENT_SECRET" below)
  *   - `CLIENT_SECRET`: OAuth 2.0 Client Secret (see "How to obtain CLIENT_ID and CLIENT_SECRET" below)
  *   - `EXTENSION_ID`: Chrome Extension ID from [Chrome Web Store Developer Dashboard](https://chrome.google.com/webstore/developer/dashboard)
- * - `REFRESH_TOKEN` will be automatically obtained and saved to `.env` if missing or expired
+ * - `REFRESH_TOKEN` will be automatically obtained and saved to `.env` if missing or expired; an existing
+ *   entry is replaced in place
  *
  * **Example:**
  * ```env
@@ -40,8 +66,12 @@
  * @requires url
  * @requires readline
  * @requires child_process
+ * @requires util
+ * @requires zlib
+ * @requires crypto
  * @requires google-auth-library
  * @requires dotenv
+ * @requires ./manifest.cjs
  */
 
 /* eslint-disable no-undef */
@@ -52,7 +82,11 @@ const http = require("http");
 const url = require("url");
 const readline = require("readline");
 const { exec } = require("child_process");
+const { parseArgs } = require("util");
+const zlib = require("zlib");
+const { createHash } = require("crypto");
 const { OAuth2Client } = require("google-auth-library");
+const { loadLocales, loadManifest, packageNameOf, targetZipFileName } = require("./manifest.cjs");
 require("dotenv").config();
 
 const RED = "\x1b[1;31m";
@@ -77,6 +111,138 @@ function yellow(text) {
     return `${YELLOW}${text}${RESET}`;
 }
 
+const PUBLISH_TARGETS = ["default", "trustedTesters"];
+const STATUS_POLL_INTERVAL = 5000;
+const STATUS_POLL_TIMEOUT = 5 * 60 * 1000;
+const RETRY_ATTEMPTS = 4;
+const RETRY_BASE_DELAY = Number(process.env.CWS_RETRY_BASE_DELAY) || 1000;
+const RETRY_MAX_DELAY = 30 * 1000;
+
+// With --json, stdout is reserved for the result object and progress messages go to stderr
+let jsonOutput = false;
+
+/**
+ * Prints a progress message to stdout, or to stderr when stdout carries JSON output.
+ * @param {...*} args - Values to print
+ */
+function log(...args) {
+    if (jsonOutput) {
+        console.error(...args);
+    } else {
+        console.log(...args);
+    }
+}
+
+/**
+ * Removes terminal colour codes, for messages that end up in JSON output.
+ * @param {string} text - Text that may contain ANSI escape sequences
+ * @returns {string} Plain text
+ */
+function stripColors(text) {
+    return text.replace(/\u001b\[[\d;]*m/g, ""); // eslint-disable-line no-control-regex
+}
+
+/**
+ * Parses and validates command line flags.
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {object} { publish, status, target, rollout, apiUrl, ci, dryRun, json }
+ * @throws {Error} If a flag is unknown or has an invalid value
+ */
+function parseCliOptions(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            publish: { type: "boolean", default: false },
+            status: { type: "boolean", default: false },
+            target: { type: "string", default: "default" },
+            rollout: { type: "string" },
+            "api-url": { type: "string" },
+            ci: { type: "boolean", default: false },
+            "dry-run": { type: "boolean", default: false },
+            json: { type: "boolean", default: false },
+        },
+    });
+
+    if (!PUBLISH_TARGETS.includes(values.target)) {
+        throw new Error(`--target must be one of ${PUBLISH_TARGETS.join(", ")} (got "${values.target}")`);
+    }
+    let rollout;
+    if (values.rollout !== undefined) {
+        rollout = Number(values.rollout);
+        if (!Number.isInteger(rollout) || rollout < 1 || rollout > 100) {
+            throw new Error(`--rollout must be an integer percentage between 1 and 100 (got "${values.rollout}")`);
+        }
+        if (values.target !== "default") {
+            throw new Error("--rollout can only be used with the default publish target");
+        }
+    }
+    if ((values.target !== "default" || rollout !== undefined) && !values.publish) {
+        throw new Error("--target and --rollout only apply together with --publish");
+    }
+    if (values.status && values["dry-run"]) {
+        throw new Error("--dry-run cannot be combined with --status");
+    }
+
+    const apiUrl = (values["api-url"] || process.env.CWS_API_URL || "https://www.googleapis.com").replace(/\/+$/, "");
+    return {
+        publish: values.publish,
+        status: values.status,
+        target: values.target,
+        rollout,
+        apiUrl,
+        ci: values.ci,
+        dryRun: values["dry-run"],
+        json: values.json,
+    };
+}
+
+/**
+ * Calls fetch and retries network errors, 429 and 5xx responses with exponential backoff and jitter.
+ * A Retry-After header takes precedence over the computed delay.
+ * @param {string} requestUrl - URL to fetch
+ * @param {object} init - fetch options; the body must be reusable (string, Buffer or URLSearchParams)
+ * @param {string} label - Description of the request for retry messages
+ * @param {number} [attempts] - Number of attempts; 1 for requests that must not be repeated
+ * @returns {Promise<Response>} The first response that is not retried, or the last one
+ * @throws {Error} The network error of the last attempt
+ */
+async function fetchWithRetry(requestUrl, init, label, attempts = RETRY_ATTEMPTS) {
+    for (let attempt = 1; ; attempt++) {
+        let response;
+        let reason;
+        try {
+            response = await fetch(requestUrl, init);
+            if (response.status !== 429 && response.status < 500) return response;
+            reason = `HTTP ${response.status}`;
+        } catch (error) {
+            if (attempt === attempts) throw new Error(`${label} failed: ${error.cause?.message || error.message}`);
+            reason = error.cause?.code || error.message;
+        }
+        if (attempt === attempts) return response;
+
+        const retryAfter = Number(response?.headers.get("retry-after"));
+        const backoff = RETRY_BASE_DELAY * 2 ** (attempt - 1) * (1 + Math.random() / 2);
+        const delay = Math.min(retryAfter > 0 ? retryAfter * 1000 : backoff, RETRY_MAX_DELAY);
+        log(
+            `⚠️  ${label} failed (${reason}), retrying in ${(delay / 1000).toFixed(1)}s (${attempt}/${attempts - 1})...`
+        );
+        await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+}
+
+/**
+ * Reads a JSON response body, tolerating the HTML or empty bodies that gateways return on errors.
+ * @param {Response} response - fetch response
+ * @returns {Promise<object>} Parsed body, or an empty object when it is not JSON
+ */
+async function readJson(response) {
+    try {
+        return await response.json();
+    } catch {
+        return {};
+    }
+}
+
 /**
  * Fetches an access token for Chrome Web Store API using OAuth 2.0 credentials.
  * @returns {Promise<string>} Access token
@@ -84,22 +250,26 @@ function yellow(text) {
  */
 async function getAccessToken() {
     const { CLIENT_ID, CLIENT_SECRET, REFRESH_TOKEN } = process.env;
-    const response = await fetch("https://oauth2.googleapis.com/token", {
-        method: "POST",
-        headers: { "Content-Type": "application/x-www-form-urlencoded" },
-        body: new URLSearchParams({
-            client_id: CLIENT_ID,
-            client_secret: CLIENT_SECRET,
-            refresh_token: REFRESH_TOKEN,
-            grant_type: "refresh_token",
-        }),
-    });
-    const data = await response.json();
+    const response = await fetchWithRetry(
+        process.env.CWS_TOKEN_URL || "https://oauth2.googleapis.com/token",
+        {
+            method: "POST",
+            headers: { "Content-Type": "application/x-www-form-urlencoded" },
+            body: new URLSearchParams({
+                client_id: CLIENT_ID,
+                client_secret: CLIENT_SECRET,
+                refresh_token: REFRESH_TOKEN,
+                grant_type: "refresh_token",
+            }),
+        },
+        "Access token request"
+    );
+    const data = await readJson(response);
     if (!response.ok) {
         if (data.error === "invalid_grant") {
             throw new Error("Invalid refresh token");
         }
-        throw new Error(data.error_description || "Failed to get access token");
+        throw new Error(data.error_description || `Failed to get access token (HTTP ${response.status})`);
     }
     return data.access_token;
 }
@@ -120,9 +290,9 @@ async function getRefreshToken(clientId, clientSecret) {
         prompt: "consent",
     });
 
-    console.log("ℹ️  Authorize this app by visiting this URL:");
-    console.log(yellow(authorizeUrl));
-    console.log(`Press ${blue("ENTER")} to open in the browser...`);
+    log("ℹ️  Authorize this app by visiting this URL:");
+    log(yellow(authorizeUrl));
+    log(`Press ${blue("ENTER")} to open in the browser...`);
 
     const rl = readline.createInterface({
         input: process.stdin,
@@ -177,21 +347,28 @@ async function getRefreshToken(clientId, clientSecret) {
 
 /**
  * Ensures a valid access token is available, obtaining a new refresh token if necessary.
+ * @param {boolean} [ci] - Fail instead of starting the interactive authorization
  * @returns {Promise<string>} Access token
  */
-async function ensureAccessToken() {
+async function ensureAccessToken(ci = false) {
     if (!process.env.REFRESH_TOKEN) {
-        console.log("⚠️  Refresh token not found. Starting authorization process...");
+        if (ci) throw new Error("REFRESH_TOKEN must be set with --ci; authorize once locally to obtain it.");
+        log("⚠️  Refresh token not found. Starting authorization process...");
         const refreshToken = await getRefreshToken(process.env.CLIENT_ID, process.env.CLIENT_SECRET);
         process.env.REFRESH_TOKEN = refreshToken;
         saveRefreshToken(refreshToken);
     }
     try {
-        console.log("🔄 Fetching access token...");
+        log("🔄 Fetching access token...");
         return await getAccessToken();
     } catch (error) {
+        if (error.message === "Invalid refresh token" && ci) {
+            throw new Error(
+                "REFRESH_TOKEN was rejected (invalid_grant). Authorize again locally and update the secret."
+            );
+        }
         if (error.message === "Invalid refresh token") {
-            console.log("⚠️  Refresh token is invalid. Starting authorization process...");
+            log("⚠️  Refresh token is invalid. Starting authorization process...");
             const refreshToken = await getRefreshToken(process.env.CLIENT_ID, process.env.CLIENT_SECRET);
             process.env.REFRESH_TOKEN = refreshToken;
             saveRefreshToken(refreshToken);
@@ -203,83 +380,361 @@ async function ensureAccessToken() {
 }
 
 /**
- * Saves the refresh token to the .env file if it exists, or logs instructions.
+ * Saves the refresh token to the .env file if it exists, or logs instructions. An existing
+ * REFRESH_TOKEN entry is replaced where it is (duplicates left by older versions are removed);
+ * otherwise the entry is appended.
  * @param {string} refreshToken - The refresh token to save
  */
 function saveRefreshToken(refreshToken) {
     const dotenvPath = path.join(__dirname, ".env");
     if (fs.existsSync(dotenvPath)) {
-        fs.appendFileSync(dotenvPath, `\nREFRESH_TOKEN=${refreshToken}\n`);
-        console.log(`📝 Refresh token saved to ${green(".env")} file.`);
+        const entry = `REFRESH_TOKEN=${refreshToken}`;
+        const content = fs.readFileSync(dotenvPath, "utf8");
+        const newline = content.includes("\r\n") ? "\r\n" : "\n";
+        const lines = content.split(/\r?\n/);
+        const isEntry = (line) => /^\s*(export\s+)?REFRESH_TOKEN\s*=/.test(line);
+        const index = lines.findIndex(isEntry);
+        let updated;
+        if (index === -1) {
+            updated = [...(lines.at(-1) === "" ? lines.slice(0, -1) : lines), entry, ""];
+        } else {
+            updated = lines.flatMap((line, lineIndex) => {
+                if (lineIndex === index) return [entry];
+                return isEntry(line) ? [] : [line];
+            });
+        }
+        fs.writeFileSync(dotenvPath, updated.join(newline));
+        log(`📝 Refresh token saved to ${green(".env")} file.`);
     } else {
-        console.log(`ℹ️  Please add the following line to your ${green(".env")} file:`);
-        console.log(yellow(`REFRESH_TOKEN=${refreshToken}`));
+        log(`ℹ️  Please add the following line to your ${green(".env")} file:`);
+        log(yellow(`REFRESH_TOKEN=${refreshToken}`));
     }
 }
 
 /**
- * Uploads the ZIP file to the Chrome Web Store.
+ * Builds the request headers for the Chrome Web Store API.
+ * @param {string} accessToken - OAuth 2.0 access token
+ * @param {object} [extraHeaders] - Additional headers
+ * @returns {object} Headers
+ */
+function apiHeaders(accessToken, extraHeaders = {}) {
+    return { Authorization: `Bearer ${accessToken}`, "x-goog-api-version": "2", ...extraHeaders };
+}
+
+/**
+ * Formats the itemError entries of an item or upload response.
+ * @param {object} result - Chrome Web Store API response
+ * @returns {string[]} One line per error
+ */
+function formatItemErrors(result) {
+    return (result.itemError || []).map((entry) => `${entry.error_code}: ${entry.error_detail}`);
+}
+
+/**
+ * Fetches the draft or published state of an item.
+ * @param {string} apiUrl - Chrome Web Store API base URL
+ * @param {string} accessToken - OAuth 2.0 access token
+ * @param {string} extensionId - Chrome Extension ID
+ * @param {string} projection - "DRAFT" or "PUBLISHED"
+ * @returns {Promise<object>} Item resource
+ */
+async function fetchItem(apiUrl, accessToken, extensionId, projection) {
+    const response = await fetchWithRetry(
+        `${apiUrl}/chromewebstore/v1.1/items/${extensionId}?projection=${projection}`,
+        { headers: apiHeaders(accessToken) },
+        `Fetching the ${projection.toLowerCase()} item`
+    );
+    const result = await readJson(response);
+    if (!response.ok) {
+        throw new Error(
+            `Failed to fetch ${projection.toLowerCase()} item: ${result.error?.message || response.status}`
+        );
+    }
+    return result;
+}
+
+/**
+ * Polls the draft item until its upload is no longer IN_PROGRESS.
+ * @param {string} apiUrl - Chrome Web Store API base URL
+ * @param {string} accessToken - OAuth 2.0 access token
+ * @param {string} extensionId - Chrome Extension ID
+ * @returns {Promise<object>} Item resource with the final uploadState
+ */
+async function pollUploadState(apiUrl, accessToken, extensionId) {
+    const deadline = Date.now() + STATUS_POLL_TIMEOUT;
+    for (;;) {
+        log(`⏳ Upload is ${yellow("IN_PROGRESS")}, checking again in ${STATUS_POLL_INTERVAL / 1000}s...`);
+        await new Promise((resolve) => setTimeout(resolve, STATUS_POLL_INTERVAL));
+        const item = await fetchItem(apiUrl, accessToken, extensionId, "DRAFT");
+        if (item.uploadState !== "IN_PROGRESS") return item;
+        if (Date.now() > deadline) {
+            throw new Error(`Upload still IN_PROGRESS after ${STATUS_POLL_TIMEOUT / 60000} minutes`);
+        }
+    }
+}
+
+/**
+ * Uploads the ZIP file to the Chrome Web Store and waits until processing finishes.
  * @param {string} zipFilePath - Path to the ZIP file
  * @param {string} extensionId - Chrome Extension ID
+ * @param {string} accessToken - OAuth 2.0 access token
+ * @param {string} apiUrl - Chrome Web Store API base URL
+ * @returns {Promise<object>} Upload result with uploadState SUCCESS
  */
-async function uploadToChromeWebStore(zipFilePath, extensionId) {
-    const accessToken = await ensureAccessToken();
-    const apiUrl = `https://www.googleapis.com/upload/chromewebstore/v1.1/items/${extensionId}`;
-    const headers = {
-        Authorization: `Bearer ${accessToken}`,
-        "x-goog-api-version": "2",
-        "Content-Type": "application/zip",
-    };
-    console.log(`📦 Uploading ${green(path.basename(zipFilePath))} to Chrome Web Store...`);
-    const response = await fetch(apiUrl, {
-        method: "PUT",
-        headers,
-        body: fs.readFileSync(zipFilePath),
-    });
-    const result = await response.json();
+async function uploadToChromeWebStore(zipFilePath, extensionId, accessToken, apiUrl) {
+    const uploadUrl = `${apiUrl}/upload/chromewebstore/v1.1/items/${extensionId}`;
+    log(`📦 Uploading ${green(path.basename(zipFilePath))} to Chrome Web Store...`);
+    const response = await fetchWithRetry(
+        uploadUrl,
+        {
+            method: "PUT",
+            headers: apiHeaders(accessToken, { "Content-Type": "application/zip" }),
+            body: fs.readFileSync(zipFilePath),
+        },
+        "Upload"
+    );
+    let result = await readJson(response);
+    if (response.ok && result.uploadState === "IN_PROGRESS") {
+        result = await pollUploadState(apiUrl, accessToken, extensionId);
+    }
     if (response.ok && result.uploadState === "SUCCESS") {
-        console.log(`✅ Successfully uploaded ${green(path.basename(zipFilePath))} to Chrome Web Store.`);
+        log(`✅ Successfully uploaded ${green(path.basename(zipFilePath))} to Chrome Web Store.`);
+        return result;
     } else {
+        const itemErrors = formatItemErrors(result);
+        if (itemErrors.length > 0) {
+            console.error(red(`❌ Upload ${result.uploadState || "failed"}:`));
+            itemErrors.forEach((error) => console.error(red(`  - ${error}`)));
+            throw new Error("Upload rejected by Chrome Web Store");
+        }
         throw new Error(red(`❌ Upload failed: ${JSON.stringify(result)}`));
     }
 }
 
+/**
+ * Publishes the current draft of an item.
+ * @param {string} extensionId - Chrome Extension ID
+ * @param {string} accessToken - OAuth 2.0 access token
+ * @param {string} apiUrl - Chrome Web Store API base URL
+ * @param {string} target - "default" or "trustedTesters"
+ * @param {number} [rollout] - Staged rollout percentage for the default target
+ * @returns {Promise<string[]>} Publish statuses (OK or ITEM_PENDING_REVIEW)
+ */
+async function publishItem(extensionId, accessToken, apiUrl, target, rollout) {
+    const audience = target === "trustedTesters" ? "trusted testers" : rollout ? `${rollout}% of users` : "everyone";
+    log(`🚀 Publishing to ${blue(audience)}...`);
+    const response = await fetchWithRetry(
+        `${apiUrl}/chromewebstore/v1.1/items/${extensionId}/publish?publishTarget=${target}`,
+        {
+            method: "POST",
+            headers: apiHeaders(accessToken, { "Content-Type": "application/json" }),
+            body: JSON.stringify(rollout ? { deployPercentage: rollout } : {}),
+        },
+        "Publish",
+        // A retried publish could go out twice after a 5xx that was processed anyway
+        1
+    );
+    const result = await readJson(response);
+    const statuses = result.status || [];
+    if (response.ok && statuses.every((status) => status === "OK" || status === "ITEM_PENDING_REVIEW")) {
+        const pendingReview = statuses.includes("ITEM_PENDING_REVIEW");
+        log(`✅ Published to ${audience}${pendingReview ? ` ${yellow("(pending review)")}` : ""}.`);
+        return statuses;
+    } else {
+        console.error(red(`❌ Publish failed: ${statuses.join(", ") || response.status}`));
+        (result.statusDetail || []).forEach((detail) => console.error(red(`  - ${detail}`)));
+        throw new Error("Publish rejected by Chrome Web Store");
+    }
+}
+
+/**
+ * Prints the current draft and published state of an item.
+ * @param {string} extensionId - Chrome Extension ID
+ * @param {string} accessToken - OAuth 2.0 access token
+ * @param {string} apiUrl - Chrome Web Store API base URL
+ * @returns {Promise<object>} { draft, published }, each { version, uploadState, itemErrors } or { error }
+ */
+async function printItemStatus(extensionId, accessToken, apiUrl) {
+    const states = {};
+    for (const projection of ["DRAFT", "PUBLISHED"]) {
+        let item;
+        try {
+            item = await fetchItem(apiUrl, accessToken, extensionId, projection);
+        } catch (error) {
+            log(`${blue(projection.padEnd(9))} ${yellow(error.message)}`);
+            states[projection.toLowerCase()] = { error: error.message };
+            continue;
+        }
+        const version = item.crxVersion ? `v${item.crxVersion}` : "no version";
+        log(`${blue(projection.padEnd(9))} ${green(version)} (upload: ${item.uploadState || "unknown"})`);
+        formatItemErrors(item).forEach((error) => log(red(`  - ${error}`)));
+        states[projection.toLowerCase()] = {
+            version: item.crxVersion || null,
+            uploadState: item.uploadState || null,
+            itemErrors: formatItemErrors(item),
+        };
+    }
+    return states;
+}
+
+/**
+ * Lists the entries of a ZIP file from its central directory and reads `manifest.json`, so a broken or
+ * stale archive is caught before it is uploaded.
+ * @param {string} zipFilePath - Path to the ZIP file
+ * @returns {object} { entries: string[], manifest: object|null, size, sha256 }
+ * @throws {Error} If the file is not a readable ZIP archive
+ */
+function inspectZipFile(zipFilePath) {
+    const zip = fs.readFileSync(zipFilePath);
+    const name = path.basename(zipFilePath);
+    const endOffset = zip.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    if (zip.length < 22 || zip.readUInt32LE(0) !== 0x04034b50 || endOffset === -1) {
+        throw new Error(`${name} is not a valid ZIP archive`);
+    }
+
+    const entries = [];
+    let manifest = null;
+    let offset = zip.readUInt32LE(endOffset + 16);
+    for (let index = 0; index < zip.readUInt16LE(endOffset + 10); index++) {
+        if (zip.readUInt32LE(offset) !== 0x02014b50) throw new Error(`${name} has a corrupt central directory`);
+        const method = zip.readUInt16LE(offset + 10);
+        const compressedSize = zip.readUInt32LE(offset + 20);
+        const nameLength = zip.readUInt16LE(offset + 28);
+        const localOffset = zip.readUInt32LE(offset + 42);
+        const entryName = zip.toString("utf8", offset + 46, offset + 46 + nameLength);
+        entries.push(entryName);
+
+        if (entryName === "manifest.json") {
+            const dataOffset =
+                localOffset + 30 + zip.readUInt16LE(localOffset + 26) + zip.readUInt16LE(localOffset + 28);
+            const data = zip.subarray(dataOffset, dataOffset + compressedSize);
+            try {
+                manifest = JSON.parse((method === 8 ? zlib.inflateRawSync(data) : data).toString("utf8"));
+            } catch (error) {
+                throw new Error(`manifest.json in ${name} cannot be read: ${error.message}`);
+            }
+        }
+        offset += 46 + nameLength + zip.readUInt16LE(offset + 30) + zip.readUInt16LE(offset + 32);
+    }
+
+    return { entries, manifest, size: zip.length, sha256: createHash("sha256").update(zip).digest("hex") };
+}
+
+/**
+ * Checks that the ZIP contains a manifest for the expected version and matches its checksum file.
+ * @param {string} zipFilePath - Path to the ZIP file
+ * @param {string} version - Version the manifest should declare
+ * @returns {object} { file, size, sha256, entries } describing the checked archive
+ * @throws {Error} If the archive is broken, stale or does not match its checksum
+ */
+function validateZipFile(zipFilePath, version) {
+    const name = path.basename(zipFilePath);
+    const { entries, manifest, size, sha256 } = inspectZipFile(zipFilePath);
+    if (!manifest) throw new Error(`${name} has no manifest.json at its root`);
+    if (manifest.version !== version) {
+        throw new Error(`${name} contains version ${manifest.version}, expected ${version}. Rebuild it first.`);
+    }
+
+    const checksumPath = `${zipFilePath}.sha256`;
+    if (fs.existsSync(checksumPath) && fs.readFileSync(checksumPath, "utf8").split(/\s+/)[0] !== sha256) {
+        throw new Error(`${name} does not match ${path.basename(checksumPath)}`);
+    }
+    log(`🔍 ${green(name)} is valid (${entries.length} files, ${size} bytes, sha256 ${sha256})`);
+    return { file: name, size, sha256, entries: entries.length };
+}
+
 /**
  * Main publish script orchestrator.
  */
 async function main() {
+    const result = { ok: false };
     try {
-        // Check required credentials
-        if (!process.env.CLIENT_ID || !process.env.CLIENT_SECRET) {
-            throw new Error("CLIENT_ID and CLIENT_SECRET must be set in .env to proceed.");
+        const options = parseCliOptions(process.argv.slice(2));
+        jsonOutput = options.json;
+        result.dryRun = options.dryRun;
+
+        // Check required credentials; CI runs cannot authorize interactively, so they need all of them
+        const required = options.ci
+            ? ["CLIENT_ID", "CLIENT_SECRET", "REFRESH_TOKEN", "EXTENSION_ID"]
+            : ["CLIENT_ID", "CLIENT_SECRET"];
+        const missing = required.filter((name) => !process.env[name]);
+        if (missing.length > 0) {
+            throw new Error(
+                `${missing.join(", ")} must be set${options.ci ? " in the environment with --ci" : " in .env"}.`
+            );
         }
 
-        // Load manifest.json to determine the ZIP file
-        const manifestPath = path.join(__dirname, "static", "manifest.json");
-        if (!fs.existsSync(manifestPath)) {
-            throw new Error(`Manifest file ${green("manifest.json")} not found`);
+        // Only report the current state when --status is given
+        if (options.status) {
+            if (!process.env.EXTENSION_ID) throw new Error("EXTENSION_ID must be set in .env to query the status.");
+            const accessToken = await ensureAccessToken(options.ci);
+            result.items = await printItemStatus(process.env.EXTENSION_ID, accessToken, options.apiUrl);
+            result.ok = true;
+            return;
         }
-        const manifestJson = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
-        const packageName = manifestJson.name.toLowerCase().replace(/\s+/g, "-");
+
+        // Load the manifest the store ZIP was built from to determine its file name
+        const manifestJson = await loadManifest(__dirname, { mode: "production", command: "build" });
         const version = manifestJson.version;
-        const formattedVersion = `v${version.replace(/\./g, "-")}`;
-        const zipFileName = `${packageName}-${formattedVersion}.zip`;
+        const zipFileName = targetZipFileName(packageNameOf(manifestJson, loadLocales(__dirname)), version);
         const zipFilePath = path.join(__dirname, zipFileName);
 
         // Check if the ZIP file exists
         if (!fs.existsSync(zipFilePath)) {
-            throw new Error(`ZIP file ${green(zipFileName)} not found. Run build.js first.`);
+            throw new Error(`ZIP file ${green(zipFileName)} not found. Run ${green("npm run build")} first.`);
         }
+        result.zip = validateZipFile(zipFilePath, version);
 
-        // Upload if EXTENSION_ID is available
+        // A dry run stops after proving that the credentials work and, with EXTENSION_ID, can read the item
+        if (options.dryRun) {
+            const accessToken = await ensureAccessToken(options.ci);
+            if (process.env.EXTENSION_ID) {
+                const draft = await fetchItem(options.apiUrl, accessToken, process.env.EXTENSION_ID, "DRAFT");
+                log(
+                    `✅ Credentials can access item ${green(process.env.EXTENSION_ID)} (draft v${draft.crxVersion || "?"}).`
+                );
+            } else {
+                log("✅ Credentials are valid. Set EXTENSION_ID to also check access to the item.");
+            }
+            log(`🧪 Dry run: skipped uploading ${green(zipFileName)}${options.publish ? " and publishing it" : ""}.`);
+            result.ok = true;
+            return;
+        }
+
+        // Upload if EXTENSION_ID is available, then publish if requested
         if (process.env.EXTENSION_ID) {
-            await uploadToChromeWebStore(zipFilePath, process.env.EXTENSION_ID);
+            const accessToken = await ensureAccessToken(options.ci);
+
+            const upload = await uploadToChromeWebStore(
+                zipFilePath,
+                process.env.EXTENSION_ID,
+                accessToken,
+                options.apiUrl
+            );
+            result.upload = { uploadState: upload.uploadState };
+            if (options.publish) {
+                const statuses = await publishItem(
+                    process.env.EXTENSION_ID,
+                    accessToken,
+                    options.apiUrl,
+                    options.target,
+                    options.rollout
+                );
+                result.publish = { target: options.target, rollout: options.rollout ?? null, status: statuses };
+            } else {
+                log(`ℹ️  The upload is saved as a draft. Run with ${blue("--publish")} to publish it.`);
+            }
+            result.items = await printItemStatus(process.env.EXTENSION_ID, accessToken, options.apiUrl);
         } else {
-            console.log(`⚠️  EXTENSION_ID not found. ${green(zipFileName)} is ready for manual upload.`);
+            log(`⚠️  EXTENSION_ID not found. ${green(zipFileName)} is ready for manual upload.`);
         }
+        result.ok = true;
     } catch (error) {
+        result.error = stripColors(error.message);
         console.error(red(`❌ Error: ${error.message}`));
-        process.exit(1);
+        process.exitCode = 1;
+    } finally {
+        if (jsonOutput) console.log(JSON.stringify(result));
     }
 }
 
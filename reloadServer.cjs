@@ -0,0 +1,106 @@
+/**
+ * @file WebSocket server of `build.cjs --watch`. The dev reload client in the service worker
+ * (src/utils/devReload.ts) connects to it and reloads the extension, or refreshes the tabs of a content
+ * script, when the server says so.
+ *
+ * @module ReloadServer
+ * @requires http
+ * @requires crypto
+ */
+
+/* eslint-disable no-undef */
+
+const http = require("http");
+const { createHash } = require("crypto");
+
+const RED = "\x1b[1;31m";
+const RESET = "\x1b[0m";
+
+function red(text) {
+    return `${RED}${text}${RESET}`;
+}
+
+// The watch-mode reload server listens on this address only, and the dev client connects to the same one
+const RELOAD_HOST = "127.0.0.1";
+
+/**
+ * Starts a minimal WebSocket server that the dev reload client in the service worker connects to.
+ * Only server-to-client text frames are implemented; client frames are read just to honour close.
+ * @param {number} port - Port to listen on
+ * @returns {object} { broadcast(message), onConnection(listener), close() }
+ */
+function startReloadServer(port) {
+    const sockets = new Set();
+    const connectionListeners = [];
+    const server = http.createServer((req, res) => {
+        res.writeHead(426, { "Content-Type": "text/plain" });
+        res.end("Upgrade required");
+    });
+
+    const send = (socket, message) => {
+        const payload = Buffer.from(JSON.stringify(message));
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x81, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header.writeUInt8(0x81, 0);
+            header.writeUInt8(126, 1);
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header.writeUInt8(0x81, 0);
+            header.writeUInt8(127, 1);
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        socket.write(Buffer.concat([header, payload]));
+    };
+
+    server.on("upgrade", (req, socket) => {
+        const key = req.headers["sec-websocket-key"];
+        if (req.headers.upgrade?.toLowerCase() !== "websocket" || !key) {
+            socket.destroy();
+            return;
+        }
+        const accept = createHash("sha1")
+            .update(key + "258EAFA5-E914-47DA-95CA-C5AB0DC85B11")
+            .digest("base64");
+        socket.write(
+            "HTTP/1.1 101 Switching Protocols\r\n" +
+                "Upgrade: websocket\r\n" +
+                "Connection: Upgrade\r\n" +
+                `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+        );
+        sockets.add(socket);
+        socket.on("data", (frame) => {
+            if ((frame[0] & 0x0f) === 0x8) socket.end(Buffer.from([0x88, 0x00]));
+        });
+        socket.on("close", () => sockets.delete(socket));
+        socket.on("error", () => sockets.delete(socket));
+        connectionListeners.forEach((listener) => listener(socket));
+    });
+
+    // Regular traffic keeps the extension service worker from being suspended while idle
+    const keepAlive = setInterval(() => sockets.forEach((socket) => send(socket, { type: "ping" })), 20000);
+
+    server.on("error", (error) => {
+        console.error(red(`❌ Reload server error: ${error.message}`));
+    });
+    server.listen(port, RELOAD_HOST);
+
+    return {
+        broadcast: (message) => sockets.forEach((socket) => send(socket, message)),
+        send,
+        onConnection: (listener) => connectionListeners.push(listener),
+        close() {
+            clearInterval(keepAlive);
+            sockets.forEach((socket) => socket.destroy());
+            server.close();
+        },
+    };
+}
+
+module.exports = {
+    RELOAD_HOST,
+    startReloadServer,
+};
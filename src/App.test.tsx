@@ -0,0 +1,200 @@
+import { act, cleanup, fireEvent, render, screen } from "@testing-library/react";
+import App from "./App";
+import { chromeFake } from "./test/chromeFake";
+import { getSetting } from "./utils/settings";
+
+function logo() {
+    return document.querySelector(".logo-circle")!;
+}
+
+function destroyMessages() {
+    return chromeFake.messages.filter((entry) => (entry.message as { action?: string }).action === "destroyPage");
+}
+
+function loadWorker() {
+    return chromeFake.load({ type: "worker" }, () => import("./serviceWorker"));
+}
+
+async function renderPopup() {
+    render(<App />);
+    // Let useSetting read storage before hovering
+    await act(() => vi.advanceTimersByTimeAsync(0));
+}
+
+beforeEach(() => {
+    vi.useFakeTimers();
+});
+
+afterEach(() => {
+    cleanup();
+    vi.useRealTimers();
+    document.body.removeAttribute("style");
+    document.documentElement.querySelectorAll(":scope > div").forEach((overlay) => overlay.remove());
+});
+
+describe("App", () => {
+    it("destroys the active tab after hovering the logo for the hold duration", async () => {
+        const tab = chromeFake.addTab();
+        await loadWorker();
+        await renderPopup();
+
+        fireEvent.mouseEnter(logo());
+        await act(() => vi.advanceTimersByTimeAsync(1999));
+        expect(destroyMessages()).toEqual([]);
+
+        await act(() => vi.advanceTimersByTimeAsync(1));
+        await vi.waitFor(() => expect(document.querySelector("main")?.style.visibility).toBe("hidden"));
+        expect(destroyMessages()).toEqual([expect.objectContaining({ to: { tabId: tab.id, frameId: undefined } })]);
+        expect(chromeFake.injections).toEqual([{ tabId: tab.id, files: ["content.bundle.js"] }]);
+    });
+
+    it("shows how many elements of the tab are destroyed until the page is restored", async () => {
+        const tab = chromeFake.addTab();
+        await loadWorker();
+        await chromeFake.load({ type: "content", tabId: tab.id! }, () => import("./content"));
+        await renderPopup();
+        expect(screen.queryByRole("status")).not.toBeInTheDocument();
+
+        fireEvent.mouseEnter(logo());
+        await act(() => vi.advanceTimersByTimeAsync(2000));
+        // The popup and the page share one document here, and both effects hide it
+        await vi.waitFor(() =>
+            expect(screen.getByRole("status", { hidden: true })).toHaveTextContent("1 destroyed on this page.")
+        );
+
+        fireEvent.keyDown(window, { key: "Escape" });
+        await vi.waitFor(() => expect(screen.queryByRole("status", { hidden: true })).not.toBeInTheDocument());
+    });
+
+    it("cancels when the pointer leaves before the hold duration", async () => {
+        chromeFake.addTab();
+        await renderPopup();
+
+        fireEvent.mouseEnter(logo());
+        await act(() => vi.advanceTimersByTimeAsync(1500));
+        fireEvent.mouseLeave(logo());
+        await act(() => vi.advanceTimersByTimeAsync(5000));
+
+        expect(destroyMessages()).toEqual([]);
+    });
+
+    it("uses the stored hold duration and effect", async () => {
+        chromeFake.addTab();
+        await chromeFake.defaultContext.chrome.storage.sync.set({
+            "setting:holdDuration": 500,
+            "setting:effect": "blackout",
+        });
+        await loadWorker();
+        await renderPopup();
+
+        fireEvent.mouseEnter(logo());
+        await act(() => vi.advanceTimersByTimeAsync(500));
+
+        await vi.waitFor(() => expect(destroyMessages()).toHaveLength(1));
+        expect(destroyMessages()).toEqual([
+            expect.objectContaining({ message: expect.objectContaining({ payload: { effect: "blackout" } }) }),
+        ]);
+    });
+
+    it("explains why browser pages cannot be changed and does not send anything", async () => {
+        chromeFake.addTab({ url: "chrome://extensions/" });
+        await renderPopup();
+
+        expect(screen.getByRole("alert")).toHaveTextContent("Browser pages can't be changed by extensions.");
+        fireEvent.mouseEnter(logo());
+        await act(() => vi.advanceTimersByTimeAsync(2000));
+
+        expect(chromeFake.messages).toEqual([]);
+    });
+
+    it("logs a failed active tab lookup and leaves the popup unrestricted", async () => {
+        vi.spyOn(console, "error").mockImplementation(() => undefined);
+        await loadWorker();
+        chromeFake.failNext("tabs.query", "No current window");
+        await renderPopup();
+
+        expect(screen.queryByRole("alert")).not.toBeInTheDocument();
+        await vi.waitFor(() =>
+            expect(chromeFake.storage.session.get("logs")).toContainEqual(
+                expect.objectContaining({ level: "error", context: "popup", message: "Failed to read the active tab" })
+            )
+        );
+    });
+
+    it("shows the restriction the service worker reports when injecting fails", async () => {
+        chromeFake.addTab({ url: "https://example.com/" });
+        await loadWorker();
+        vi.spyOn(console, "warn").mockImplementation(() => undefined);
+        chromeFake.failNext("scripting.executeScript", "Cannot access contents of the page.");
+        await renderPopup();
+        expect(screen.queryByRole("alert")).not.toBeInTheDocument();
+
+        fireEvent.mouseEnter(logo());
+        await act(() => vi.advanceTimersByTimeAsync(2000));
+
+        await vi.waitFor(() =>
+            expect(screen.getByRole("alert")).toHaveTextContent("This page can't be accessed by the extension.")
+        );
+        expect(document.querySelector("main")?.style.visibility).toBe("");
+    });
+
+    it("stores the effect picked in the select", async () => {
+        await renderPopup();
+
+        fireEvent.change(screen.getByRole("combobox"), { target: { value: "pixel-dissolve" } });
+        await act(() => vi.advanceTimersByTimeAsync(0));
+
+        expect(screen.getByRole("combobox")).toHaveValue("pixel-dissolve");
+        await expect(getSetting("effect")).resolves.toBe("pixel-dissolve");
+    });
+
+    it("shows the previous effect again and logs the error when storing the picked one fails", async () => {
+        const consoleError = vi.spyOn(console, "error").mockImplementation(() => undefined);
+        await renderPopup();
+        chromeFake.failNext("storage.sync.set", "QUOTA_BYTES_PER_ITEM quota exceeded");
+
+        fireEvent.change(screen.getByRole("combobox"), { target: { value: "pixel-dissolve" } });
+        await act(() => vi.advanceTimersByTimeAsync(0));
+
+        expect(screen.getByRole("combobox")).toHaveValue("static-noise");
+        await expect(getSetting("effect")).resolves.toBe("static-noise");
+        expect(consoleError).toHaveBeenCalledWith(
+            expect.stringMatching(/^\[popup\] Failed to save the "effect" setting$/),
+            expect.anything()
+        );
+    });
+
+    it("opens the debug panel with Alt+Shift+L and filters the log buffer", async () => {
+        await chromeFake.defaultContext.chrome.storage.session.set({
+            logs: [
+                { level: "debug", context: "content", tabId: 3, time: 0, message: "Injected" },
+                { level: "error", context: "serviceWorker", time: 1, message: "Failed to destroy page" },
+            ],
+        });
+        await renderPopup();
+        expect(screen.queryByRole("region", { name: "Debug logs" })).not.toBeInTheDocument();
+
+        fireEvent.keyDown(window, { code: "KeyL", altKey: true, shiftKey: true });
+        await act(() => vi.advanceTimersByTimeAsync(0));
+        const panel = screen.getByRole("region", { name: "Debug logs" });
+        expect(panel).toHaveTextContent("content (tab 3): Injected");
+
+        fireEvent.change(screen.getByLabelText("Minimum level"), { target: { value: "warn" } });
+
+        expect(panel).not.toHaveTextContent("Injected");
+        expect(panel).toHaveTextContent("serviceWorker: Failed to destroy page");
+        expect(panel).toHaveTextContent("1 of 2 entries");
+    });
+
+    it("opens an empty debug panel when the log buffer can't be read", async () => {
+        const consoleError = vi.spyOn(console, "error").mockImplementation(() => undefined);
+        await renderPopup();
+        chromeFake.failNext("storage.session.get", "Access to storage is not allowed from this context.");
+
+        fireEvent.keyDown(window, { code: "KeyL", altKey: true, shiftKey: true });
+        await act(() => vi.advanceTimersByTimeAsync(0));
+
+        expect(screen.getByRole("region", { name: "Debug logs" })).toHaveTextContent("0 of 0 entries");
+        expect(consoleError).toHaveBeenCalledWith("[popup] Failed to read the log buffer", expect.anything());
+    });
+});
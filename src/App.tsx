@@ -1,31 +1,56 @@
-import { useEffect, useRef } from "react";
+import { useEffect, useRef, useState } from "react";
 import { destroyPage } from "./utils/utils";
+import { openStream, sendToRuntime } from "./utils/messaging";
+import { browser } from "./utils/browser";
+import { getPageRestriction } from "./utils/injection";
+import type { PageRestriction } from "./utils/injection";
+import type { MessageKey } from "./utils/i18n";
+import { useSetting } from "./hooks/useSetting";
+import { useTranslation } from "./hooks/useTranslation";
+import { listEffects } from "./utils/effects";
+import { createLogger } from "./utils/logger";
+import type { EffectName } from "./utils/effects";
 import Logo from "./components/Logo";
+import DebugPanel from "./components/DebugPanel";
+
+const RESTRICTION_MESSAGES: Record<PageRestriction, MessageKey> = {
+    "browser-page": "popupRestrictedBrowserPage",
+    "web-store": "popupRestrictedWebStore",
+    file: "popupRestrictedFile",
+    inaccessible: "popupRestrictedInaccessible",
+};
+
+const log = createLogger("popup");
 
 export default function App() {
     const timeoutIdRef = useRef<NodeJS.Timeout | undefined>(undefined);
     const mainRef = useRef<HTMLElement | null>(null);
     const triggerRef = useRef<HTMLDivElement | null>(null);
 
-    const duration = 2000;
+    const { t, dir } = useTranslation();
+    const [duration] = useSetting("holdDuration", log);
+    const [effect, setEffect] = useSetting("effect", log);
+
+    const [restriction, setRestriction] = useState<PageRestriction | null>(null);
+    const [destroyedCount, setDestroyedCount] = useState(0);
+    const [debugOpen, setDebugOpen] = useState(false);
 
     const startEffect = () => {
+        if (restriction) return;
         timeoutIdRef.current = setTimeout(() => {
-            chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-                if (tabs[0]?.id) {
-                    chrome.tabs.sendMessage(tabs[0].id, { action: "destroyPage" }, (response) => {
-                        if (chrome.runtime.lastError) {
-                            console.error("Error sending message:", chrome.runtime.lastError.message);
-                            alert("Please open a webpage to use this feature.");
-                        } else {
-                            console.log("Response from content script:", response);
-                        }
-                    });
-                }
-            });
-            if (mainRef.current) {
-                destroyPage(mainRef.current);
-            }
+            browser.tabs
+                .query({ active: true, currentWindow: true })
+                .then(async ([tab]) => {
+                    if (tab?.id === undefined) return;
+                    const response = await sendToRuntime("destroyTab", { tabId: tab.id, effect });
+                    log.debug("Response from service worker", response);
+                    if (response.status === "restricted") {
+                        setRestriction(response.restriction);
+                    } else if (mainRef.current) {
+                        destroyPage(mainRef.current, effect);
+                    }
+                })
+                .catch((error) => log.error("Failed to destroy the tab", error));
         }, duration);
     };
 
@@ -36,6 +61,39 @@ export default function App() {
         }
     };
 
+    // Opening the popup grants activeTab, so the URL of the active tab is readable here
+    useEffect(() => {
+        let active = true;
+        let stream: ReturnType<typeof openStream<"tabState">> | undefined;
+        browser.tabs
+            .query({ active: true, currentWindow: true })
+            .then(([tab]) => {
+                setRestriction(getPageRestriction(tab?.url));
+                if (!active || tab?.id === undefined) return;
+                stream = openStream("tabState");
+                stream.onMessage((state) => setDestroyedCount(state.destroyedCount));
+                stream.post({ tabId: tab.id });
+            })
+            .catch((error) => {
+                // Destroying still works, or explains the restriction itself if the page turns out to have one
+                log.error("Failed to read the active tab", error);
+                setRestriction(null);
+            });
+        return () => {
+            active = false;
+            stream?.close();
+        };
+    }, []);
+
+    // The debug panel is hidden from users; Alt+Shift+L toggles it
+    useEffect(() => {
+        const onKeyDown = (event: KeyboardEvent) => {
+            if (event.altKey && event.shiftKey && event.code === "KeyL") setDebugOpen((open) => !open);
+        };
+        window.addEventListener("keydown", onKeyDown);
+        return () => window.removeEventListener("keydown", onKeyDown);
+    }, []);
+
     useEffect(() => {
         return () => {
             if (timeoutIdRef.current) {
@@ -48,6 +106,7 @@ export default function App() {
         <main
             className="relative [&:has(.logo-circle:hover)_.background]:bg-red-500 flex h-screen w-screen items-center justify-center font-sans"
             ref={mainRef}
+            dir={dir}
         >
             <div className="background absolute w-80 h-80 bg-secondary blur-[10rem] transition-[background-color] duration-[2000ms] ease-in-out"></div>
             <div className="z-10 flex flex-col items-center p-4 gap-4">
@@ -58,14 +117,41 @@ export default function App() {
                         onMouseLeave={stopEffect}
                     />
                 </div>
-                <h1 className="text-center">React Chrome Extension Template</h1>
+                <h1 className="text-center">{t("popupTitle")}</h1>
+                {restriction && (
+                    <p role="alert" className="max-w-64 text-center text-sm text-red-400">
+                        {t(RESTRICTION_MESSAGES[restriction])}
+                    </p>
+                )}
+                {destroyedCount > 0 && (
+                    <p role="status" className="max-w-64 text-center text-sm">
+                        {t("popupDestroyedCount", String(destroyedCount))}
+                    </p>
+                )}
+                <label className="flex items-center gap-2 text-sm">
+                    {t("popupEffect")}
+                    <select
+                        className="rounded border border-current bg-transparent px-2 py-1"
+                        value={effect}
+                        onChange={(event) => setEffect(event.target.value as EffectName)}
+                    >
+                        {listEffects().map(({ name, label }) => (
+                            <option key={name} value={name} className="text-black">
+                                {label}
+                            </option>
+                        ))}
+                    </select>
+                </label>
                 <p className="text-center text-lg">
-                    Created by <a href="https://github.com/ganemedelabs">Ganemede Labs</a>
+                    {t("popupCreatedBy")} <a href="https://github.com/ganemedelabs">Ganemede Labs</a>
                 </p>
                 <p className="text-center text-sm">
-                    <a href="https://github.com/ganemedelabs/react-chrome-extension-template">View on GitHub</a>
+                    <a href="https://github.com/ganemedelabs/react-chrome-extension-template">
+                        {t("popupViewOnGitHub")}
+                    </a>
                 </p>
             </div>
+            {debugOpen && <DebugPanel onClose={() => setDebugOpen(false)} />}
         </main>
     );
 }
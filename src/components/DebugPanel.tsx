@@ -0,0 +1,125 @@
+import { useEffect, useState } from "react";
+import { useTranslation } from "../hooks/useTranslation";
+import { LOG_LEVELS, clearLogs, createLogger, getLogs, subscribeLogs } from "../utils/logger";
+import type { LogContext, LogEntry, LogLevel } from "../utils/logger";
+
+const log = createLogger("popup");
+
+const CONTEXTS: LogContext[] = ["popup", "options", "content", "serviceWorker"];
+
+const LEVEL_COLORS: Record<LogLevel, string> = {
+    debug: "text-neutral-400",
+    info: "text-sky-400",
+    warn: "text-yellow-400",
+    error: "text-red-400",
+};
+
+interface DebugPanelProps {
+    onClose: () => void;
+}
+
+/**
+ * Shows the log buffer of every context, newest entry first, and exports what is shown as JSON.
+ * Opened from the popup with Alt+Shift+L.
+ */
+export default function DebugPanel({ onClose }: DebugPanelProps) {
+    const { t } = useTranslation();
+    const [logs, setLogs] = useState<LogEntry[]>([]);
+    const [minLevel, setMinLevel] = useState<LogLevel>("debug");
+    const [context, setContext] = useState<LogContext | "">("");
+    const [search, setSearch] = useState("");
+
+    useEffect(() => {
+        // The panel stays empty until the buffer changes if session storage can't be read
+        getLogs()
+            .then(setLogs)
+            .catch((error) => log.error("Failed to read the log buffer", error));
+        return subscribeLogs(setLogs);
+    }, []);
+
+    const query = search.trim().toLowerCase();
+    const shown = logs
+        .filter(
+            (entry) =>
+                LOG_LEVELS.indexOf(entry.level) >= LOG_LEVELS.indexOf(minLevel) &&
+                (!context || entry.context === context) &&
+                (!query || `${entry.message} ${JSON.stringify(entry.data ?? "")}`.toLowerCase().includes(query))
+        )
+        .reverse();
+
+    const exportLogs = () => {
+        const url = URL.createObjectURL(new Blob([JSON.stringify(shown, null, 4)], { type: "application/json" }));
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = `logs-${new Date().toISOString().replace(/[:.]/g, "-")}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    return (
+        <section
+            aria-label={t("debugPanelTitle")}
+            className="absolute inset-0 z-20 flex flex-col gap-2 overflow-hidden bg-black p-3 text-xs"
+        >
+            <div className="flex flex-wrap items-center gap-2">
+                <select
+                    aria-label={t("debugPanelMinimumLevel")}
+                    className="rounded bg-neutral-800 px-1 py-0.5"
+                    value={minLevel}
+                    onChange={(event) => setMinLevel(event.target.value as LogLevel)}
+                >
+                    {LOG_LEVELS.map((level) => (
+                        <option key={level} value={level}>
+                            {level}
+                        </option>
+                    ))}
+                </select>
+                <select
+                    aria-label={t("debugPanelContext")}
+                    className="rounded bg-neutral-800 px-1 py-0.5"
+                    value={context}
+                    onChange={(event) => setContext(event.target.value as LogContext | "")}
+                >
+                    <option value="">{t("debugPanelAllContexts")}</option>
+                    {CONTEXTS.map((name) => (
+                        <option key={name} value={name}>
+                            {name}
+                        </option>
+                    ))}
+                </select>
+                <input
+                    aria-label={t("debugPanelSearch")}
+                    placeholder={t("debugPanelSearch")}
+                    className="min-w-0 flex-1 rounded bg-neutral-800 px-1 py-0.5"
+                    value={search}
+                    onChange={(event) => setSearch(event.target.value)}
+                />
+                <button className="rounded bg-neutral-800 px-2 py-0.5" onClick={exportLogs}>
+                    {t("debugPanelExport")}
+                </button>
+                <button
+                    className="rounded bg-neutral-800 px-2 py-0.5"
+                    onClick={() => clearLogs().catch((error) => log.error("Failed to clear the log buffer", error))}
+                >
+                    {t("debugPanelClear")}
+                </button>
+                <button className="rounded bg-neutral-800 px-2 py-0.5" onClick={onClose}>
+                    {t("debugPanelClose")}
+                </button>
+            </div>
+            <ol className="flex flex-1 flex-col gap-1 overflow-auto font-mono">
+                {shown.map((entry, index) => (
+                    <li key={`${entry.time}:${index}`} className="break-all">
+                        <span className="text-neutral-500">{new Date(entry.time).toLocaleTimeString()}</span>{" "}
+                        <span className={LEVEL_COLORS[entry.level]}>{entry.level}</span> {entry.context}
+                        {entry.tabId !== undefined && t("debugPanelTab", String(entry.tabId))}: {entry.message}
+                        {entry.data !== undefined && (
+                            <span className="text-neutral-400"> {JSON.stringify(entry.data)}</span>
+                        )}
+                    </li>
+                ))}
+            </ol>
+            <p className="text-neutral-500">{t("debugPanelEntryCount", String(shown.length), String(logs.length))}</p>
+        </section>
+    );
+}
@@ -0,0 +1,158 @@
+import { useSetting } from "../hooks/useSetting";
+import { useTranslation } from "../hooks/useTranslation";
+import { browser } from "../utils/browser";
+import { createLogger } from "../utils/logger";
+import { SETTINGS, resetSetting } from "../utils/settings";
+import type { SettingDefinition, SettingKey } from "../utils/settings";
+
+const log = createLogger("options");
+
+interface SettingFieldProps {
+    settingKey: SettingKey;
+}
+
+function SettingField({ settingKey }: SettingFieldProps) {
+    const definition = SETTINGS[settingKey] as SettingDefinition<unknown>;
+    const { t } = useTranslation();
+    const [value, setValue, loaded] = useSetting(settingKey, log);
+    const inputId = `setting-${settingKey}`;
+    // Logs a failed write and shows the stored value again itself
+    const update = setValue as (next: unknown) => Promise<void>; // eslint-disable-line no-unused-vars
+
+    // permissions.request needs the user gesture, so it runs straight from the change event
+    const toggle = async (checked: boolean) => {
+        const { permissions } = definition;
+        if (!permissions) return update(checked);
+        if (checked) {
+            if (await browser.permissions.request(permissions)) await update(true);
+        } else {
+            await update(false);
+            await browser.permissions.remove(permissions);
+        }
+    };
+
+    let input;
+    if (definition.options) {
+        input = (
+            <select
+                id={inputId}
+                className="rounded bg-neutral-800 px-2 py-1"
+                value={String(value)}
+                disabled={!loaded}
+                onChange={(event) => update(event.target.value)}
+            >
+                {definition.options.map((option) => {
+                    const message = definition.optionMessages?.[String(option)];
+                    return (
+                        <option key={String(option)} value={String(option)}>
+                            {message ? t(message) : String(option)}
+                        </option>
+                    );
+                })}
+            </select>
+        );
+    } else if (Array.isArray(definition.default)) {
+        input = (
+            <textarea
+                id={inputId}
+                className="h-20 w-56 rounded bg-neutral-800 px-2 py-1"
+                defaultValue={(value as string[]).join("\n")}
+                // Remount when the stored list changes so edits from other contexts show up
+                key={`${loaded}:${(value as string[]).join("\n")}`}
+                disabled={!loaded}
+                onBlur={(event) =>
+                    update(
+                        event.target.value
+                            .split("\n")
+                            .map((line) => line.trim())
+                            .filter(Boolean)
+                    )
+                }
+            />
+        );
+    } else if (typeof definition.default === "boolean") {
+        input = (
+            <input
+                id={inputId}
+                type="checkbox"
+                className="h-4 w-4"
+                checked={Boolean(value)}
+                disabled={!loaded}
+                onChange={(event) =>
+                    toggle(event.target.checked).catch((error) =>
+                        log.error(`Failed to change the "${settingKey}" setting`, error)
+                    )
+                }
+            />
+        );
+    } else if (typeof definition.default === "number") {
+        input = (
+            <input
+                id={inputId}
+                type="number"
+                className="w-28 rounded bg-neutral-800 px-2 py-1"
+                value={Number(value)}
+                min={definition.min}
+                max={definition.max}
+                step={definition.step}
+                disabled={!loaded}
+                onChange={(event) => {
+                    const next = event.target.valueAsNumber;
+                    const inRange =
+                        !Number.isNaN(next) &&
+                        (definition.min === undefined || next >= definition.min) &&
+                        (definition.max === undefined || next <= definition.max);
+                    if (inRange) update(next);
+                }}
+            />
+        );
+    } else {
+        input = (
+            <input
+                id={inputId}
+                type="text"
+                className="rounded bg-neutral-800 px-2 py-1"
+                value={String(value)}
+                disabled={!loaded}
+                onChange={(event) => update(event.target.value)}
+            />
+        );
+    }
+
+    return (
+        <div className="flex items-center justify-between gap-4">
+            <div className="flex flex-col">
+                <label htmlFor={inputId} className="font-bold">
+                    {t(definition.label)}
+                </label>
+                {definition.description && <p className="text-sm text-neutral-400">{t(definition.description)}</p>}
+            </div>
+            <div className="flex items-center gap-2">
+                {input}
+                <button
+                    type="button"
+                    className="text-primary text-sm hover:underline"
+                    onClick={() =>
+                        resetSetting(settingKey).catch((error) =>
+                            log.error(`Failed to reset the "${settingKey}" setting`, error)
+                        )
+                    }
+                >
+                    {t("optionsReset")}
+                </button>
+            </div>
+        </div>
+    );
+}
+
+export default function OptionsPage() {
+    const { t, dir } = useTranslation();
+    return (
+        <main className="flex flex-col gap-4 p-6 font-sans" dir={dir}>
+            <h1 className="text-xl">{t("optionsTitle")}</h1>
+            {(Object.keys(SETTINGS) as SettingKey[]).map((key) => (
+                <SettingField key={key} settingKey={key} />
+            ))}
+        </main>
+    );
+}
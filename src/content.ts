@@ -1,27 +1,87 @@
-import { destroyPage } from "./utils/utils";
-
-const icon = document.createElement("img");
-icon.src = chrome.runtime.getURL("images/icon-48.png");
-icon.style.position = "fixed";
-icon.style.bottom = "10px";
-icon.style.left = "10px";
-icon.style.width = "30px";
-icon.style.height = "30px";
-icon.style.cursor = "pointer";
-icon.style.zIndex = "9999";
-icon.title = "Click to destroy page";
-icon.onmouseenter = () => (icon.style.scale = "1.3");
-icon.onmouseleave = () => (icon.style.scale = "1");
-icon.style.transition = "0.1s scale ease";
-document.body.appendChild(icon);
-
-icon.addEventListener("click", () => {
-    destroyPage(document.body);
-});
-
-chrome.runtime.onMessage.addListener((message, _, sendResponse) => {
-    if (message.action === "destroyPage") {
-        destroyPage(document.body);
-        sendResponse({ status: "Page destroyed" });
+import { destroyPage, restorePage } from "./utils/utils";
+import type { DestroyHandle } from "./utils/utils";
+import { handleMessage, sendToRuntime } from "./utils/messaging";
+import type { DestroyScope } from "./utils/messaging";
+import { browser } from "./utils/browser";
+import { mountLauncher } from "./utils/launcher";
+import { getSetting } from "./utils/settings";
+import type { EffectName } from "./utils/effects";
+import { t } from "./utils/i18n";
+import { createLogger } from "./utils/logger";
+
+const log = createLogger("content");
+
+const destroyHandles = new Map<HTMLElement, DestroyHandle>();
+
+// The element the last context menu was opened on, so menu entries can scope the effect to it
+let contextTarget: Element | null = null;
+
+function reportState() {
+    sendToRuntime("pageStateChanged", { destroyedCount: destroyHandles.size }).catch((error) =>
+        log.error("Failed to report page state", error)
+    );
+}
+
+function resolveTarget(scope: DestroyScope): HTMLElement {
+    if (scope === "selection") {
+        const selection = window.getSelection();
+        if (selection && selection.rangeCount > 0 && !selection.isCollapsed) {
+            const node = selection.getRangeAt(0).commonAncestorContainer;
+            const element = node instanceof HTMLElement ? node : node.parentElement;
+            if (element && element !== document.documentElement) return element;
+        }
+    } else if (scope === "image" || scope === "link") {
+        const element = contextTarget?.closest(scope === "image" ? "img" : "a");
+        if (element instanceof HTMLElement) return element;
     }
-});
+    return document.body;
+}
+
+async function destroy(scope: DestroyScope = "page", effect?: EffectName): Promise<boolean> {
+    const target = resolveTarget(scope);
+    if (destroyHandles.has(target)) return false;
+    const effectName = effect ?? (await getSetting("effect"));
+    // Another request may have destroyed the target while the setting was loading
+    if (destroyHandles.has(target)) return false;
+    destroyHandles.set(target, destroyPage(target, effectName));
+    reportState();
+    return true;
+}
+
+function restore(): boolean {
+    if (destroyHandles.size === 0) return false;
+    destroyHandles.forEach((handle) => restorePage(handle));
+    destroyHandles.clear();
+    reportState();
+    return true;
+}
+
+mountLauncher({
+    iconUrl: browser.runtime.getURL("images/icon-48.png"),
+    title: t("launcherTitle"),
+    onActivate: () => {
+        destroy().catch((error) => log.error("Failed to destroy page from the launcher", error));
+    },
+}).catch((error) => log.error("Failed to mount launcher", error));
+
+document.addEventListener(
+    "contextmenu",
+    (event) => {
+        contextTarget = event.target instanceof Element ? event.target : null;
+    },
+    true
+);
+
+window.addEventListener(
+    "keydown",
+    (event) => {
+        if (event.key === "Escape" && destroyHandles.size > 0) restore();
+    },
+    true
+);
+
+handleMessage("destroyPage", async ({ scope, effect }) => ({
+    status: (await destroy(scope, effect)) ? "destroyed" : "already-destroyed",
+}));
+handleMessage("restorePage", () => ({ status: restore() ? "restored" : "not-destroyed" }));
+handleMessage("ping", () => ({ ready: true }));
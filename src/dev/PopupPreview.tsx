@@ -0,0 +1,204 @@
+import { useEffect, useRef, useState } from "react";
+import { DEFAULT_SCENARIO, LOG_CHANNEL, clearPreviewStorage, loadScenario, saveScenario } from "./previewState";
+import type { ContentScriptBehavior, PreviewLogEntry, PreviewScenario } from "./previewState";
+
+// Chrome sizes a popup to its content within these bounds
+const POPUP_MIN = { width: 25, height: 25 };
+const POPUP_MAX = { width: 800, height: 600 };
+
+const LOG_LIMIT = 100;
+
+const URL_PRESETS = [
+    "https://example.com/",
+    "chrome://extensions/",
+    "https://chromewebstore.google.com/detail/example",
+    "file:///home/user/page.html",
+];
+
+const CONTENT_SCRIPT_BEHAVIORS: Record<ContentScriptBehavior, string> = {
+    destroyed: "Destroys the page",
+    "already-destroyed": "Reports the page as already destroyed",
+    "injection-failed": "Cannot be injected",
+    "handler-failed": "Throws in its handler",
+    timeout: "Never answers",
+};
+
+const FAILING_APIS = [
+    "tabs.query",
+    "tabs.get",
+    "runtime.sendMessage",
+    "storage.sync.get",
+    "storage.sync.set",
+    "storage.local.get",
+    "storage.local.set",
+    "permissions.request",
+];
+
+function clamp(value: number, min: number, max: number): number {
+    return Math.min(Math.max(value, min), max);
+}
+
+/**
+ * The page `npm start` opens: the popup in a frame sized like the real one, next to controls for the
+ * fake tab it talks to and a log of every extension API call it makes.
+ */
+export default function PopupPreview() {
+    const frameRef = useRef<HTMLIFrameElement | null>(null);
+    const [scenario, setScenario] = useState<PreviewScenario>(loadScenario);
+    const [frameKey, setFrameKey] = useState(0);
+    const [size, setSize] = useState(POPUP_MIN);
+    const [log, setLog] = useState<PreviewLogEntry[]>([]);
+
+    const reloadPopup = () => setFrameKey((key) => key + 1);
+
+    const update = (changes: Partial<PreviewScenario>) => {
+        const next = { ...scenario, ...changes };
+        saveScenario(next);
+        setScenario(next);
+        // The popup reads the tab's URL once when it opens, like the real one
+        if (changes.url !== undefined) reloadPopup();
+    };
+
+    useEffect(() => {
+        const channel = new BroadcastChannel(LOG_CHANNEL);
+        channel.onmessage = (event: MessageEvent<PreviewLogEntry>) =>
+            setLog((entries) => [event.data, ...entries].slice(0, LOG_LIMIT));
+        return () => channel.close();
+    }, []);
+
+    const observeFrame = () => {
+        const body = frameRef.current?.contentDocument?.body;
+        if (!body) return;
+        const measure = () =>
+            setSize({
+                width: clamp(body.scrollWidth, POPUP_MIN.width, POPUP_MAX.width),
+                height: clamp(body.scrollHeight, POPUP_MIN.height, POPUP_MAX.height),
+            });
+        measure();
+        // Also follows hot updates that change the popup's size; the observer goes away with the document
+        new ResizeObserver(measure).observe(body);
+    };
+
+    return (
+        <main className="flex min-h-screen gap-8 p-8 font-sans">
+            <section className="flex flex-col items-center gap-2">
+                <h1 className="text-lg">Popup</h1>
+                <iframe
+                    key={frameKey}
+                    ref={frameRef}
+                    src="/index.html"
+                    title="Popup"
+                    className="border border-neutral-700"
+                    style={{ width: size.width, height: size.height }}
+                    onLoad={observeFrame}
+                />
+                <p className="text-sm text-neutral-400">
+                    {size.width} × {size.height}
+                </p>
+            </section>
+
+            <section className="flex w-96 flex-col gap-4">
+                <h1 className="text-lg">Active tab</h1>
+                <label className="flex flex-col gap-1 text-sm">
+                    URL
+                    <input
+                        className="rounded bg-neutral-800 px-2 py-1"
+                        list="preview-urls"
+                        defaultValue={scenario.url}
+                        onBlur={(event) => event.target.value !== scenario.url && update({ url: event.target.value })}
+                    />
+                    <datalist id="preview-urls">
+                        {URL_PRESETS.map((url) => (
+                            <option key={url} value={url} />
+                        ))}
+                    </datalist>
+                </label>
+                <label className="flex flex-col gap-1 text-sm">
+                    Content script
+                    <select
+                        className="rounded bg-neutral-800 px-2 py-1"
+                        value={scenario.contentScript}
+                        onChange={(event) => update({ contentScript: event.target.value as ContentScriptBehavior })}
+                    >
+                        {Object.entries(CONTENT_SCRIPT_BEHAVIORS).map(([behavior, label]) => (
+                            <option key={behavior} value={behavior}>
+                                {label}
+                            </option>
+                        ))}
+                    </select>
+                </label>
+                <label className="flex flex-col gap-1 text-sm">
+                    Failing API
+                    <select
+                        className="rounded bg-neutral-800 px-2 py-1"
+                        value={scenario.failingApi}
+                        onChange={(event) => update({ failingApi: event.target.value })}
+                    >
+                        <option value="">None</option>
+                        {FAILING_APIS.map((api) => (
+                            <option key={api} value={api}>
+                                {api}
+                            </option>
+                        ))}
+                    </select>
+                </label>
+                <label className="flex flex-col gap-1 text-sm">
+                    runtime.lastError
+                    <input
+                        className="rounded bg-neutral-800 px-2 py-1"
+                        value={scenario.lastError}
+                        onChange={(event) => update({ lastError: event.target.value })}
+                    />
+                </label>
+                <div className="flex flex-wrap gap-2 text-sm">
+                    <button className="rounded bg-neutral-800 px-2 py-1" onClick={reloadPopup}>
+                        Reopen popup
+                    </button>
+                    <button
+                        className="rounded bg-neutral-800 px-2 py-1"
+                        onClick={() => {
+                            clearPreviewStorage();
+                            reloadPopup();
+                        }}
+                    >
+                        Reset storage
+                    </button>
+                    <button
+                        className="rounded bg-neutral-800 px-2 py-1"
+                        onClick={() => {
+                            saveScenario(DEFAULT_SCENARIO);
+                            setScenario(DEFAULT_SCENARIO);
+                            reloadPopup();
+                        }}
+                    >
+                        Reset scenario
+                    </button>
+                    <a className="px-2 py-1" href="/options.html" target="_blank">
+                        Options page
+                    </a>
+                </div>
+            </section>
+
+            <section className="flex min-w-0 flex-1 flex-col gap-2">
+                <div className="flex items-center justify-between">
+                    <h1 className="text-lg">API calls</h1>
+                    <button className="rounded bg-neutral-800 px-2 py-1 text-sm" onClick={() => setLog([])}>
+                        Clear
+                    </button>
+                </div>
+                <ol className="flex flex-col gap-1 font-mono text-xs">
+                    {log.map((entry, index) => (
+                        <li key={`${entry.time}:${index}`} className="break-all">
+                            <span className="text-neutral-500">{new Date(entry.time).toLocaleTimeString()}</span>{" "}
+                            {entry.api}({entry.args.map((arg) => JSON.stringify(arg)).join(", ")}){" "}
+                            <span className={entry.result === "rejected" ? "text-red-400" : "text-neutral-400"}>
+                                {entry.result}
+                                {entry.detail !== undefined && ` ${JSON.stringify(entry.detail)}`}
+                            </span>
+                        </li>
+                    ))}
+                </ol>
+            </section>
+        </main>
+    );
+}
@@ -0,0 +1,367 @@
+/**
+ * Dev-only stand-in for the extension APIs, so the popup and the options page run under `npm start`.
+ *
+ * vite.config.ts loads this module in serve mode only, ahead of the page's own script, which makes
+ * `browser` in src/utils/browser.ts pick it up like the real `chrome`. It must therefore not import
+ * anything that imports browser.ts itself. It covers what the pages use: `tabs` with one fake active tab,
+ * `runtime` with the service worker's answer to `destroyTab` and its `tabState` stream, `storage` backed
+ * by localStorage, `i18n` and `permissions`. How the fake tab behaves comes from the scenario chosen on
+ * the preview page.
+ */
+
+import { LOG_CHANNEL, STORAGE_KEY_PREFIX, loadScenario } from "./previewState";
+import type { PreviewLogEntry, PreviewScenario } from "./previewState";
+
+interface LocaleMessage {
+    message: string;
+    placeholders?: Record<string, { content: string }>;
+}
+
+/** Written into the page by vite.config.ts, which reads both from disk on every request. */
+interface PreviewData {
+    manifest: chrome.runtime.Manifest;
+    messages: Record<string, LocaleMessage>;
+}
+
+type Listener = (...args: any[]) => unknown; // eslint-disable-line no-unused-vars, @typescript-eslint/no-explicit-any
+type Items = Record<string, unknown>;
+
+const scope = globalThis as unknown as { chrome?: typeof chrome; __EXTENSION_PREVIEW__: PreviewData };
+const { manifest, messages } = scope.__EXTENSION_PREVIEW__;
+
+const TAB_ID = 1;
+const NO_RECEIVER = "Could not establish connection. Receiving end does not exist.";
+
+const channel = new BroadcastChannel(LOG_CHANNEL);
+
+function log(entry: Omit<PreviewLogEntry, "time">) {
+    // Round-trip through JSON so functions and class instances never reach postMessage
+    channel.postMessage(JSON.parse(JSON.stringify({ ...entry, time: Date.now() })));
+}
+
+function createEvent() {
+    const listeners = new Set<Listener>();
+    return {
+        addListener: (listener: Listener) => void listeners.add(listener),
+        removeListener: (listener: Listener) => void listeners.delete(listener),
+        hasListener: (listener: Listener) => listeners.has(listener),
+        emit: (...args: unknown[]) => listeners.forEach((listener) => listener(...args)),
+    };
+}
+
+const runtime = {
+    id: "popup-preview",
+    lastError: undefined as chrome.runtime.LastError | undefined,
+};
+
+/**
+ * Wraps a fake API method. Calls resolve like the promise forms, or invoke a trailing callback with
+ * `runtime.lastError` set while it runs, as Chrome does. The API chosen as failing in the scenario
+ * fails every call with the scenario's `lastError`.
+ */
+function method<A extends unknown[], T>(
+    api: string,
+    run: (...args: A) => T | Promise<T> // eslint-disable-line no-unused-vars
+) {
+    return (...args: unknown[]) => {
+        const last = args[args.length - 1];
+        const callback = typeof last === "function" ? (args.pop() as typeof last) : null;
+        const scenario = loadScenario();
+        const promise =
+            scenario.failingApi === api
+                ? Promise.reject(new Error(scenario.lastError))
+                : Promise.resolve().then(() => run(...(args as A)));
+
+        let settled = false;
+        promise.then(
+            (detail) => {
+                settled = true;
+                log({ api, args, result: "resolved", detail });
+            },
+            (error: Error) => {
+                settled = true;
+                log({ api, args, result: "rejected", detail: error.message });
+            }
+        );
+        // Give immediate answers a moment so the log does not show every call as pending first
+        setTimeout(() => settled || log({ api, args, result: "pending" }), 50);
+
+        if (!callback) return promise;
+        promise.then(
+            (result) => callback(result),
+            (error: Error) => {
+                runtime.lastError = { message: error.message };
+                try {
+                    callback();
+                } finally {
+                    runtime.lastError = undefined;
+                }
+            }
+        );
+    };
+}
+
+function fakeTab(scenario: PreviewScenario): chrome.tabs.Tab {
+    return {
+        id: TAB_ID,
+        index: 0,
+        windowId: 1,
+        active: true,
+        highlighted: true,
+        pinned: false,
+        incognito: false,
+        selected: true,
+        discarded: false,
+        autoDiscardable: true,
+        groupId: -1,
+        frozen: false,
+        url: scenario.url,
+        title: "Preview tab",
+    };
+}
+
+/**
+ * Answers a message the way the content script of the fake tab would, following the scenario.
+ */
+function answerAsContentScript(message: { action?: string }, scenario: PreviewScenario): Promise<unknown> {
+    if (scenario.contentScript === "injection-failed") return Promise.reject(new Error(NO_RECEIVER));
+    if (scenario.contentScript === "timeout") return new Promise(() => undefined);
+    if (scenario.contentScript === "handler-failed") {
+        return Promise.resolve({
+            ok: false,
+            error: { code: "handler-failed", message: "Simulated failure in the content script" },
+        });
+    }
+    const replies: Record<string, unknown> = {
+        ping: { ready: true },
+        destroyPage: { status: scenario.contentScript },
+        restorePage: { status: "restored" },
+    };
+    const action = message.action || "";
+    return Promise.resolve(action in replies ? { ok: true, data: replies[action] } : undefined);
+}
+
+/**
+ * Answers a message the way the service worker would: `destroyTab`, and `log`, whose entries go to the
+ * same buffer so the popup's debug panel works in the preview too.
+ */
+async function answerAsServiceWorker(message: { action?: string; payload?: unknown }) {
+    if (message.action === "log") {
+        const { LOG_LIMIT } = await import("../utils/logger");
+        const { logs = [] } = (await shim.storage.session.get("logs")) as { logs?: unknown[] };
+        await shim.storage.session.set({ logs: [...logs, message.payload].slice(-LOG_LIMIT) });
+        return { ok: true };
+    }
+    if (message.action !== "destroyTab") return undefined;
+    const scenario = loadScenario();
+    // Imported late: injection.ts imports browser.ts, which must only load once the shim is installed
+    const { getPageRestriction } = await import("../utils/injection");
+    const restriction = getPageRestriction(scenario.url);
+    if (restriction) return { ok: true, data: { status: "restricted", restriction } };
+    if (scenario.contentScript === "injection-failed") {
+        const failed = scenario.url.startsWith("file:") ? "file" : "inaccessible";
+        return { ok: true, data: { status: "restricted", restriction: failed } };
+    }
+    const reply = await answerAsContentScript({ action: "destroyPage" }, scenario);
+    if (scenario.contentScript === "destroyed") setDestroyedCount(1);
+    return reply;
+}
+
+// Elements destroyed in the fake tab, reported to the popup's `tabState` stream like the service worker does
+let destroyedCount = 0;
+const tabStateListeners = new Set<() => void>();
+
+function setDestroyedCount(count: number) {
+    destroyedCount = count;
+    tabStateListeners.forEach((notify) => notify());
+}
+
+/**
+ * Opens a port answered the way the service worker would. Only the `tabState` stream has a host here;
+ * other ports stay silent.
+ */
+function connect({ name = "" }: chrome.runtime.ConnectInfo = {}): chrome.runtime.Port {
+    log({ api: "runtime.connect", args: [{ name }], result: "resolved" });
+    const onMessage = createEvent();
+    const onDisconnect = createEvent();
+    const port = {
+        name,
+        onMessage,
+        onDisconnect,
+        // Answered asynchronously, as across real contexts
+        postMessage: (message: { tabId?: number }) => {
+            if (name !== "bus:tabState" || message.tabId !== TAB_ID) return;
+            tabStateListeners.add(notify);
+            setTimeout(notify);
+        },
+        disconnect: () => void tabStateListeners.delete(notify),
+    } as unknown as chrome.runtime.Port;
+    const notify = () => onMessage.emit({ destroyedCount }, port);
+    return port;
+}
+
+const storageChanged = createEvent();
+
+function readArea(area: string): Items {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY_PREFIX + area) || "{}");
+    } catch {
+        return {};
+    }
+}
+
+function diffAreas(before: Items, after: Items): Record<string, chrome.storage.StorageChange> {
+    const changes: Record<string, chrome.storage.StorageChange> = {};
+    for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+        if (JSON.stringify(before[key]) === JSON.stringify(after[key])) continue;
+        changes[key] = { oldValue: before[key], newValue: after[key] };
+    }
+    return changes;
+}
+
+function createStorageArea(area: "sync" | "local" | "session") {
+    const onChanged = createEvent();
+    const write = (items: Items) => {
+        const before = readArea(area);
+        localStorage.setItem(STORAGE_KEY_PREFIX + area, JSON.stringify(items));
+        const changes = diffAreas(before, items);
+        if (Object.keys(changes).length === 0) return;
+        onChanged.emit(changes);
+        storageChanged.emit(changes, area);
+    };
+
+    return {
+        onChanged,
+        get: method(`storage.${area}.get`, (keys?: string | string[] | Items | null) => {
+            const items = readArea(area);
+            if (keys == null) return items;
+            if (typeof keys === "string" || Array.isArray(keys)) {
+                return Object.fromEntries(
+                    [keys]
+                        .flat()
+                        .filter((key) => key in items)
+                        .map((key) => [key, items[key]])
+                );
+            }
+            return Object.fromEntries(Object.entries(keys).map(([key, fallback]) => [key, items[key] ?? fallback]));
+        }),
+        set: method(`storage.${area}.set`, (items: Items) => write({ ...readArea(area), ...items })),
+        remove: method(`storage.${area}.remove`, (keys: string | string[]) => {
+            const items = readArea(area);
+            [keys].flat().forEach((key) => delete items[key]);
+            write(items);
+        }),
+        clear: method(`storage.${area}.clear`, () => write({})),
+    };
+}
+
+// Storage written by another page of the preview (say, the options page in a second tab)
+window.addEventListener("storage", (event) => {
+    if (!event.key?.startsWith(STORAGE_KEY_PREFIX)) return;
+    const area = event.key.slice(STORAGE_KEY_PREFIX.length);
+    const changes = diffAreas(JSON.parse(event.oldValue || "{}"), JSON.parse(event.newValue || "{}"));
+    if (Object.keys(changes).length > 0) storageChanged.emit(changes, area);
+});
+
+function getMessage(name: string, substitutions?: string | string[]): string {
+    if (name === "@@bidi_dir") return "ltr";
+    if (name === "@@ui_locale") return manifest.default_locale || "en";
+    const entry = messages[name];
+    if (!entry) return "";
+    const values = [substitutions ?? []].flat();
+    return entry.message
+        .replace(/\$(\w+)\$/g, (match, placeholder: string) => {
+            return entry.placeholders?.[placeholder.toLowerCase()]?.content ?? match;
+        })
+        .replace(/\$(\d)/g, (_match, index: string) => values[Number(index) - 1] ?? "");
+}
+
+const PERMISSIONS_KEY = `${STORAGE_KEY_PREFIX}permissions`;
+
+function grantedOrigins(): string[] {
+    return JSON.parse(localStorage.getItem(PERMISSIONS_KEY) || "[]");
+}
+
+const permissionsAdded = createEvent();
+const permissionsRemoved = createEvent();
+
+const shim = {
+    runtime: Object.assign(runtime, {
+        getURL: (path: string) => new URL(path, location.origin).href,
+        getManifest: () => manifest,
+        openOptionsPage: method("runtime.openOptionsPage", () => {
+            window.open(new URL(manifest.options_ui?.page || manifest.options_page || "", location.origin));
+        }),
+        sendMessage: method("runtime.sendMessage", (message: { action?: string; payload?: unknown }) =>
+            answerAsServiceWorker(message)
+        ),
+        onMessage: createEvent(),
+        connect,
+        onConnect: createEvent(),
+        onInstalled: createEvent(),
+        onStartup: createEvent(),
+    }),
+    tabs: {
+        query: method("tabs.query", () => [fakeTab(loadScenario())]),
+        get: method("tabs.get", (tabId: number) => {
+            if (tabId !== TAB_ID) throw new Error(`No tab with id: ${tabId}.`);
+            return fakeTab(loadScenario());
+        }),
+        sendMessage: method("tabs.sendMessage", (tabId: number, message: { action?: string }) => {
+            if (tabId !== TAB_ID) throw new Error(NO_RECEIVER);
+            return answerAsContentScript(message, loadScenario());
+        }),
+        create: method("tabs.create", (properties: chrome.tabs.CreateProperties) => {
+            window.open(properties.url);
+            return fakeTab(loadScenario());
+        }),
+        onActivated: createEvent(),
+        onRemoved: createEvent(),
+        onUpdated: createEvent(),
+    },
+    storage: {
+        sync: createStorageArea("sync"),
+        local: createStorageArea("local"),
+        session: createStorageArea("session"),
+        onChanged: storageChanged,
+    },
+    i18n: {
+        getMessage,
+        getUILanguage: () => navigator.language,
+    },
+    permissions: {
+        contains: method("permissions.contains", (permissions: chrome.permissions.Permissions) => {
+            const granted = [...grantedOrigins(), ...(manifest.host_permissions || [])];
+            const declared = manifest.permissions || [];
+            return (
+                (permissions.origins || []).every((origin) => granted.includes(origin)) &&
+                (permissions.permissions || []).every((permission) => declared.includes(permission))
+            );
+        }),
+        // Always accepted, as if the user clicked "Allow"
+        request: method("permissions.request", (permissions: chrome.permissions.Permissions) => {
+            const origins = new Set([...grantedOrigins(), ...(permissions.origins || [])]);
+            localStorage.setItem(PERMISSIONS_KEY, JSON.stringify([...origins]));
+            permissionsAdded.emit(permissions);
+            return true;
+        }),
+        remove: method("permissions.remove", (permissions: chrome.permissions.Permissions) => {
+            const removed = permissions.origins || [];
+            const origins = grantedOrigins().filter((origin) => !removed.includes(origin));
+            localStorage.setItem(PERMISSIONS_KEY, JSON.stringify(origins));
+            permissionsRemoved.emit(permissions);
+            return true;
+        }),
+        onAdded: permissionsAdded,
+        onRemoved: permissionsRemoved,
+    },
+};
+
+// A page opened as an actual extension page keeps the real APIs
+if (!scope.chrome?.runtime?.id) {
+    Object.defineProperty(globalThis, "chrome", {
+        value: shim as unknown as typeof chrome,
+        configurable: true,
+        writable: true,
+    });
+}
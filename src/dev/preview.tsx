@@ -0,0 +1,10 @@
+import { StrictMode } from "react";
+import { createRoot } from "react-dom/client";
+import "../index.css";
+import PopupPreview from "./PopupPreview";
+
+createRoot(document.getElementById("root")!).render(
+    <StrictMode>
+        <PopupPreview />
+    </StrictMode>
+);
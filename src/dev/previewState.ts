@@ -0,0 +1,61 @@
+/**
+ * State shared by the popup preview page and the `chrome` shim running in its frame.
+ *
+ * Both documents are served by the same dev server, so the scenario chosen in the control panel lives in
+ * localStorage and the shim reads it on every call; changes apply without reloading the popup. The shim
+ * reports every call it answers over a BroadcastChannel for the panel's log.
+ */
+
+/** How the content script of the fake active tab answers `destroyPage`. */
+export type ContentScriptBehavior =
+    "destroyed" | "already-destroyed" | "injection-failed" | "handler-failed" | "timeout";
+
+export interface PreviewScenario {
+    /** URL of the fake active tab; restricted URLs make the popup show its notice. */
+    url: string;
+    contentScript: ContentScriptBehavior;
+    /** Every call to this API (e.g. `tabs.query`) fails with `lastError`; empty for none. */
+    failingApi: string;
+    /** Message of `runtime.lastError`, or of the rejection when the promise form is used. */
+    lastError: string;
+}
+
+export interface PreviewLogEntry {
+    api: string;
+    args: unknown[];
+    result: "resolved" | "rejected" | "pending";
+    detail?: unknown;
+    time: number;
+}
+
+export const DEFAULT_SCENARIO: PreviewScenario = {
+    url: "https://example.com/",
+    contentScript: "destroyed",
+    failingApi: "",
+    lastError: "Could not establish connection. Receiving end does not exist.",
+};
+
+export const SCENARIO_KEY = "popupPreview:scenario";
+export const STORAGE_KEY_PREFIX = "popupPreview:storage:";
+export const LOG_CHANNEL = "popup-preview";
+
+export function loadScenario(): PreviewScenario {
+    try {
+        return { ...DEFAULT_SCENARIO, ...JSON.parse(localStorage.getItem(SCENARIO_KEY) || "{}") };
+    } catch {
+        return DEFAULT_SCENARIO;
+    }
+}
+
+export function saveScenario(scenario: PreviewScenario): void {
+    localStorage.setItem(SCENARIO_KEY, JSON.stringify(scenario));
+}
+
+/**
+ * Removes everything the shim stored for `chrome.storage`, which brings every setting back to its default.
+ */
+export function clearPreviewStorage(): void {
+    Object.keys(localStorage)
+        .filter((key) => key.startsWith(STORAGE_KEY_PREFIX))
+        .forEach((key) => localStorage.removeItem(key));
+}
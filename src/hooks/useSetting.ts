@@ -0,0 +1,56 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import type { Logger } from "../utils/logger";
+import { SETTINGS, getSetting, setSetting, subscribeSetting } from "../utils/settings";
+import type { SettingKey, Settings } from "../utils/settings";
+
+type SettingSetter<T> = (value: T) => Promise<void>; // eslint-disable-line no-unused-vars
+
+/**
+ * Reads a setting and keeps it in sync with changes made in any other context.
+ * Returns the current value (the default until storage has been read), a setter and a loaded flag. The
+ * setter shows the new value right away; when storing it fails, it logs the error and shows the previous
+ * value again, so its promise never rejects. Failures go to the calling page's `log`.
+ */
+export function useSetting<K extends SettingKey>(
+    key: K,
+    log: Logger
+): [Settings[K], SettingSetter<Settings[K]>, boolean] {
+    const [value, setValue] = useState<Settings[K]>(SETTINGS[key].default as Settings[K]);
+    const [loaded, setLoaded] = useState(false);
+    const valueRef = useRef(value);
+    valueRef.current = value;
+
+    useEffect(() => {
+        let active = true;
+        getSetting(key)
+            .then((stored) => {
+                if (active) setValue(stored);
+            })
+            // The default stays in place, and the field is usable again instead of staying disabled
+            .catch((error) => log.error(`Failed to read the "${key}" setting`, error))
+            .finally(() => {
+                if (active) setLoaded(true);
+            });
+        const unsubscribe = subscribeSetting(key, setValue);
+        return () => {
+            active = false;
+            unsubscribe();
+        };
+    }, [key, log]);
+
+    const update = useCallback(
+        async (next: Settings[K]) => {
+            const previous = valueRef.current;
+            setValue(next);
+            try {
+                await setSetting(key, next);
+            } catch (error) {
+                log.error(`Failed to save the "${key}" setting`, error);
+                setValue(previous);
+            }
+        },
+        [key, log]
+    );
+
+    return [value, update, loaded];
+}
@@ -0,0 +1,11 @@
+import { useMemo } from "react";
+import { getTextDirection, t } from "../utils/i18n";
+import { browser } from "../utils/browser";
+
+/**
+ * Messages for React components. The UI language only changes with a browser restart, so the values are
+ * read once per component.
+ */
+export function useTranslation() {
+    return useMemo(() => ({ t, language: browser.i18n.getUILanguage(), dir: getTextDirection() }), []);
+}
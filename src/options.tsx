@@ -0,0 +1,10 @@
+import { StrictMode } from "react";
+import { createRoot } from "react-dom/client";
+import "./index.css";
+import OptionsPage from "./components/OptionsPage";
+
+createRoot(document.getElementById("root")!).render(
+    <StrictMode>
+        <OptionsPage />
+    </StrictMode>
+);
@@ -0,0 +1,242 @@
+import { chromeFake, NO_RECEIVER_ERROR } from "./test/chromeFake";
+import { BUILT_IN_EFFECTS } from "./utils/effects/types";
+import { sendToRuntime } from "./utils/messaging";
+
+const SCOPES = ["page", "selection", "image", "link"];
+
+/**
+ * Loads the worker and, unless `injected` is false, the content script of one tab, then installs the
+ * extension.
+ */
+async function setup(url = "https://example.com/", injected = true) {
+    const tab = chromeFake.addTab({ url });
+    await chromeFake.load({ type: "worker" }, () => import("./serviceWorker"));
+    if (injected) await chromeFake.load({ type: "content", tabId: tab.id! }, () => import("./content"));
+    chromeFake.install();
+    await vi.waitFor(() => expect(chromeFake.contextMenus.size).toBeGreaterThan(0));
+    return tab.id!;
+}
+
+function visibleMenus() {
+    return [...chromeFake.contextMenus.values()]
+        .filter((item) => item.visible !== false && item.parentId === undefined)
+        .map((item) => item.id);
+}
+
+afterEach(() => {
+    document.body.innerHTML = "";
+    document.body.removeAttribute("style");
+    document.documentElement.querySelectorAll(":scope > div").forEach((overlay) => overlay.remove());
+});
+
+describe("context menus", () => {
+    it("builds a submenu per effect for every context on install", async () => {
+        await setup();
+
+        for (const scope of SCOPES) {
+            const children = [...chromeFake.contextMenus.values()].filter(
+                (item) => item.parentId === `destroy:${scope}`
+            );
+            expect(chromeFake.contextMenus.get(`destroy:${scope}`)).toMatchObject({ contexts: [scope] });
+            expect(children.map((item) => item.id)).toEqual(
+                BUILT_IN_EFFECTS.map((effect) => `destroy:${scope}:${effect}`)
+            );
+        }
+        expect(chromeFake.contextMenus.get("destroy:page:blackout")?.title).toBe("Blackout");
+        expect(chromeFake.contextMenus.get("restorePage")).toMatchObject({ title: "Restore Page", visible: false });
+    });
+
+    it("rebuilds without duplicate-id errors on update and browser startup", async () => {
+        await setup();
+        const size = chromeFake.contextMenus.size;
+
+        chromeFake.install("update" as chrome.runtime.OnInstalledReason);
+        chromeFake.startup();
+        await vi.waitFor(() => expect(chromeFake.contextMenus.size).toBe(size));
+
+        expect(chromeFake.uncheckedErrors).toEqual([]);
+    });
+
+    it("hides every entry when the context menu setting is off", async () => {
+        await setup();
+        await vi.waitFor(() => expect(visibleMenus()).toHaveLength(SCOPES.length));
+
+        await chromeFake.defaultContext.chrome.storage.sync.set({ "setting:contextMenuEnabled": false });
+
+        await vi.waitFor(() => expect(visibleMenus()).toEqual([]));
+    });
+});
+
+describe("destroying and restoring", () => {
+    it("destroys the page with the clicked effect and shows the state on the badge", async () => {
+        const tabId = await setup();
+
+        chromeFake.clickMenu("destroy:page:static-noise", tabId);
+
+        await vi.waitFor(() => expect(chromeFake.getBadge(tabId).text).toBe("1"));
+        expect(document.body.style.display).toBe("none");
+        expect(chromeFake.getBadge(tabId).title).toBe("React Chrome Extension Template (1 destroyed)");
+        expect(chromeFake.storage.session.get("destroyedTabs")).toEqual({ [tabId]: 1 });
+        expect(visibleMenus()).toContain("restorePage");
+    });
+
+    it("scopes an image menu entry to the image the menu was opened on", async () => {
+        const tabId = await setup();
+        const image = document.createElement("img");
+        image.src = "cat.png";
+        document.body.append(document.createElement("p"), image);
+        image.dispatchEvent(new MouseEvent("contextmenu", { bubbles: true }));
+
+        chromeFake.clickMenu("destroy:image:static-noise", tabId, { mediaType: "image", srcUrl: image.src });
+
+        await vi.waitFor(() => expect(image.style.visibility).toBe("hidden"));
+        expect(document.body.style.display).toBe("");
+    });
+
+    it("routes keyboard commands through the same handler", async () => {
+        const tabId = await setup();
+
+        chromeFake.pressCommand("destroy-page");
+        await vi.waitFor(() => expect(chromeFake.getBadge(tabId).text).toBe("1"));
+
+        chromeFake.pressCommand("restore-page", tabId);
+        await vi.waitFor(() => expect(chromeFake.getBadge(tabId).text).toBe(""));
+        expect(document.body.style.display).toBe("");
+        expect(chromeFake.getBadge(tabId).title).toBe("React Chrome Extension Template");
+    });
+
+    it("logs a failed lookup of the active tab for a keyboard command", async () => {
+        vi.spyOn(console, "error").mockImplementation(() => undefined);
+        const tabId = await setup();
+        chromeFake.failNext("tabs.query", "No current window");
+
+        chromeFake.pressCommand("destroy-page");
+
+        await vi.waitFor(() =>
+            expect(chromeFake.storage.session.get("logs")).toContainEqual(
+                expect.objectContaining({
+                    level: "error",
+                    message: expect.stringMatching(/^Failed to run the "destroy-page" command$/),
+                })
+            )
+        );
+        expect(chromeFake.getBadge(tabId).text).toBe("");
+    });
+
+    it("forgets the state when the tab navigates", async () => {
+        const tabId = await setup();
+        chromeFake.clickMenu("destroy:page:static-noise", tabId);
+        await vi.waitFor(() => expect(chromeFake.getBadge(tabId).text).toBe("1"));
+
+        chromeFake.navigate(tabId, "https://example.com/next");
+
+        await vi.waitFor(() => expect(chromeFake.getBadge(tabId).text).toBe(""));
+        expect(chromeFake.storage.session.get("destroyedTabs")).toEqual({});
+    });
+
+    it("applies state changes of tab events that arrive together in order", async () => {
+        const tabId = await setup();
+        const otherTab = chromeFake.addTab({ url: "https://example.org/" });
+        chromeFake.clickMenu("destroy:page:static-noise", tabId);
+        await vi.waitFor(() => expect(chromeFake.getBadge(tabId).text).toBe("1"));
+
+        chromeFake.navigate(tabId, "https://example.com/next");
+        chromeFake.removeTab(otherTab.id!);
+
+        await vi.waitFor(() => expect(chromeFake.getBadge(tabId).text).toBe(""));
+        await vi.waitFor(() => expect(visibleMenus()).not.toContain("restorePage"));
+        expect(chromeFake.storage.session.get("destroyedTabs")).toEqual({});
+    });
+
+    it("logs the messaging error when the tab cannot be reached", async () => {
+        vi.spyOn(console, "error").mockImplementation(() => undefined);
+        const tabId = await setup();
+        // The ping fails, so the script is injected again, and then the destroy request fails too
+        chromeFake.failNext("tabs.sendMessage", NO_RECEIVER_ERROR);
+        chromeFake.failNext("tabs.sendMessage", NO_RECEIVER_ERROR);
+
+        chromeFake.clickMenu("destroy:page:blackout", tabId);
+
+        await vi.waitFor(() =>
+            expect(chromeFake.storage.session.get("logs")).toContainEqual(
+                expect.objectContaining({
+                    level: "error",
+                    context: "serviceWorker",
+                    message: "Failed to destroy page",
+                    data: expect.objectContaining({ code: "no-receiver", action: "destroyPage" }),
+                })
+            )
+        );
+        expect(document.body.style.display).toBe("");
+    });
+
+    it("logs a failed menu refresh when the active tab changes", async () => {
+        vi.spyOn(console, "error").mockImplementation(() => undefined);
+        const tabId = await setup();
+        chromeFake.failNext("tabs.query", "No current window");
+
+        chromeFake.activateTab(tabId);
+
+        await vi.waitFor(() =>
+            expect(chromeFake.storage.session.get("logs")).toContainEqual(
+                expect.objectContaining({ level: "error", message: "Failed to refresh the context menu" })
+            )
+        );
+    });
+});
+
+describe("on-demand injection", () => {
+    it("injects the content script the first time a page is destroyed", async () => {
+        const tabId = await setup("https://example.com/", false);
+
+        chromeFake.clickMenu("destroy:page:static-noise", tabId);
+        await vi.waitFor(() => expect(chromeFake.getBadge(tabId).text).toBe("1"));
+        chromeFake.pressCommand("restore-page", tabId);
+        await vi.waitFor(() => expect(chromeFake.getBadge(tabId).text).toBe(""));
+        chromeFake.clickMenu("destroy:page:blackout", tabId);
+        await vi.waitFor(() => expect(chromeFake.getBadge(tabId).text).toBe("1"));
+
+        expect(chromeFake.injections).toEqual([{ tabId, frameIds: [0], files: ["content.bundle.js"] }]);
+    });
+
+    it("leaves browser pages and the Web Store alone", async () => {
+        const warn = vi.spyOn(console, "warn").mockImplementation(() => undefined);
+        const tabId = await setup("chrome://settings/", false);
+        const store = chromeFake.addTab({ url: "https://chromewebstore.google.com/detail/abc" });
+
+        chromeFake.clickMenu("destroy:page:blackout", tabId);
+        chromeFake.clickMenu("destroy:page:blackout", store.id!);
+
+        await vi.waitFor(() => expect(warn).toHaveBeenCalledTimes(2));
+        expect(warn).toHaveBeenCalledWith(
+            `[serviceWorker] Cannot destroy tab ${tabId}: restricted page (browser-page)`
+        );
+        expect(warn).toHaveBeenCalledWith(
+            `[serviceWorker] Cannot destroy tab ${store.id}: restricted page (web-store)`
+        );
+        expect(chromeFake.injections).toEqual([]);
+    });
+
+    it("answers the popup with the restriction of the tab", async () => {
+        await setup("https://example.com/", false);
+        const tab = chromeFake.addTab({ url: "about:blank" });
+
+        await expect(sendToRuntime("destroyTab", { tabId: tab.id! })).resolves.toEqual({
+            status: "restricted",
+            restriction: "browser-page",
+        });
+    });
+
+    it("registers the content script for every site only while the permission is granted", async () => {
+        await setup();
+        const { chrome } = chromeFake.defaultContext;
+
+        await chrome.permissions.request({ origins: ["<all_urls>"] });
+        await chrome.storage.local.set({ "setting:runOnAllSites": true });
+        await vi.waitFor(() => expect(chromeFake.registeredScripts.get("content")?.js).toEqual(["content.bundle.js"]));
+
+        await chrome.permissions.remove({ origins: ["<all_urls>"] });
+        await vi.waitFor(() => expect(chromeFake.registeredScripts.size).toBe(0));
+        expect(chromeFake.storage.local.get("setting:runOnAllSites")).toBe(false);
+    });
+});
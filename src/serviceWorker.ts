@@ -1,11 +1,268 @@
-chrome.contextMenus.create({
-    id: "destroyPage",
-    title: "Destroy Page",
-    contexts: ["page"],
+import { handleMessage, handleStream, sendToTab } from "./utils/messaging";
+import type { DestroyScope, Stream, StreamMap } from "./utils/messaging";
+import { connectDevReloadServer } from "./utils/devReload";
+import { browser } from "./utils/browser";
+import { getSetting, migrateSettings, setSetting, subscribeSetting } from "./utils/settings";
+import { ALL_SITES, ensureContentScript, syncContentScriptRegistration } from "./utils/injection";
+import { createLogger, collectLogs } from "./utils/logger";
+import { t } from "./utils/i18n";
+import type { MessageKey } from "./utils/i18n";
+import { BUILT_IN_EFFECTS, EFFECT_MESSAGES } from "./utils/effects/types";
+import type { EffectName } from "./utils/effects/types";
+
+const log = createLogger("serviceWorker");
+collectLogs();
+
+if (__DEV_RELOAD_PORT__) {
+    connectDevReloadServer(__DEV_RELOAD_HOST__, __DEV_RELOAD_PORT__, log);
+}
+
+type PageAction = "destroy" | "restore";
+
+interface ActionRequest {
+    scope?: DestroyScope;
+    effect?: EffectName;
+    frameId?: number;
+}
+
+/** Number of destroyed elements per tab id; tabs with nothing destroyed are left out. */
+type DestroyedTabs = Record<string, number>;
+
+type TabStateStream = Stream<StreamMap["tabState"]["client"], StreamMap["tabState"]["host"]>;
+
+// Kept in session storage because the worker is suspended between events and loses its globals
+const DESTROYED_TABS_KEY = "destroyedTabs";
+
+const DESTROY_MENUS: Record<DestroyScope, MessageKey> = {
+    page: "menuDestroyPage",
+    selection: "menuDestroySelection",
+    image: "menuDestroyImage",
+    link: "menuDestroyLink",
+};
+const RESTORE_MENU_ID = "restorePage";
+const MENU_CONTEXTS = Object.keys(DESTROY_MENUS) as [DestroyScope, ...DestroyScope[]];
+
+// Keys are the command names declared under "commands" in the manifest
+const COMMAND_ACTIONS: Record<string, PageAction> = {
+    "destroy-page": "destroy",
+    "restore-page": "restore",
+};
+
+const BADGE_COLOR = "#EF4444";
+
+// Open popups and the tab each one follows. Suspending the worker disconnects them, so this needs no storage
+const tabStateStreams = new Map<TabStateStream, number>();
+
+async function getDestroyedTabs(): Promise<DestroyedTabs> {
+    const { [DESTROYED_TABS_KEY]: tabs } = await browser.storage.session.get(DESTROYED_TABS_KEY);
+    return tabs && typeof tabs === "object" && !Array.isArray(tabs) ? tabs : {};
+}
+
+// Tab events and page reports arrive together; each update waits for the previous one so none is lost
+let pendingDestroyedTabsWrite: Promise<void> = Promise.resolve();
+
+async function setDestroyedCount(tabId: number, count: number): Promise<void> {
+    const write = pendingDestroyedTabsWrite.then(async () => {
+        const tabs = await getDestroyedTabs();
+        if (count > 0) {
+            tabs[tabId] = count;
+        } else {
+            delete tabs[tabId];
+        }
+        await browser.storage.session.set({ [DESTROYED_TABS_KEY]: tabs });
+    });
+    pendingDestroyedTabsWrite = write.catch(() => undefined);
+    await write;
+    tabStateStreams.forEach((followedTabId, stream) => {
+        if (followedTabId === tabId) stream.post({ destroyedCount: count });
+    });
+    await refreshContextMenu();
+}
+
+function menuId(scope: DestroyScope, effect?: EffectName): string {
+    return effect ? `destroy:${scope}:${effect}` : `destroy:${scope}`;
+}
+
+function setMenuVisible(id: string, visible: boolean): Promise<void> {
+    // Menus may not exist yet while onInstalled is still rebuilding them
+    return Promise.resolve(browser.contextMenus.update(id, { visible })).catch(() => undefined);
+}
+
+/**
+ * Shows the destroy menus only when enabled in the settings, and "Restore Page" only when something in
+ * the active tab is destroyed.
+ */
+async function refreshContextMenu(): Promise<void> {
+    const [[tab], enabled, destroyedTabs] = await Promise.all([
+        browser.tabs.query({ active: true, lastFocusedWindow: true }),
+        getSetting("contextMenuEnabled"),
+        getDestroyedTabs(),
+    ]);
+    const destroyed = tab?.id !== undefined && Boolean(destroyedTabs[tab.id]);
+    await Promise.all([
+        ...MENU_CONTEXTS.map((scope) => setMenuVisible(menuId(scope), enabled)),
+        setMenuVisible(RESTORE_MENU_ID, enabled && destroyed),
+    ]);
+}
+
+/**
+ * Shows the number of destroyed elements on the toolbar icon and in its tooltip for that tab.
+ */
+async function refreshBadge(tabId: number, count: number): Promise<void> {
+    await browser.action.setBadgeBackgroundColor({ tabId, color: BADGE_COLOR });
+    await browser.action.setBadgeText({ tabId, text: count > 0 ? String(count) : "" });
+    await browser.action.setTitle({
+        tabId,
+        title: count > 0 ? t("actionTitleDestroyed", String(count)) : t("actionTitle"),
+    });
+}
+
+/**
+ * Removes all menus and creates them again: a "Destroy" entry per context with a submenu per effect, plus
+ * "Restore Page". Safe to call repeatedly, which is what makes reinstalls and updates work.
+ */
+async function buildContextMenus(): Promise<void> {
+    await browser.contextMenus.removeAll();
+    for (const scope of MENU_CONTEXTS) {
+        browser.contextMenus.create({ id: menuId(scope), title: t(DESTROY_MENUS[scope]), contexts: [scope] });
+        for (const effect of BUILT_IN_EFFECTS) {
+            browser.contextMenus.create({
+                id: menuId(scope, effect),
+                parentId: menuId(scope),
+                title: t(EFFECT_MESSAGES[effect]),
+                contexts: [scope],
+            });
+        }
+    }
+    browser.contextMenus.create({
+        id: RESTORE_MENU_ID,
+        title: t("menuRestorePage"),
+        contexts: MENU_CONTEXTS,
+        visible: false,
+    });
+    await refreshContextMenu();
+}
+
+/**
+ * Brings the registered content script in line with the "Run on all sites" setting and the host
+ * permission, turning the setting off when the user revoked the permission in the browser.
+ */
+async function syncRunOnAllSites(): Promise<void> {
+    const enabled = await getSetting("runOnAllSites");
+    if (enabled && !(await browser.permissions.contains(ALL_SITES))) {
+        await setSetting("runOnAllSites", false);
+        return;
+    }
+    await syncContentScriptRegistration(enabled);
+}
+
+/**
+ * Single entry point for the context menus and the keyboard shortcuts. Without a tab the action goes to
+ * the active tab of the last focused window.
+ */
+async function runAction(action: PageAction, tab: chrome.tabs.Tab | undefined, request: ActionRequest = {}) {
+    const tabId = tab?.id ?? (await browser.tabs.query({ active: true, lastFocusedWindow: true }))[0]?.id;
+    if (tabId === undefined) return;
+
+    const options = { frameId: request.frameId };
+    if (action === "destroy") {
+        ensureContentScript(tabId, { url: tab?.url, frameId: request.frameId }, log)
+            .then((restriction) => {
+                if (!restriction) {
+                    return sendToTab(tabId, "destroyPage", { scope: request.scope, effect: request.effect }, options);
+                }
+                log.warn(`Cannot destroy tab ${tabId}: restricted page (${restriction})`);
+            })
+            .catch((error) => log.error("Failed to destroy page", error));
+    } else {
+        // Nothing can be destroyed in a tab without the content script, so restoring never injects it
+        sendToTab(tabId, "restorePage", undefined, options).catch((error) =>
+            log.error("Failed to restore page", error)
+        );
+    }
+}
+
+browser.runtime.onInstalled.addListener(() => {
+    migrateSettings().catch((error) => log.error("Failed to migrate settings", error));
+    buildContextMenus().catch((error) => log.error("Failed to build context menus", error));
+    syncRunOnAllSites().catch((error) => log.error("Failed to register the content script", error));
+});
+
+// Firefox drops menus of non-persistent backgrounds on browser restart, so rebuild them there too
+browser.runtime.onStartup.addListener(() => {
+    buildContextMenus().catch((error) => log.error("Failed to build context menus", error));
+});
+
+const refreshMenuOrLog = () =>
+    refreshContextMenu().catch((error) => log.error("Failed to refresh the context menu", error));
+
+refreshMenuOrLog();
+subscribeSetting("contextMenuEnabled", refreshMenuOrLog);
+// The setting and the permission change separately: the options page stores one and requests the other
+for (const event of [browser.permissions.onAdded, browser.permissions.onRemoved]) {
+    event.addListener(() =>
+        syncRunOnAllSites().catch((error) => log.error("Failed to register the content script", error))
+    );
+}
+subscribeSetting("runOnAllSites", () =>
+    syncRunOnAllSites().catch((error) => log.error("Failed to register the content script", error))
+);
+browser.tabs.onActivated.addListener(refreshMenuOrLog);
+browser.windows.onFocusChanged.addListener(refreshMenuOrLog);
+browser.tabs.onRemoved.addListener((tabId) =>
+    setDestroyedCount(tabId, 0).catch((error) => log.error("Failed to forget the closed tab", error))
+);
+browser.tabs.onUpdated.addListener((tabId, changeInfo) => {
+    // A reload or navigation replaces the document, which brings the page back
+    if (changeInfo.status !== "loading") return;
+    Promise.all([setDestroyedCount(tabId, 0), refreshBadge(tabId, 0)]).catch((error) =>
+        log.error("Failed to reset the state of the navigated tab", error)
+    );
+});
+
+handleMessage("pageStateChanged", async ({ destroyedCount }, sender) => {
+    if (sender.tab?.id === undefined) return;
+    await setDestroyedCount(sender.tab.id, destroyedCount);
+    await refreshBadge(sender.tab.id, destroyedCount);
+});
+
+handleMessage("destroyTab", async ({ tabId, effect }) => {
+    const tab = await browser.tabs.get(tabId);
+    const restriction = await ensureContentScript(tabId, { url: tab.url }, log);
+    if (restriction) return { status: "restricted", restriction };
+    return sendToTab(tabId, "destroyPage", { effect });
 });
 
-chrome.contextMenus.onClicked.addListener((info, tab) => {
-    if (info.menuItemId === "destroyPage" && tab?.id) {
-        chrome.tabs.sendMessage(tab.id, { action: "destroyPage" });
+handleStream("tabState", (stream) => {
+    stream.onMessage(({ tabId }) => {
+        tabStateStreams.set(stream, tabId);
+        pendingDestroyedTabsWrite
+            .then(getDestroyedTabs)
+            .then((tabs) => stream.post({ destroyedCount: tabs[tabId] ?? 0 }))
+            .catch((error) => log.error(`Failed to read the state of tab ${tabId}`, error));
+    });
+    stream.onDisconnect(() => tabStateStreams.delete(stream));
+});
+
+browser.contextMenus.onClicked.addListener((info, tab) => {
+    if (info.menuItemId === RESTORE_MENU_ID) {
+        runAction("restore", tab, { frameId: info.frameId }).catch((error) =>
+            log.error("Failed to restore page", error)
+        );
+        return;
+    }
+    const [kind, scope, effect] = String(info.menuItemId).split(":");
+    if (kind === "destroy" && effect) {
+        runAction("destroy", tab, {
+            scope: scope as DestroyScope,
+            effect: effect as EffectName,
+            frameId: info.frameId,
+        }).catch((error) => log.error("Failed to destroy page", error));
     }
 });
+
+browser.commands.onCommand.addListener((command, tab) => {
+    const action = COMMAND_ACTIONS[command];
+    if (!action) return;
+    runAction(action, tab).catch((error) => log.error(`Failed to run the "${command}" command`, error));
+});
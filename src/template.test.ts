@@ -1,5 +0,0 @@
-describe("test", () => {
-    it("should be true", () => {
-        expect(true).toBe(true);
-    });
-});
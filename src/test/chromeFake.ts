@@ -0,0 +1,863 @@
+/**
+ * In-memory fake of the extension APIs the template uses, for Vitest.
+ *
+ * A `ChromeFake` holds the state one browser profile would: tabs, storage areas, context menus and
+ * action badges. Each simulated context (the popup, the service worker or the content script of a tab)
+ * gets its own `chrome`-shaped API from `createContext`, with its own listeners, and messages sent
+ * through `runtime.sendMessage` and `tabs.sendMessage` are routed between contexts the way the browser
+ * routes them, including the `sender` the receiver sees.
+ *
+ * Ports opened with `runtime.connect` and `tabs.connect` are routed the same way and disconnect when
+ * either end closes them or its context dies.
+ *
+ * Failures are injected with `failNext`: the next call of that API rejects (promise form) or reports
+ * `runtime.lastError` to its callback, like a real extension API call that failed. For `runtime.connect`
+ * and `tabs.connect` the port disconnects with that lastError instead.
+ */
+
+import { vi } from "vitest";
+
+export const EXTENSION_ID = "abcdefghijklmnopabcdefghijklmnop";
+
+export const NO_RECEIVER_ERROR = "Could not establish connection. Receiving end does not exist.";
+export const PORT_CLOSED_ERROR = "The message port closed before a response was received.";
+
+export type ContextDescriptor =
+    { type: "popup" | "options" | "worker" } | { type: "content"; tabId: number; frameId?: number };
+
+export interface SentMessage {
+    from: ContextDescriptor;
+    to: "runtime" | { tabId: number; frameId?: number };
+    message: unknown;
+}
+
+type Listener = (...args: never[]) => unknown; // eslint-disable-line no-unused-vars
+type Callback = (result?: unknown) => void; // eslint-disable-line no-unused-vars
+type MessageListener = (message: unknown, sender: chrome.runtime.MessageSender, sendResponse: Callback) => unknown; // eslint-disable-line no-unused-vars
+type StorageAreaName = "local" | "sync" | "session";
+
+export interface BadgeState {
+    text: string;
+    color: string;
+    title: string;
+}
+
+/**
+ * Event object with the `chrome.events.Event` surface plus `dispatch` for the fake itself.
+ */
+export class FakeEvent<T extends Listener = Listener> {
+    readonly listeners = new Set<T>();
+
+    addListener(listener: T) {
+        this.listeners.add(listener);
+    }
+
+    removeListener(listener: T) {
+        this.listeners.delete(listener);
+    }
+
+    hasListener(listener: T) {
+        return this.listeners.has(listener);
+    }
+
+    hasListeners() {
+        return this.listeners.size > 0;
+    }
+
+    dispatch(...args: Parameters<T>): unknown[] {
+        return [...this.listeners].map((listener) => listener(...args));
+    }
+}
+
+/**
+ * One end of a port. Messages are delivered asynchronously to every peer; `disconnect` closes the peers
+ * without an error, like the browser.
+ */
+export class FakePort {
+    readonly onMessage = new FakeEvent();
+    readonly onDisconnect = new FakeEvent();
+    readonly peers = new Set<FakePort>();
+    readonly name: string;
+    readonly context: FakeContext;
+    readonly sender?: chrome.runtime.MessageSender;
+    connected = true;
+
+    constructor(name: string, context: FakeContext, sender?: chrome.runtime.MessageSender) {
+        this.name = name;
+        this.context = context;
+        this.sender = sender;
+        context.ports.add(this);
+    }
+
+    postMessage(message: unknown) {
+        if (!this.connected) throw new Error("Attempting to use a disconnected port object");
+        const payload = clone(message);
+        queueMicrotask(() => {
+            for (const peer of this.peers) {
+                if (peer.connected) peer.onMessage.dispatch(clone(payload) as never, peer as never);
+            }
+        });
+    }
+
+    disconnect() {
+        if (!this.connected) return;
+        this.connected = false;
+        this.context.ports.delete(this);
+        for (const peer of this.peers) {
+            peer.peers.delete(this);
+            if (peer.peers.size === 0) peer.close();
+        }
+        this.peers.clear();
+    }
+
+    /**
+     * Disconnects this end from the browser's side, reporting `error` through lastError to its listeners.
+     */
+    close(error?: string) {
+        if (!this.connected) return;
+        this.connected = false;
+        this.context.ports.delete(this);
+        this.peers.clear();
+        this.context.lastError = error ? { message: error } : undefined;
+        try {
+            this.onDisconnect.dispatch(this as never);
+        } finally {
+            this.context.lastError = undefined;
+        }
+    }
+}
+
+type Dispatcher = (events: ReturnType<typeof createEvents>) => void; // eslint-disable-line no-unused-vars
+
+function createEvents() {
+    return {
+        onMessage: new FakeEvent(),
+        onConnect: new FakeEvent(),
+        onInstalled: new FakeEvent(),
+        onStartup: new FakeEvent(),
+        onTabActivated: new FakeEvent(),
+        onTabRemoved: new FakeEvent(),
+        onTabUpdated: new FakeEvent(),
+        onWindowFocusChanged: new FakeEvent(),
+        onStorageChanged: new FakeEvent(),
+        onAreaChanged: { local: new FakeEvent(), sync: new FakeEvent(), session: new FakeEvent() },
+        onMenuClicked: new FakeEvent(),
+        onCommand: new FakeEvent(),
+        onPermissionsAdded: new FakeEvent(),
+        onPermissionsRemoved: new FakeEvent(),
+    };
+}
+
+export interface FakeContext {
+    descriptor: ContextDescriptor;
+    /** The API object code in this context sees as `chrome`. */
+    chrome: typeof chrome;
+    events: ReturnType<typeof createEvents>;
+    lastError: { message: string } | undefined;
+    alive: boolean;
+    /** Ports this context holds an end of. */
+    ports: Set<FakePort>;
+}
+
+function clone<T>(value: T): T {
+    return value === undefined ? value : JSON.parse(JSON.stringify(value));
+}
+
+type FileInjection = { target: chrome.scripting.InjectionTarget; files?: string[] };
+
+function isContent(context: FakeContext): context is FakeContext & { descriptor: { type: "content" } } {
+    return context.descriptor.type === "content";
+}
+
+export class ChromeFake {
+    readonly tabs: chrome.tabs.Tab[] = [];
+    readonly storage: Record<StorageAreaName, Map<string, unknown>> = {
+        local: new Map(),
+        sync: new Map(),
+        session: new Map(),
+    };
+    readonly contextMenus = new Map<string | number, chrome.contextMenus.CreateProperties>();
+    /** Action state per tab id; `undefined` holds the values set without a tab id. */
+    readonly badges = new Map<number | undefined, Partial<BadgeState>>();
+    /** Every message sent by any context, in order. */
+    readonly messages: SentMessage[] = [];
+    /** lastError values no callback checked, like Chrome's "Unchecked runtime.lastError" console lines. */
+    readonly uncheckedErrors: string[] = [];
+    /** Content scripts registered with `scripting.registerContentScripts`, by id. */
+    readonly registeredScripts = new Map<string, chrome.scripting.RegisteredContentScript>();
+    /** Every `scripting.executeScript` call that injected files. */
+    readonly injections: Array<{ tabId: number; frameIds?: number[]; files: string[] }> = [];
+    /** Modules `scripting.executeScript` runs for each extension file, e.g. "content.bundle.js". */
+    readonly scriptLoaders = new Map<string, () => Promise<unknown>>();
+    /** Optional host permissions the user granted. */
+    readonly grantedOrigins = new Set<string>();
+    /** Whether the user accepts the next `permissions.request` prompt. */
+    acceptPermissionRequests = true;
+    focusedWindowId = 1;
+    reloads = 0;
+    manifest: chrome.runtime.Manifest = { manifest_version: 3, name: "test", version: "0.0.0" };
+    localeMessages: Record<string, { message: string; placeholders?: Record<string, { content: string }> }> = {};
+
+    readonly defaultContext: FakeContext;
+    private contexts: FakeContext[] = [];
+    private failures = new Map<string, string[]>();
+    private nextTabId = 1;
+
+    constructor() {
+        this.defaultContext = this.createContext({ type: "popup" });
+    }
+
+    /**
+     * Clears all browser state and drops every context except `defaultContext`, whose listeners stay
+     * because modules imported once per test file registered them.
+     */
+    reset() {
+        this.tabs.length = 0;
+        Object.values(this.storage).forEach((area) => area.clear());
+        this.contextMenus.clear();
+        this.badges.clear();
+        this.messages.length = 0;
+        this.uncheckedErrors.length = 0;
+        this.failures.clear();
+        this.registeredScripts.clear();
+        this.injections.length = 0;
+        this.grantedOrigins.clear();
+        this.acceptPermissionRequests = true;
+        this.focusedWindowId = 1;
+        this.reloads = 0;
+        this.nextTabId = 1;
+        this.contexts.filter((context) => context !== this.defaultContext).forEach((context) => this.kill(context));
+        this.contexts = [this.defaultContext];
+    }
+
+    /**
+     * Creates a context with its own API object and listeners.
+     */
+    createContext(descriptor: ContextDescriptor): FakeContext {
+        const context: FakeContext = {
+            descriptor,
+            chrome: undefined as unknown as typeof chrome,
+            events: createEvents(),
+            lastError: undefined,
+            alive: true,
+            ports: new Set(),
+        };
+        context.chrome = this.createApi(context);
+        this.contexts.push(context);
+        return context;
+    }
+
+    /**
+     * Runs a module as an entry point of a new context: the module registry is reset so `browser` is
+     * re-read from a `chrome` global that points at the new context while the module evaluates.
+     */
+    async load(descriptor: ContextDescriptor, importer: () => Promise<unknown>): Promise<FakeContext> {
+        const context = this.createContext(descriptor);
+        const scope = globalThis as { chrome?: typeof chrome };
+        const previous = scope.chrome;
+        vi.resetModules();
+        scope.chrome = context.chrome;
+        try {
+            await importer();
+        } finally {
+            scope.chrome = previous;
+        }
+        return context;
+    }
+
+    /**
+     * Makes the next call of an API (e.g. "tabs.sendMessage") fail with the given lastError message.
+     */
+    failNext(api: string, message: string) {
+        this.failures.set(api, [...(this.failures.get(api) ?? []), message]);
+    }
+
+    addTab(properties: Partial<chrome.tabs.Tab> = {}): chrome.tabs.Tab {
+        const tab = {
+            id: this.nextTabId++,
+            index: this.tabs.length,
+            windowId: this.focusedWindowId,
+            url: "https://example.com/",
+            title: "Example",
+            status: "complete",
+            active: true,
+            pinned: false,
+            highlighted: false,
+            incognito: false,
+            selected: false,
+            discarded: false,
+            autoDiscardable: true,
+            groupId: -1,
+            frozen: false,
+            ...properties,
+        } as chrome.tabs.Tab;
+        if (tab.active) this.tabs.forEach((other) => other.windowId === tab.windowId && (other.active = false));
+        this.tabs.push(tab);
+        return tab;
+    }
+
+    getTab(tabId: number): chrome.tabs.Tab | undefined {
+        return this.tabs.find((tab) => tab.id === tabId);
+    }
+
+    activateTab(tabId: number) {
+        const tab = this.requireTab(tabId);
+        this.tabs.forEach((other) => other.windowId === tab.windowId && (other.active = other === tab));
+        this.broadcast((events) => events.onTabActivated.dispatch({ tabId, windowId: tab.windowId } as never));
+    }
+
+    removeTab(tabId: number) {
+        const tab = this.requireTab(tabId);
+        this.tabs.splice(this.tabs.indexOf(tab), 1);
+        this.contentContexts(tabId).forEach((context) => this.kill(context));
+        this.broadcast((events) =>
+            events.onTabRemoved.dispatch(tabId as never, { windowId: tab.windowId, isWindowClosing: false } as never)
+        );
+    }
+
+    /**
+     * Starts loading a new document in the tab: its content scripts die and `tabs.onUpdated` reports
+     * the "loading" status, then "complete".
+     */
+    navigate(tabId: number, url: string) {
+        const tab = this.requireTab(tabId);
+        this.contentContexts(tabId).forEach((context) => this.kill(context));
+        Object.assign(tab, { url, status: "loading" });
+        this.broadcast((events) =>
+            events.onTabUpdated.dispatch(tabId as never, { status: "loading", url } as never, clone(tab) as never)
+        );
+        tab.status = "complete";
+        this.broadcast((events) =>
+            events.onTabUpdated.dispatch(tabId as never, { status: "complete" } as never, clone(tab) as never)
+        );
+    }
+
+    install(reason: chrome.runtime.OnInstalledReason = "install" as chrome.runtime.OnInstalledReason) {
+        this.broadcast((events) => events.onInstalled.dispatch({ reason } as never), "worker");
+    }
+
+    startup() {
+        this.broadcast((events) => events.onStartup.dispatch(), "worker");
+    }
+
+    /**
+     * Simulates a click on a context menu item in a tab.
+     */
+    clickMenu(menuItemId: string | number, tabId: number, info: Partial<chrome.contextMenus.OnClickData> = {}) {
+        const item = this.contextMenus.get(menuItemId);
+        if (!item) throw new Error(`No context menu item "${menuItemId}"`);
+        const tab = this.requireTab(tabId);
+        const clickData = { menuItemId, parentMenuItemId: item.parentId, frameId: 0, pageUrl: tab.url, ...info };
+        this.broadcast((events) => events.onMenuClicked.dispatch(clickData as never, clone(tab) as never), "worker");
+    }
+
+    /**
+     * Simulates pressing the keyboard shortcut of a manifest command while a tab is active.
+     */
+    pressCommand(command: string, tabId?: number) {
+        const tab = tabId === undefined ? undefined : clone(this.requireTab(tabId));
+        this.broadcast((events) => events.onCommand.dispatch(command as never, tab as never), "worker");
+    }
+
+    /**
+     * Badge text, colour and title shown for a tab, falling back to the values set without a tab id.
+     */
+    getBadge(tabId?: number): BadgeState {
+        const global = {
+            text: "",
+            color: "#000000",
+            title: this.manifest.action?.default_title ?? "",
+            ...this.badges.get(undefined),
+        };
+        return { ...global, ...(tabId === undefined ? {} : this.badges.get(tabId)) };
+    }
+
+    /**
+     * Runs the files in the tab like `scripting.executeScript`: each file's loader from `scriptLoaders`
+     * becomes a content context. Browser pages and the Web Store refuse injection like in Chrome.
+     */
+    private async executeScript(injection: FileInjection) {
+        const { tabId, frameIds } = injection.target;
+        const url = this.requireTab(tabId).url ?? "";
+        if (!/^(https?|file):/.test(url)) throw new Error(`Cannot access contents of url "${url}".`);
+        if (url.startsWith("https://chromewebstore.google.com/")) {
+            throw new Error("The extensions gallery cannot be scripted.");
+        }
+        const files = injection.files ?? [];
+        const loaders = files.map((file) => {
+            const loader = this.scriptLoaders.get(file);
+            if (!loader) throw new Error(`Could not load file: '${file}'.`);
+            return loader;
+        });
+        this.injections.push({ tabId, frameIds, files });
+        for (const frameId of frameIds ?? [0]) {
+            for (const loader of loaders) await this.load({ type: "content", tabId, frameId }, loader);
+        }
+        return (frameIds ?? [0]).map((frameId) => ({ frameId, documentId: `${tabId}:${frameId}`, result: null }));
+    }
+
+    private setPermissions(origins: string[], granted: boolean) {
+        const changed = origins.filter((origin) => this.grantedOrigins.has(origin) !== granted);
+        changed.forEach((origin) => (granted ? this.grantedOrigins.add(origin) : this.grantedOrigins.delete(origin)));
+        if (changed.length === 0) return;
+        this.broadcast((events) =>
+            (granted ? events.onPermissionsAdded : events.onPermissionsRemoved).dispatch({
+                origins: changed,
+                permissions: [],
+            } as never)
+        );
+    }
+
+    private requireTab(tabId: number): chrome.tabs.Tab {
+        const tab = this.getTab(tabId);
+        if (!tab) throw new Error(`No tab with id: ${tabId}.`);
+        return tab;
+    }
+
+    private contentContexts(tabId: number, frameId?: number) {
+        return this.contexts.filter(
+            (context) =>
+                context.alive &&
+                isContent(context) &&
+                context.descriptor.tabId === tabId &&
+                (frameId === undefined || (context.descriptor.frameId ?? 0) === frameId)
+        );
+    }
+
+    private kill(context: FakeContext) {
+        context.alive = false;
+        [...context.ports].forEach((port) => port.disconnect());
+        this.contexts = this.contexts.filter((other) => other !== context);
+    }
+
+    private broadcast(dispatch: Dispatcher, type?: ContextDescriptor["type"]) {
+        this.contexts
+            .filter((context) => context.alive && (!type || context.descriptor.type === type))
+            .forEach((context) => dispatch(context.events));
+    }
+
+    /**
+     * Runs an API call, honouring injected failures. With a callback the result or lastError goes to the
+     * callback; without one the call returns a promise that rejects on failure.
+     */
+    private call<T>(context: FakeContext, api: string, run: () => T | Promise<T>, callback?: Callback) {
+        const failure = this.failures.get(api)?.shift();
+        const promise = failure ? Promise.reject(new Error(failure)) : Promise.resolve().then(run);
+        if (!callback) return promise;
+
+        promise.then(
+            (result) => callback(result),
+            (error: Error) => {
+                context.lastError = { message: error.message };
+                try {
+                    callback();
+                } finally {
+                    context.lastError = undefined;
+                }
+            }
+        );
+        return undefined;
+    }
+
+    /**
+     * Like `call`, for the synchronous contextMenus.create: errors go to lastError and, when no callback
+     * checks them, to `uncheckedErrors`.
+     */
+    private reportSync(context: FakeContext, api: string, error: string | undefined, callback?: Callback) {
+        const message = this.failures.get(api)?.shift() ?? error;
+        if (!callback) {
+            if (message) this.uncheckedErrors.push(`${api}: ${message}`);
+            return;
+        }
+        queueMicrotask(() => {
+            context.lastError = message ? { message } : undefined;
+            try {
+                callback();
+            } finally {
+                context.lastError = undefined;
+            }
+        });
+    }
+
+    private sender(context: FakeContext): chrome.runtime.MessageSender {
+        if (isContent(context)) {
+            const tab = this.getTab(context.descriptor.tabId);
+            return { id: EXTENSION_ID, tab: clone(tab), frameId: context.descriptor.frameId ?? 0, url: tab?.url };
+        }
+        const pages = { popup: "index.html", options: "options.html", worker: "serviceWorker.bundle.js" };
+        const page = pages[context.descriptor.type as keyof typeof pages];
+        return { id: EXTENSION_ID, url: `chrome-extension://${EXTENSION_ID}/${page}` };
+    }
+
+    /**
+     * Delivers a message to the onMessage listeners of the receiving contexts and resolves with the first
+     * response, like the browser: no listeners rejects, and listeners that neither answer synchronously
+     * nor return true close the port.
+     */
+    private deliver(from: FakeContext, receivers: FakeContext[], message: unknown): Promise<unknown> {
+        const sender = this.sender(from);
+        const listeners = receivers.flatMap((context) =>
+            [...context.events.onMessage.listeners].map((listener) => ({ context, listener }))
+        );
+        if (listeners.length === 0) return Promise.reject(new Error(NO_RECEIVER_ERROR));
+
+        return new Promise((resolve, reject) => {
+            let responded = false;
+            let pending = false;
+            const sendResponse = (response?: unknown) => {
+                if (responded) return;
+                responded = true;
+                resolve(clone(response));
+            };
+            for (const { context, listener } of listeners) {
+                if (!context.alive) continue;
+                const result = (listener as MessageListener)(clone(message), sender, sendResponse);
+                if (result === true) pending = true;
+                if (result instanceof Promise) {
+                    pending = true;
+                    result.then(sendResponse);
+                }
+            }
+            if (!responded && !pending) reject(new Error(PORT_CLOSED_ERROR));
+        });
+    }
+
+    /**
+     * Opens a port from `from` to the receiving contexts with onConnect listeners. Each receiving context
+     * gets its own end; without any, the opener's end disconnects with the no-receiver lastError.
+     */
+    private connect(from: FakeContext, api: string, receivers: FakeContext[], name = ""): chrome.runtime.Port {
+        const opener = new FakePort(name, from);
+        const failure = this.failures.get(api)?.shift();
+        queueMicrotask(() => {
+            const listening = receivers.filter((context) => context.alive && context.events.onConnect.hasListeners());
+            if (failure || listening.length === 0) {
+                opener.close(failure ?? NO_RECEIVER_ERROR);
+                return;
+            }
+            for (const context of listening) {
+                const port = new FakePort(name, context, this.sender(from));
+                port.peers.add(opener);
+                opener.peers.add(port);
+                context.events.onConnect.dispatch(port as never);
+            }
+        });
+        return opener as unknown as chrome.runtime.Port;
+    }
+
+    private queryTabs(queryInfo: chrome.tabs.QueryInfo) {
+        return this.tabs.filter((tab) => {
+            if (queryInfo.active !== undefined && tab.active !== queryInfo.active) return false;
+            if ((queryInfo.currentWindow || queryInfo.lastFocusedWindow) && tab.windowId !== this.focusedWindowId) {
+                return false;
+            }
+            if (queryInfo.windowId !== undefined && tab.windowId !== queryInfo.windowId) return false;
+            if (typeof queryInfo.url === "string" && tab.url !== queryInfo.url) return false;
+            return true;
+        });
+    }
+
+    private createStorageArea(context: FakeContext, areaName: StorageAreaName) {
+        const data = this.storage[areaName];
+        const api = `storage.${areaName}`;
+
+        const notify = (changes: Record<string, chrome.storage.StorageChange>) => {
+            if (Object.keys(changes).length === 0) return;
+            this.broadcast((events) => {
+                events.onStorageChanged.dispatch(clone(changes) as never, areaName as never);
+                events.onAreaChanged[areaName].dispatch(clone(changes) as never);
+            });
+        };
+
+        const get = (keys?: string | string[] | Record<string, unknown> | null) => {
+            if (keys === undefined || keys === null) return Object.fromEntries(clone([...data]));
+            const names = typeof keys === "string" ? [keys] : Array.isArray(keys) ? keys : [];
+            const defaults: Record<string, unknown> =
+                Array.isArray(keys) || typeof keys === "string" ? {} : { ...keys };
+            names.forEach((key) => (defaults[key] = undefined));
+            const items: Record<string, unknown> = {};
+            for (const [key, fallback] of Object.entries(defaults)) {
+                if (data.has(key)) items[key] = clone(data.get(key));
+                else if (fallback !== undefined) items[key] = fallback;
+            }
+            return items;
+        };
+
+        const set = (items: Record<string, unknown>) => {
+            const changes: Record<string, chrome.storage.StorageChange> = {};
+            for (const [key, value] of Object.entries(items)) {
+                changes[key] = { oldValue: clone(data.get(key)), newValue: clone(value) };
+                data.set(key, clone(value));
+            }
+            notify(changes);
+        };
+
+        const remove = (keys: string | string[]) => {
+            const changes: Record<string, chrome.storage.StorageChange> = {};
+            for (const key of [].concat(keys as never)) {
+                if (!data.has(key)) continue;
+                changes[key] = { oldValue: clone(data.get(key)) };
+                data.delete(key);
+            }
+            notify(changes);
+        };
+
+        return {
+            get: (keys?: never, callback?: Callback) => this.call(context, `${api}.get`, () => get(keys), callback),
+            set: (items: Record<string, unknown>, callback?: Callback) =>
+                this.call(context, `${api}.set`, () => set(items), callback),
+            remove: (keys: string | string[], callback?: Callback) =>
+                this.call(context, `${api}.remove`, () => remove(keys), callback),
+            clear: (callback?: Callback) =>
+                this.call(context, `${api}.clear`, () => remove([...data.keys()]), callback),
+            onChanged: context.events.onAreaChanged[areaName],
+        };
+    }
+
+    private createApi(context: FakeContext): typeof chrome {
+        const { events } = context;
+
+        const runtime = {
+            id: EXTENSION_ID,
+            get lastError() {
+                return context.lastError;
+            },
+            getURL: (path: string) => `chrome-extension://${EXTENSION_ID}/${path.replace(/^\//, "")}`,
+            getManifest: () => clone(this.manifest),
+            reload: () => {
+                this.reloads++;
+            },
+            sendMessage: (message: unknown, callback?: Callback) => {
+                this.messages.push({ from: context.descriptor, to: "runtime", message: clone(message) });
+                const receivers = this.contexts.filter(
+                    (other) => other !== context && other.alive && !isContent(other)
+                );
+                return this.call(
+                    context,
+                    "runtime.sendMessage",
+                    () => this.deliver(context, receivers, message),
+                    callback
+                );
+            },
+            connect: (connectInfo?: chrome.runtime.ConnectInfo) => {
+                const receivers = this.contexts.filter((other) => other !== context && !isContent(other));
+                return this.connect(context, "runtime.connect", receivers, connectInfo?.name);
+            },
+            onMessage: events.onMessage,
+            onConnect: events.onConnect,
+            onInstalled: events.onInstalled,
+            onStartup: events.onStartup,
+        };
+
+        const tabs = {
+            query: (queryInfo: chrome.tabs.QueryInfo, callback?: Callback) =>
+                this.call(context, "tabs.query", () => clone(this.queryTabs(queryInfo)), callback),
+            get: (tabId: number, callback?: Callback) =>
+                this.call(context, "tabs.get", () => clone(this.requireTab(tabId)), callback),
+            reload: (tabId: number, _properties?: unknown, callback?: Callback) =>
+                this.call(context, "tabs.reload", () => this.navigate(tabId, this.requireTab(tabId).url!), callback),
+            sendMessage: (tabId: number, message: unknown, options?: { frameId?: number }, callback?: Callback) => {
+                const frameId = typeof options === "object" ? options?.frameId : undefined;
+                this.messages.push({ from: context.descriptor, to: { tabId, frameId }, message: clone(message) });
+                return this.call(
+                    context,
+                    "tabs.sendMessage",
+                    () => this.deliver(context, this.contentContexts(tabId, frameId), message),
+                    typeof options === "function" ? (options as Callback) : callback
+                );
+            },
+            connect: (tabId: number, connectInfo?: chrome.tabs.ConnectInfo) =>
+                this.connect(
+                    context,
+                    "tabs.connect",
+                    this.contentContexts(tabId, connectInfo?.frameId),
+                    connectInfo?.name
+                ),
+            onActivated: events.onTabActivated,
+            onRemoved: events.onTabRemoved,
+            onUpdated: events.onTabUpdated,
+        };
+
+        const contextMenus = {
+            create: (properties: chrome.contextMenus.CreateProperties, callback?: Callback) => {
+                const id = properties.id ?? this.contextMenus.size + 1;
+                let error: string | undefined;
+                if (this.contextMenus.has(id)) {
+                    error = `Cannot create item with duplicate id ${id}`;
+                } else if (properties.parentId !== undefined && !this.contextMenus.has(properties.parentId)) {
+                    error = `Cannot find menu item with id ${properties.parentId}`;
+                } else {
+                    this.contextMenus.set(id, { visible: true, ...clone(properties), id: String(id) });
+                }
+                this.reportSync(context, "contextMenus.create", error, callback);
+                return id;
+            },
+            update: (
+                id: string | number,
+                properties: Partial<chrome.contextMenus.CreateProperties>,
+                callback?: Callback
+            ) =>
+                this.call(
+                    context,
+                    "contextMenus.update",
+                    () => {
+                        const item = this.contextMenus.get(id);
+                        if (!item) throw new Error(`Cannot find menu item with id ${id}`);
+                        Object.assign(item, clone(properties));
+                    },
+                    callback
+                ),
+            remove: (id: string | number, callback?: Callback) =>
+                this.call(
+                    context,
+                    "contextMenus.remove",
+                    () => {
+                        if (!this.contextMenus.delete(id)) throw new Error(`Cannot find menu item with id ${id}`);
+                        for (const [childId, child] of [...this.contextMenus]) {
+                            if (child.parentId === id) this.contextMenus.delete(childId);
+                        }
+                    },
+                    callback
+                ),
+            removeAll: (callback?: Callback) =>
+                this.call(context, "contextMenus.removeAll", () => this.contextMenus.clear(), callback),
+            onClicked: events.onMenuClicked,
+        };
+
+        const badgeSetter = (api: string, field: keyof BadgeState) => {
+            return (details: { tabId?: number } & Partial<BadgeState>, callback?: Callback) =>
+                this.call(
+                    context,
+                    `action.${api}`,
+                    () => {
+                        if (details.tabId !== undefined) this.requireTab(details.tabId);
+                        this.badges.set(details.tabId, { ...this.badges.get(details.tabId), [field]: details[field] });
+                    },
+                    callback
+                );
+        };
+        const badgeGetter = (api: string, field: keyof BadgeState) => {
+            return (details: { tabId?: number } = {}, callback?: Callback) =>
+                this.call(context, `action.${api}`, () => this.getBadge(details.tabId)[field], callback);
+        };
+
+        const action = {
+            setBadgeText: badgeSetter("setBadgeText", "text"),
+            getBadgeText: badgeGetter("getBadgeText", "text"),
+            setBadgeBackgroundColor: badgeSetter("setBadgeBackgroundColor", "color"),
+            getBadgeBackgroundColor: badgeGetter("getBadgeBackgroundColor", "color"),
+            setTitle: badgeSetter("setTitle", "title"),
+            getTitle: badgeGetter("getTitle", "title"),
+        };
+
+        const idsFilter = (filter?: chrome.scripting.ContentScriptFilter) => (id: string) =>
+            !filter?.ids || filter.ids.includes(id);
+        const scripting = {
+            executeScript: (injection: FileInjection, callback?: Callback) =>
+                this.call(context, "scripting.executeScript", () => this.executeScript(injection), callback),
+            registerContentScripts: (scripts: chrome.scripting.RegisteredContentScript[], callback?: Callback) =>
+                this.call(
+                    context,
+                    "scripting.registerContentScripts",
+                    () => {
+                        const duplicate = scripts.find(({ id }) => this.registeredScripts.has(id));
+                        if (duplicate) throw new Error(`Duplicate script ID '${duplicate.id}'`);
+                        scripts.forEach((script) => this.registeredScripts.set(script.id, clone(script)));
+                    },
+                    callback
+                ),
+            getRegisteredContentScripts: (filter?: chrome.scripting.ContentScriptFilter, callback?: Callback) =>
+                this.call(
+                    context,
+                    "scripting.getRegisteredContentScripts",
+                    () => clone([...this.registeredScripts.values()].filter(({ id }) => idsFilter(filter)(id))),
+                    callback
+                ),
+            unregisterContentScripts: (filter?: chrome.scripting.ContentScriptFilter, callback?: Callback) =>
+                this.call(
+                    context,
+                    "scripting.unregisterContentScripts",
+                    () =>
+                        [...this.registeredScripts.keys()]
+                            .filter(idsFilter(filter))
+                            .forEach((id) => this.registeredScripts.delete(id)),
+                    callback
+                ),
+        };
+
+        const permissions = {
+            contains: (permissions: chrome.permissions.Permissions, callback?: Callback) =>
+                this.call(
+                    context,
+                    "permissions.contains",
+                    () => (permissions.origins ?? []).every((origin) => this.grantedOrigins.has(origin)),
+                    callback
+                ),
+            request: (permissions: chrome.permissions.Permissions, callback?: Callback) =>
+                this.call(
+                    context,
+                    "permissions.request",
+                    () => {
+                        if (this.acceptPermissionRequests) this.setPermissions(permissions.origins ?? [], true);
+                        return this.acceptPermissionRequests;
+                    },
+                    callback
+                ),
+            remove: (permissions: chrome.permissions.Permissions, callback?: Callback) =>
+                this.call(
+                    context,
+                    "permissions.remove",
+                    () => {
+                        this.setPermissions(permissions.origins ?? [], false);
+                        return true;
+                    },
+                    callback
+                ),
+            onAdded: events.onPermissionsAdded,
+            onRemoved: events.onPermissionsRemoved,
+        };
+
+        const i18n = {
+            getUILanguage: () => "en",
+            getMessage: (name: string, substitutions?: string | string[]) => {
+                const predefined: Record<string, string> = {
+                    "@@extension_id": EXTENSION_ID,
+                    "@@ui_locale": "en",
+                    "@@bidi_dir": "ltr",
+                };
+                if (name in predefined) return predefined[name];
+                const entry = Object.entries(this.localeMessages).find(
+                    ([key]) => key.toLowerCase() === name.toLowerCase()
+                )?.[1];
+                if (!entry) return "";
+                const values = [].concat((substitutions ?? []) as never) as string[];
+                const placeholders = Object.fromEntries(
+                    Object.entries(entry.placeholders ?? {}).map(([key, { content }]) => [key.toLowerCase(), content])
+                );
+                return entry.message
+                    .replace(/\$([A-Za-z0-9_@]+)\$/g, (match, key: string) => placeholders[key.toLowerCase()] ?? match)
+                    .replace(/\$(\d)/g, (match, index: string) => values[Number(index) - 1] ?? "");
+            },
+        };
+
+        return {
+            runtime,
+            tabs,
+            contextMenus,
+            action,
+            scripting,
+            permissions,
+            i18n,
+            storage: {
+                local: this.createStorageArea(context, "local"),
+                sync: this.createStorageArea(context, "sync"),
+                session: this.createStorageArea(context, "session"),
+                onChanged: events.onStorageChanged,
+            },
+            windows: { onFocusChanged: events.onWindowFocusChanged },
+            commands: { onCommand: events.onCommand },
+        } as unknown as typeof chrome;
+    }
+}
+
+export const chromeFake = new ChromeFake();
@@ -0,0 +1,35 @@
+import "@testing-library/jest-dom/vitest";
+import { readFileSync } from "fs";
+import { resolve } from "path";
+import { beforeEach, inject } from "vitest";
+import { chromeFake } from "./chromeFake";
+
+declare module "vitest" {
+    export interface ProvidedContext {
+        // manifest.config.ts evaluated by vitest.config.ts in the "test" mode
+        manifest: chrome.runtime.Manifest;
+    }
+}
+
+const root = resolve(__dirname, "../..");
+const manifest = inject("manifest");
+const messages = JSON.parse(readFileSync(resolve(root, "public/_locales/en/messages.json"), "utf8"));
+
+(globalThis as { chrome?: typeof chrome }).chrome = chromeFake.defaultContext.chrome;
+
+// What scripting.executeScript runs for the files the service worker injects
+chromeFake.scriptLoaders.set(__INJECTED_SCRIPTS__.content, () => import("../content"));
+
+// jsdom has no canvas implementation; effects fall back to their static frame without a 2D context
+HTMLCanvasElement.prototype.getContext = (() => null) as typeof HTMLCanvasElement.prototype.getContext;
+
+// Nor the Web Animations API; effects only need an animation they can cancel
+Element.prototype.animate ??= function () {
+    return { cancel() {}, finished: Promise.resolve() } as unknown as Animation;
+};
+
+beforeEach(() => {
+    chromeFake.reset();
+    chromeFake.manifest = manifest;
+    chromeFake.localeMessages = messages;
+});
@@ -0,0 +1,9 @@
+/**
+ * Thin compatibility layer over the WebExtension APIs. Firefox exposes the promise-based `browser`
+ * namespace, while Chrome and Edge only expose `chrome`, whose Manifest V3 methods return promises as
+ * well. Code shared between targets imports `browser` from here and sticks to the promise-based forms.
+ */
+
+const scope = globalThis as unknown as { browser?: typeof chrome; chrome?: typeof chrome };
+
+export const browser = (scope.browser ?? scope.chrome) as typeof chrome;
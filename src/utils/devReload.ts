@@ -0,0 +1,69 @@
+/**
+ * Development-only client for the reload server started by `build.cjs --watch`. It is imported by the
+ * service worker behind `__DEV_RELOAD_PORT__`, which is 0 in production so the bundler drops it entirely.
+ */
+
+import { browser } from "./browser";
+import type { Logger } from "./logger";
+import { sendToTab } from "./messaging";
+
+type ReloadMessage = { type: "reload" } | { type: "refresh-tabs" } | { type: "ping" };
+
+// Reloading the extension orphans injected content scripts, so the tabs running one are noted beforehand
+const INJECTED_TABS_KEY = "devReload:injectedTabs";
+const PING_TIMEOUT = 500;
+
+async function reloadExtension(): Promise<void> {
+    const tabIds = (await browser.tabs.query({})).flatMap((tab) => (tab.id === undefined ? [] : [tab.id]));
+    const answered = await Promise.all(
+        tabIds.map((tabId) =>
+            sendToTab(tabId, "ping", undefined, { timeout: PING_TIMEOUT }).then(
+                () => tabId,
+                () => undefined
+            )
+        )
+    );
+    await browser.storage.local.set({ [INJECTED_TABS_KEY]: answered.filter((id) => id !== undefined) });
+    browser.runtime.reload();
+}
+
+async function refreshContentScriptTabs(): Promise<void> {
+    const { [INJECTED_TABS_KEY]: tabIds = [] } = await browser.storage.local.get(INJECTED_TABS_KEY);
+    await browser.storage.local.remove(INJECTED_TABS_KEY);
+    for (const tabId of tabIds as number[]) {
+        browser.tabs.reload(tabId).catch(() => undefined);
+    }
+}
+
+/**
+ * Connects to the reload server at `host` and `port`, where the build binds it, and keeps reconnecting
+ * while watch mode restarts. Reports to the caller's `log`.
+ */
+export function connectDevReloadServer(host: string, port: number, log: Logger): void {
+    let retryDelay = 1000;
+
+    const connect = () => {
+        const socket = new WebSocket(`ws://${host}:${port}`);
+
+        socket.onopen = () => {
+            retryDelay = 1000;
+            log.info(`Connected to the reload server at ${host}:${port}`);
+        };
+        socket.onmessage = (event) => {
+            const message: ReloadMessage = JSON.parse(event.data);
+            if (message.type === "reload") {
+                reloadExtension().catch(() => browser.runtime.reload());
+            } else if (message.type === "refresh-tabs") {
+                refreshContentScriptTabs().catch((error) =>
+                    log.error("Failed to refresh the tabs running the content script", error)
+                );
+            }
+        };
+        socket.onclose = () => {
+            setTimeout(connect, retryDelay);
+            retryDelay = Math.min(retryDelay * 2, 10000);
+        };
+    };
+
+    connect();
+}
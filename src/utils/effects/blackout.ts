@@ -0,0 +1,27 @@
+import { t } from "../i18n";
+import { EFFECT_MESSAGES } from "./types";
+import type { PageEffect } from "./types";
+
+const FADE_DURATION = 300;
+
+const animations = new WeakMap<HTMLElement, Animation>();
+
+/**
+ * Fades the page to black.
+ */
+export const blackout: PageEffect = {
+    name: "blackout",
+    label: t(EFFECT_MESSAGES.blackout),
+    start({ overlay, reducedMotion }) {
+        overlay.style.backgroundColor = "#000000";
+        if (reducedMotion) return;
+        animations.set(overlay, overlay.animate([{ opacity: 0 }, { opacity: 1 }], FADE_DURATION));
+    },
+    stop({ overlay }) {
+        animations.get(overlay)?.cancel();
+        animations.delete(overlay);
+    },
+    duration({ reducedMotion }) {
+        return reducedMotion ? 0 : FADE_DURATION;
+    },
+};
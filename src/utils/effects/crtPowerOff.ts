@@ -0,0 +1,47 @@
+import { t } from "../i18n";
+import { EFFECT_MESSAGES } from "./types";
+import type { PageEffect } from "./types";
+
+const COLLAPSE_DURATION = 600;
+
+const animations = new WeakMap<HTMLElement, Animation>();
+
+/**
+ * Switches the page off like an old CRT: a bright screen collapses into a horizontal line, then into a
+ * dot that fades out.
+ */
+export const crtPowerOff: PageEffect = {
+    name: "crt-power-off",
+    label: t(EFFECT_MESSAGES["crt-power-off"]),
+    start({ overlay, reducedMotion }) {
+        overlay.style.backgroundColor = "#000000";
+        if (reducedMotion) return;
+
+        const screen = document.createElement("div");
+        screen.style.position = "absolute";
+        screen.style.inset = "0";
+        screen.style.backgroundColor = "#FFFFFF";
+        screen.style.opacity = "0";
+        overlay.appendChild(screen);
+
+        animations.set(
+            overlay,
+            screen.animate(
+                [
+                    { transform: "scale(1, 1)", opacity: 1, filter: "brightness(1)" },
+                    { transform: "scale(1, 0.005)", opacity: 1, filter: "brightness(3)", offset: 0.5 },
+                    { transform: "scale(0.005, 0.005)", opacity: 1, offset: 0.8 },
+                    { transform: "scale(0, 0)", opacity: 0 },
+                ],
+                { duration: COLLAPSE_DURATION, easing: "ease-in", fill: "forwards" }
+            )
+        );
+    },
+    stop({ overlay }) {
+        animations.get(overlay)?.cancel();
+        animations.delete(overlay);
+    },
+    duration({ reducedMotion }) {
+        return reducedMotion ? 0 : COLLAPSE_DURATION;
+    },
+};
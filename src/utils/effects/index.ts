@@ -0,0 +1,41 @@
+/**
+ * Registry of page effects used by `destroyPage`. The built-in effects are registered here; extensions
+ * of the template can add their own with `registerEffect` and run them by name.
+ */
+
+import { blackout } from "./blackout";
+import { crtPowerOff } from "./crtPowerOff";
+import { pixelDissolve } from "./pixelDissolve";
+import { staticNoise } from "./staticNoise";
+import { DEFAULT_EFFECT } from "./types";
+import type { PageEffect } from "./types";
+
+export { BUILT_IN_EFFECTS, DEFAULT_EFFECT } from "./types";
+export type { EffectContext, EffectName, PageEffect } from "./types";
+
+const registry = new Map<string, PageEffect>();
+
+/**
+ * Adds an effect to the registry, replacing any effect registered under the same name.
+ */
+export function registerEffect(effect: PageEffect): void {
+    registry.set(effect.name, effect);
+}
+
+/**
+ * Looks up an effect by name. Unknown names fall back to the default effect so a stale setting or a
+ * message from an older popup still destroys the page.
+ */
+export function getEffect(name: string): PageEffect {
+    return registry.get(name) ?? registry.get(DEFAULT_EFFECT)!;
+}
+
+export function listEffects(): PageEffect[] {
+    return [...registry.values()];
+}
+
+export function prefersReducedMotion(): boolean {
+    return typeof matchMedia === "function" && matchMedia("(prefers-reduced-motion: reduce)").matches;
+}
+
+[staticNoise, crtPowerOff, pixelDissolve, blackout].forEach(registerEffect);
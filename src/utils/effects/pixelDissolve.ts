@@ -0,0 +1,81 @@
+import { t } from "../i18n";
+import { EFFECT_MESSAGES } from "./types";
+import type { PageEffect } from "./types";
+
+const CELL_SIZE = 16;
+const DISSOLVE_DURATION = 1200;
+
+const frames = new WeakMap<HTMLElement, number>();
+
+/**
+ * Shuffled cell order, so the screen fills in random blocks instead of scanning line by line.
+ */
+function shuffledCells(count: number): Uint32Array {
+    const order = new Uint32Array(count);
+    for (let i = 0; i < count; i++) order[i] = i;
+    for (let i = count - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [order[i], order[j]] = [order[j], order[i]];
+    }
+    return order;
+}
+
+/**
+ * Dissolves the page into black blocks. One canvas pixel is one block, scaled up without smoothing, so
+ * the per-frame cost depends on the block count and not on the screen resolution.
+ */
+export const pixelDissolve: PageEffect = {
+    name: "pixel-dissolve",
+    label: t(EFFECT_MESSAGES["pixel-dissolve"]),
+    start({ overlay, width, height, reducedMotion }) {
+        if (reducedMotion) {
+            overlay.style.backgroundColor = "#000000";
+            return;
+        }
+
+        const columns = Math.max(1, Math.ceil(width / CELL_SIZE));
+        const rows = Math.max(1, Math.ceil(height / CELL_SIZE));
+        const canvas = document.createElement("canvas");
+        canvas.width = columns;
+        canvas.height = rows;
+        canvas.style.width = `${columns * CELL_SIZE}px`;
+        canvas.style.height = `${rows * CELL_SIZE}px`;
+        canvas.style.imageRendering = "pixelated";
+        overlay.appendChild(canvas);
+
+        const ctx = canvas.getContext("2d");
+        if (!ctx) {
+            overlay.style.backgroundColor = "#000000";
+            return;
+        }
+        const imageData = ctx.createImageData(columns, rows);
+        const pixels = new Uint32Array(imageData.data.buffer);
+        const order = shuffledCells(pixels.length);
+        const startTime = performance.now();
+        let filled = 0;
+
+        const draw = () => {
+            if (!overlay.isConnected) return;
+            const progress = Math.min((performance.now() - startTime) / DISSOLVE_DURATION, 1);
+            const target = Math.floor(progress * pixels.length);
+            for (; filled < target; filled++) pixels[order[filled]] = 0xff000000;
+            ctx.putImageData(imageData, 0, 0);
+            if (progress < 1) {
+                frames.set(overlay, requestAnimationFrame(draw));
+            } else {
+                overlay.style.backgroundColor = "#000000";
+                canvas.remove();
+                frames.delete(overlay);
+            }
+        };
+        draw();
+    },
+    stop({ overlay }) {
+        const frame = frames.get(overlay);
+        if (frame !== undefined) cancelAnimationFrame(frame);
+        frames.delete(overlay);
+    },
+    duration({ reducedMotion }) {
+        return reducedMotion ? 0 : DISSOLVE_DURATION;
+    },
+};
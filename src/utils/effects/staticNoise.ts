@@ -0,0 +1,105 @@
+import { t } from "../i18n";
+import { EFFECT_MESSAGES } from "./types";
+import type { PageEffect } from "./types";
+
+const COLORS = ["#FFFFFF", "#FFFF00", "#00FFFF", "#00FF00", "#FF00FF", "#FF0000", "#0000FF", "#000000"];
+const NOISE_DURATION = 1000;
+/** Upper bound for the noise canvas; larger screens get a coarser grain instead of more pixels per frame. */
+const MAX_NOISE_PIXELS = 960 * 540;
+
+const frames = new WeakMap<HTMLElement, number>();
+
+let noisePool: Uint32Array | undefined;
+
+/**
+ * Returns a buffer of random opaque grey pixels at least twice as long as one frame. Frames copy a window
+ * at a random offset out of it, so a frame is a single `set` call instead of one `Math.random` per pixel.
+ * The pool is kept between runs and only regrown for a larger canvas.
+ */
+function getNoisePool(frameLength: number): Uint32Array {
+    if (noisePool && noisePool.length >= frameLength * 2) return noisePool;
+    noisePool = new Uint32Array(frameLength * 2);
+    for (let i = 0; i < noisePool.length; i++) {
+        const value = Math.floor(Math.random() * 256);
+        noisePool[i] = (0xff000000 | (value << 16) | (value << 8) | value) >>> 0;
+    }
+    return noisePool;
+}
+
+/**
+ * The original effect: TV colour bars covered by a second of static that then fades away.
+ */
+export const staticNoise: PageEffect = {
+    name: "static-noise",
+    label: t(EFFECT_MESSAGES["static-noise"]),
+    start({ overlay, width, height, reducedMotion }) {
+        const colorBars = document.createElement("div");
+        colorBars.style.width = "100%";
+        colorBars.style.height = "100%";
+        colorBars.style.display = "flex";
+        colorBars.style.flexDirection = "row";
+        overlay.appendChild(colorBars);
+
+        COLORS.forEach((color) => {
+            const bar = document.createElement("div");
+            bar.style.width = `${100 / COLORS.length}%`;
+            bar.style.height = "100%";
+            bar.style.backgroundColor = color;
+            colorBars.appendChild(bar);
+        });
+
+        if (reducedMotion) return;
+
+        const canvas = document.createElement("canvas");
+        canvas.style.position = "absolute";
+        canvas.style.top = "0";
+        canvas.style.left = "0";
+        canvas.style.width = "100%";
+        canvas.style.height = "100%";
+        canvas.style.opacity = "1";
+        canvas.style.imageRendering = "pixelated";
+        overlay.appendChild(canvas);
+
+        const ctx = canvas.getContext("2d");
+        if (!ctx) {
+            canvas.remove();
+            return;
+        }
+        const scaleFactor = Math.max(2, Math.ceil(Math.sqrt((width * height) / MAX_NOISE_PIXELS)));
+        const canvasWidth = Math.max(1, Math.ceil(width / scaleFactor));
+        const canvasHeight = Math.max(1, Math.ceil(height / scaleFactor));
+        canvas.width = canvasWidth;
+        canvas.height = canvasHeight;
+
+        const imageData = ctx.createImageData(canvasWidth, canvasHeight);
+        const pixels = new Uint32Array(imageData.data.buffer);
+        const pool = getNoisePool(pixels.length);
+        const startTime = performance.now();
+
+        const drawNoise = () => {
+            if (!overlay.isConnected) return;
+            if (performance.now() - startTime < NOISE_DURATION) {
+                const offset = Math.floor(Math.random() * (pool.length - pixels.length));
+                pixels.set(pool.subarray(offset, offset + pixels.length));
+                ctx.putImageData(imageData, 0, 0);
+                frames.set(overlay, requestAnimationFrame(drawNoise));
+            } else {
+                frames.delete(overlay);
+                canvas.style.opacity = "0";
+            }
+        };
+        drawNoise();
+
+        canvas.addEventListener("transitionend", () => {
+            canvas.remove();
+        });
+    },
+    stop({ overlay }) {
+        const frame = frames.get(overlay);
+        if (frame !== undefined) cancelAnimationFrame(frame);
+        frames.delete(overlay);
+    },
+    duration({ reducedMotion }) {
+        return reducedMotion ? 0 : NOISE_DURATION;
+    },
+};
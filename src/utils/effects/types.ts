@@ -0,0 +1,47 @@
+import type { MessageKey } from "../i18n";
+
+export const BUILT_IN_EFFECTS = ["static-noise", "crt-power-off", "pixel-dissolve", "blackout"] as const;
+
+export type EffectName = (typeof BUILT_IN_EFFECTS)[number];
+
+export const DEFAULT_EFFECT: EffectName = "static-noise";
+
+/** Label messages of the built-in effects, so the service worker can build menus without the effect code. */
+export const EFFECT_MESSAGES: Record<EffectName, MessageKey> = {
+    "static-noise": "effectStaticNoise",
+    "crt-power-off": "effectCrtPowerOff",
+    "pixel-dissolve": "effectPixelDissolve",
+    blackout: "effectBlackout",
+};
+
+/**
+ * What an effect gets to draw with. `overlay` already covers the destroyed target: a fixed, full-viewport
+ * element for the whole page, or an absolutely positioned one over the box of a single element. `width`
+ * and `height` are the size of that overlay. The effect owns its children and inline styles until `stop`
+ * is called.
+ */
+export interface EffectContext {
+    overlay: HTMLDivElement;
+    width: number;
+    height: number;
+    /** The user asked for reduced motion; show the end state without animating. */
+    reducedMotion: boolean;
+}
+
+/**
+ * A page effect. `start` sets up the overlay and begins animating, `stop` cancels any pending frames and
+ * releases what `start` allocated, and `duration` tells callers how long the animated part lasts.
+ *
+ * `destroyPage` hides the target and the content script reports the page as destroyed as soon as `start`
+ * returns, and restoring calls `stop` whether or not the animation is done, so the template itself never
+ * waits for an effect. `duration` is for code that chains something after the animation, such as an
+ * effect that plays another one or a feature that closes the tab once the page is gone; return 0 when
+ * `reducedMotion` skips the animation.
+ */
+export interface PageEffect {
+    name: string;
+    label: string;
+    start(context: EffectContext): void; // eslint-disable-line no-unused-vars
+    stop(context: EffectContext): void; // eslint-disable-line no-unused-vars
+    duration(context: EffectContext): number; // eslint-disable-line no-unused-vars
+}
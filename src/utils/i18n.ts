@@ -0,0 +1,85 @@
+/**
+ * Typed access to the extension's `_locales` messages.
+ *
+ * `Messages` lists every message in `public/_locales/en/messages.json` together with the substitutions
+ * its placeholders take, so `t()` rejects unknown names and wrong argument counts at compile time. The
+ * build fails when the two drift apart, and it checks the other direction too: every name passed to
+ * `t()` must exist in the default locale.
+ */
+
+import { browser } from "./browser";
+
+export interface Messages {
+    extensionName: [];
+    extensionDescription: [];
+    actionTitle: [];
+    actionTitleDestroyed: [count: string];
+    commandDestroyPage: [];
+    commandRestorePage: [];
+    menuDestroyPage: [];
+    menuDestroySelection: [];
+    menuDestroyImage: [];
+    menuDestroyLink: [];
+    menuRestorePage: [];
+    effectStaticNoise: [];
+    effectCrtPowerOff: [];
+    effectPixelDissolve: [];
+    effectBlackout: [];
+    launcherTitle: [];
+    popupTitle: [];
+    popupCreatedBy: [];
+    popupViewOnGitHub: [];
+    popupEffect: [];
+    popupRestrictedBrowserPage: [];
+    popupRestrictedWebStore: [];
+    popupRestrictedFile: [];
+    popupRestrictedInaccessible: [];
+    popupDestroyedCount: [count: string];
+    debugPanelTitle: [];
+    debugPanelMinimumLevel: [];
+    debugPanelContext: [];
+    debugPanelAllContexts: [];
+    debugPanelSearch: [];
+    debugPanelExport: [];
+    debugPanelClear: [];
+    debugPanelClose: [];
+    debugPanelTab: [tabId: string];
+    debugPanelEntryCount: [shown: string, total: string];
+    optionsTitle: [];
+    optionsReset: [];
+    settingHoldDuration: [];
+    settingHoldDurationDescription: [];
+    settingEffect: [];
+    settingEffectDescription: [];
+    settingLauncherPosition: [];
+    settingLauncherPositionDescription: [];
+    launcherPositionBottomLeft: [];
+    launcherPositionBottomRight: [];
+    launcherPositionTopLeft: [];
+    launcherPositionTopRight: [];
+    settingLauncherAllowlist: [];
+    settingLauncherAllowlistDescription: [];
+    settingLauncherDenylist: [];
+    settingLauncherDenylistDescription: [];
+    settingContextMenu: [];
+    settingContextMenuDescription: [];
+    settingRunOnAllSites: [];
+    settingRunOnAllSitesDescription: [];
+}
+
+export type MessageKey = keyof Messages;
+
+/**
+ * Returns the message in the browser's UI language with its placeholders filled in. Falls back to the
+ * message name when no locale defines it, so a missing message is visible instead of an empty string.
+ */
+export function t<K extends MessageKey>(key: K, ...substitutions: Messages[K]): string {
+    return browser.i18n.getMessage(key, substitutions) || key;
+}
+
+/**
+ * Writing direction of the UI language, for the `dir` attribute of extension pages.
+ */
+export function getTextDirection(): "ltr" | "rtl" {
+    return browser.i18n.getMessage("@@bidi_dir") === "rtl" ? "rtl" : "ltr";
+}
@@ -0,0 +1,136 @@
+/**
+ * On-demand injection of the content script.
+ *
+ * The manifest declares no content scripts and no host permissions. The service worker injects the
+ * content script with `scripting.executeScript` the first time a feature is used on a tab, which the
+ * `activeTab` grant from the popup, a context menu click or a keyboard shortcut allows. Users who opt in
+ * to `runOnAllSites` grant `<all_urls>`, and the script is then registered to run on every page.
+ */
+
+import { browser } from "./browser";
+import { MessagingError, sendToTab } from "./messaging";
+import type { Logger } from "./logger";
+
+/**
+ * Emitted file of a script listed in `injectedScripts` of package.json, by its source file name without
+ * extension. Throws when there is none, so renaming the source file fails as soon as this module loads
+ * instead of when the browser is asked to inject `undefined`.
+ */
+function injectedScriptFile(name: string): string {
+    const file = __INJECTED_SCRIPTS__[name];
+    if (!file) {
+        throw new Error(`No injected script named "${name}"; is src/${name}.ts listed in injectedScripts?`);
+    }
+    return file;
+}
+
+export const CONTENT_SCRIPT_FILE = injectedScriptFile("content");
+
+/** The optional host permission behind the `runOnAllSites` setting. */
+export const ALL_SITES: chrome.permissions.Permissions = { origins: ["<all_urls>"] };
+
+const REGISTERED_SCRIPT_ID = "content";
+
+/**
+ * Why the content script cannot run in a page: a built-in browser page, an extension store, a local file
+ * the user has not allowed, or anything else the browser refused.
+ */
+export type PageRestriction = "browser-page" | "web-store" | "file" | "inaccessible";
+
+// Stores the browsers never let extensions script, matched by host and path prefix
+const WEB_STORES = [
+    { host: "chromewebstore.google.com", path: "/" },
+    { host: "chrome.google.com", path: "/webstore" },
+    { host: "microsoftedge.microsoft.com", path: "/addons" },
+    { host: "addons.mozilla.org", path: "/" },
+];
+
+// Injections in flight per tab and frame, so a double click does not inject twice
+const pendingInjections = new Map<string, Promise<PageRestriction | null>>();
+
+/**
+ * Tells from the URL alone whether a page is off limits. File URLs are allowed here because the user may
+ * have granted file access; `ensureContentScript` only reports them once injecting fails. A missing URL
+ * means the tab was never granted to the extension.
+ */
+export function getPageRestriction(url: string | undefined): PageRestriction | null {
+    if (!url) return "inaccessible";
+    let parsed: URL;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return "inaccessible";
+    }
+    if (parsed.protocol === "file:") return null;
+    if (parsed.protocol !== "http:" && parsed.protocol !== "https:") return "browser-page";
+    const store = WEB_STORES.some(({ host, path }) => parsed.hostname === host && parsed.pathname.startsWith(path));
+    return store ? "web-store" : null;
+}
+
+async function injectContentScript(tabId: number, url: string | undefined, frameId: number | undefined, log: Logger) {
+    try {
+        await sendToTab(tabId, "ping", undefined, { frameId });
+        return null;
+    } catch (error) {
+        if (!(error instanceof MessagingError) || error.code !== "no-receiver") throw error;
+    }
+
+    try {
+        await browser.scripting.executeScript({
+            target: frameId === undefined ? { tabId } : { tabId, frameIds: [frameId] },
+            files: [CONTENT_SCRIPT_FILE],
+        });
+        return null;
+    } catch (error) {
+        log.warn(`Cannot inject the content script into tab ${tabId}`, error);
+        return url?.startsWith("file:") ? "file" : "inaccessible";
+    }
+}
+
+/**
+ * Makes sure the content script runs in the tab (or one of its frames), injecting it when it does not
+ * answer a ping yet. Resolves with `null` once it runs, or with the reason it cannot. Pass the tab's URL
+ * when known so restricted pages are reported without trying. Failed injections are reported to `log`.
+ */
+export function ensureContentScript(
+    tabId: number,
+    options: { url?: string; frameId?: number },
+    log: Logger
+): Promise<PageRestriction | null> {
+    const restriction = options.url === undefined ? null : getPageRestriction(options.url);
+    if (restriction) return Promise.resolve(restriction);
+
+    const key = `${tabId}:${options.frameId ?? "all"}`;
+    let pending = pendingInjections.get(key);
+    if (!pending) {
+        pending = injectContentScript(tabId, options.url, options.frameId, log).finally(() =>
+            pendingInjections.delete(key)
+        );
+        pendingInjections.set(key, pending);
+    }
+    return pending;
+}
+
+/**
+ * Registers the content script for every page while `enabled` is on and `<all_urls>` is granted, and
+ * unregisters it otherwise. Registrations persist across sessions, so this only has to run when either
+ * of the two changes.
+ */
+export async function syncContentScriptRegistration(enabled: boolean): Promise<void> {
+    const granted = enabled && (await browser.permissions.contains(ALL_SITES));
+    const registered = await browser.scripting.getRegisteredContentScripts({ ids: [REGISTERED_SCRIPT_ID] });
+
+    if (granted && registered.length === 0) {
+        await browser.scripting.registerContentScripts([
+            {
+                id: REGISTERED_SCRIPT_ID,
+                js: [CONTENT_SCRIPT_FILE],
+                matches: ALL_SITES.origins!,
+                runAt: "document_idle",
+                persistAcrossSessions: true,
+            },
+        ]);
+    } else if (!granted && registered.length > 0) {
+        await browser.scripting.unregisterContentScripts({ ids: [REGISTERED_SCRIPT_ID] });
+    }
+}
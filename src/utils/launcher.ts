@@ -0,0 +1,280 @@
+/**
+ * In-page launcher icon for the content script. It lives in a closed shadow root so host-page CSS can
+ * neither restyle nor hide it, sits in a configurable corner, can be dragged to a position that is
+ * remembered per origin, and only appears on sites the allow/deny lists permit.
+ */
+
+import { browser } from "./browser";
+import { createLogger } from "./logger";
+import { getSettings, subscribeSetting } from "./settings";
+import type { LauncherPosition } from "./settings";
+
+const log = createLogger("content");
+
+export interface LauncherOptions {
+    iconUrl: string;
+    title: string;
+    onActivate: () => void;
+}
+
+interface SavedPosition {
+    /** Left edge as a fraction of the viewport width. */
+    x: number;
+    /** Top edge as a fraction of the viewport height. */
+    y: number;
+    /** When the launcher was last dragged on the origin, for evicting the oldest positions. */
+    savedAt?: number;
+}
+
+const SIZE = 30;
+const MARGIN = 10;
+const DRAG_THRESHOLD = 4;
+const POSITION_KEY_PREFIX = "launcher:position:";
+// Positions are kept per origin; beyond this many, the least recently dragged ones are forgotten
+const MAX_SAVED_POSITIONS = 100;
+
+const STYLES = `
+    button {
+        all: unset;
+        display: block;
+        width: ${SIZE}px;
+        height: ${SIZE}px;
+        cursor: pointer;
+        touch-action: none;
+        transition: scale 0.1s ease;
+    }
+    button:hover {
+        scale: 1.3;
+    }
+    button:focus-visible {
+        outline: 2px solid #6583fc;
+        outline-offset: 2px;
+        border-radius: 50%;
+    }
+    button.dragging {
+        cursor: grabbing;
+        scale: 1.3;
+    }
+    img {
+        display: block;
+        width: 100%;
+        height: 100%;
+        pointer-events: none;
+        user-select: none;
+    }
+`;
+
+/**
+ * Whether a hostname matches a site pattern. "example.com" matches only that host; "*.example.com"
+ * also matches its subdomains. Full URLs are accepted and reduced to their host.
+ */
+export function matchesSite(hostname: string, pattern: string): boolean {
+    const host = pattern
+        .trim()
+        .toLowerCase()
+        .replace(/^[a-z]+:\/\//, "")
+        .replace(/[/:].*$/, "");
+    if (!host) return false;
+    if (host.startsWith("*.")) {
+        const domain = host.slice(2);
+        return hostname === domain || hostname.endsWith(`.${domain}`);
+    }
+    return hostname === host;
+}
+
+export function isSiteAllowed(hostname: string, allowlist: string[], denylist: string[]): boolean {
+    if (denylist.some((pattern) => matchesSite(hostname, pattern))) return false;
+    return allowlist.length === 0 || allowlist.some((pattern) => matchesSite(hostname, pattern));
+}
+
+function setImportant(element: HTMLElement, styles: Record<string, string>) {
+    for (const [property, value] of Object.entries(styles)) {
+        element.style.setProperty(property, value, "important");
+    }
+}
+
+// Set while an observer waits for <body>; later calls only replace the callback it runs
+let pendingBodyCallback: (() => void) | undefined;
+
+function whenBodyExists(callback: () => void) {
+    if (document.body) {
+        callback();
+        return;
+    }
+    const waiting = pendingBodyCallback !== undefined;
+    pendingBodyCallback = callback;
+    if (waiting) return;
+    const observer = new MutationObserver(() => {
+        if (!document.body) return;
+        observer.disconnect();
+        const run = pendingBodyCallback;
+        pendingBodyCallback = undefined;
+        run?.();
+    });
+    observer.observe(document.documentElement, { childList: true });
+}
+
+/**
+ * Stores the position for one origin and drops the least recently saved positions beyond
+ * `MAX_SAVED_POSITIONS`, so normal browsing does not grow storage without limit.
+ */
+async function savePosition(key: string, position: SavedPosition): Promise<void> {
+    await browser.storage.local.set({ [key]: { ...position, savedAt: Date.now() } });
+    const items: Record<string, SavedPosition> = await browser.storage.local.get(null);
+    const evicted = Object.entries(items)
+        .filter(([name]) => name.startsWith(POSITION_KEY_PREFIX))
+        .sort(([, a], [, b]) => (b.savedAt ?? 0) - (a.savedAt ?? 0))
+        .slice(MAX_SAVED_POSITIONS)
+        .map(([name]) => name);
+    if (evicted.length > 0) await browser.storage.local.remove(evicted);
+}
+
+/**
+ * Creates the launcher and keeps it mounted, positioned and filtered according to the settings.
+ * Does nothing in subframes so embedded pages do not get a launcher of their own.
+ */
+export async function mountLauncher({ iconUrl, title, onActivate }: LauncherOptions): Promise<void> {
+    if (window.top !== window || !(document.documentElement instanceof HTMLHtmlElement)) return;
+
+    const host = document.createElement("extension-launcher");
+    setImportant(host, {
+        all: "initial",
+        position: "fixed",
+        "z-index": "2147483647",
+        width: `${SIZE}px`,
+        height: `${SIZE}px`,
+        display: "block",
+    });
+    const shadow = host.attachShadow({ mode: "closed" });
+    const style = document.createElement("style");
+    style.textContent = STYLES;
+    const button = document.createElement("button");
+    button.type = "button";
+    button.title = title;
+    button.setAttribute("aria-label", title);
+    const image = document.createElement("img");
+    image.src = iconUrl;
+    image.alt = "";
+    image.draggable = false;
+    button.appendChild(image);
+    shadow.append(style, button);
+
+    const positionKey = POSITION_KEY_PREFIX + location.origin;
+    const settings = await getSettings();
+    let corner: LauncherPosition = settings.launcherPosition;
+    let allowlist = settings.launcherAllowlist;
+    let denylist = settings.launcherDenylist;
+    let saved: SavedPosition | undefined = (await browser.storage.local.get(positionKey))[positionKey];
+
+    const place = () => {
+        if (saved) {
+            const left = Math.min(Math.max(saved.x * window.innerWidth, 0), window.innerWidth - SIZE);
+            const top = Math.min(Math.max(saved.y * window.innerHeight, 0), window.innerHeight - SIZE);
+            setImportant(host, { left: `${left}px`, top: `${top}px`, right: "auto", bottom: "auto" });
+            return;
+        }
+        const [vertical, horizontal] = corner.split("-");
+        setImportant(host, {
+            top: vertical === "top" ? `${MARGIN}px` : "auto",
+            bottom: vertical === "bottom" ? `${MARGIN}px` : "auto",
+            left: horizontal === "left" ? `${MARGIN}px` : "auto",
+            right: horizontal === "right" ? `${MARGIN}px` : "auto",
+        });
+    };
+
+    // Single-page apps and document.open() may wipe the DOM; put the launcher back when that happens
+    const keepMounted = new MutationObserver(() => {
+        if (!host.isConnected && document.documentElement) attach();
+    });
+    const attach = () => {
+        document.documentElement.appendChild(host);
+        keepMounted.observe(document, { childList: true });
+        keepMounted.observe(document.documentElement, { childList: true });
+    };
+
+    let allowed = false;
+    const update = () => {
+        allowed = isSiteAllowed(location.hostname, allowlist, denylist);
+        if (!allowed) {
+            keepMounted.disconnect();
+            host.remove();
+            return;
+        }
+        place();
+        // The lists may change again before <body> exists
+        if (!host.isConnected) whenBodyExists(() => allowed && attach());
+    };
+
+    let drag: { pointerId: number; startX: number; startY: number; offsetX: number; offsetY: number } | undefined;
+    let dragged = false;
+
+    button.addEventListener("pointerdown", (event) => {
+        if (event.button !== 0) return;
+        const rect = host.getBoundingClientRect();
+        drag = {
+            pointerId: event.pointerId,
+            startX: event.clientX,
+            startY: event.clientY,
+            offsetX: event.clientX - rect.left,
+            offsetY: event.clientY - rect.top,
+        };
+        dragged = false;
+        button.setPointerCapture(event.pointerId);
+    });
+    button.addEventListener("pointermove", (event) => {
+        if (!drag || event.pointerId !== drag.pointerId) return;
+        if (!dragged && Math.hypot(event.clientX - drag.startX, event.clientY - drag.startY) < DRAG_THRESHOLD) return;
+        dragged = true;
+        button.classList.add("dragging");
+        saved = {
+            x: (event.clientX - drag.offsetX) / window.innerWidth,
+            y: (event.clientY - drag.offsetY) / window.innerHeight,
+        };
+        place();
+    });
+    const endDrag = (event: PointerEvent) => {
+        if (!drag || event.pointerId !== drag.pointerId) return;
+        drag = undefined;
+        button.classList.remove("dragging");
+        if (dragged && saved) {
+            savePosition(positionKey, saved).catch((error) => log.error("Failed to save the launcher position", error));
+        }
+    };
+    button.addEventListener("pointerup", endDrag);
+    button.addEventListener("pointercancel", endDrag);
+
+    button.addEventListener("click", (event) => {
+        // A click that ends a drag only moves the launcher
+        if (dragged) {
+            dragged = false;
+            event.preventDefault();
+            return;
+        }
+        // Alt+click returns a dragged launcher to its corner
+        if (event.altKey) {
+            saved = undefined;
+            browser.storage.local
+                .remove(positionKey)
+                .catch((error) => log.error("Failed to reset the launcher position", error));
+            place();
+            return;
+        }
+        onActivate();
+    });
+
+    window.addEventListener("resize", place);
+    subscribeSetting("launcherPosition", (value) => {
+        corner = value;
+        place();
+    });
+    subscribeSetting("launcherAllowlist", (value) => {
+        allowlist = value;
+        update();
+    });
+    subscribeSetting("launcherDenylist", (value) => {
+        denylist = value;
+        update();
+    });
+
+    update();
+}
@@ -0,0 +1,91 @@
+import { chromeFake } from "../test/chromeFake";
+import type { ContextDescriptor } from "../test/chromeFake";
+import type { LogEntry } from "./logger";
+
+type Logging = typeof import("./logger");
+
+/**
+ * Imports a fresh copy of the logger module bound to a new simulated context.
+ */
+async function loadLogger(descriptor: ContextDescriptor): Promise<Logging> {
+    let logging!: Logging;
+    await chromeFake.load(descriptor, async () => {
+        logging = await import("./logger");
+    });
+    return logging;
+}
+
+function storedLogs(): LogEntry[] {
+    return (chromeFake.storage.session.get("logs") as LogEntry[] | undefined) ?? [];
+}
+
+describe("logger", () => {
+    let tabId: number;
+    let popup: Logging;
+    let worker: Logging;
+    let content: Logging;
+
+    beforeEach(async () => {
+        for (const level of ["debug", "info", "warn", "error"] as const) {
+            vi.spyOn(console, level).mockImplementation(() => undefined);
+        }
+        tabId = chromeFake.addTab({ url: "https://example.com/page" }).id!;
+        popup = await loadLogger({ type: "popup" });
+        worker = await loadLogger({ type: "worker" });
+        content = await loadLogger({ type: "content", tabId });
+        worker.collectLogs();
+    });
+
+    it("collects the entries of every context in the worker's buffer", async () => {
+        content.createLogger("content").warn("Launcher hidden", { reason: "fullscreen" });
+        popup.createLogger("popup").error("Failed to destroy the tab", new Error("boom"));
+        worker.createLogger("serviceWorker").info("Installed");
+
+        await vi.waitFor(() => expect(storedLogs()).toHaveLength(3));
+        expect(storedLogs()).toEqual(
+            expect.arrayContaining([
+                expect.objectContaining({
+                    level: "warn",
+                    context: "content",
+                    tabId,
+                    message: "Launcher hidden",
+                    data: { reason: "fullscreen" },
+                }),
+                expect.objectContaining({
+                    level: "error",
+                    context: "popup",
+                    message: "Failed to destroy the tab",
+                    data: expect.objectContaining({ name: "Error", message: "boom" }),
+                }),
+                expect.objectContaining({ level: "info", context: "serviceWorker", message: "Installed" }),
+            ])
+        );
+        expect(storedLogs()[0].time).toEqual(expect.any(Number));
+        expect(console.warn).toHaveBeenCalledWith("[content] Launcher hidden", { reason: "fullscreen" });
+    });
+
+    it("keeps only the newest entries", async () => {
+        const log = worker.createLogger("serviceWorker");
+        for (let index = 0; index < worker.LOG_LIMIT + 5; index++) log.debug(`Entry ${index}`);
+
+        await vi.waitFor(() => expect(storedLogs().at(-1)?.message).toBe(`Entry ${worker.LOG_LIMIT + 4}`));
+        expect(storedLogs()).toHaveLength(worker.LOG_LIMIT);
+        expect(storedLogs()[0].message).toBe("Entry 5");
+    });
+
+    it("notifies subscribers of new entries and of clearing", async () => {
+        const listener = vi.fn();
+        popup.subscribeLogs(listener);
+
+        worker.createLogger("serviceWorker").error("Failed to build context menus");
+        await vi.waitFor(() =>
+            expect(listener).toHaveBeenLastCalledWith([
+                expect.objectContaining({ message: "Failed to build context menus" }),
+            ])
+        );
+
+        await popup.clearLogs();
+        expect(listener).toHaveBeenLastCalledWith([]);
+        await expect(popup.getLogs()).resolves.toEqual([]);
+    });
+});
@@ -0,0 +1,120 @@
+/**
+ * Structured logging shared by the popup, options page, content script and service worker.
+ *
+ * Every entry is printed to the console of the context that logged it and collected by the service
+ * worker into a ring buffer in `storage.session`, so logs from every context end up in one place and
+ * survive the worker being suspended. The content script cannot read session storage, and neither knows
+ * its own tab, so other contexts send their entries to the worker with the `log` message and the worker
+ * adds the sender's tab id.
+ *
+ * Name the logger `log` (`const log = createLogger("popup")`): production builds drop `log.<level>()`
+ * calls below the build's level by that name (see logLevel.cjs).
+ */
+
+import { browser } from "./browser";
+import { handleMessage, sendToRuntime } from "./messaging";
+
+export type LogLevel = "debug" | "info" | "warn" | "error";
+
+export type LogContext = "popup" | "options" | "content" | "serviceWorker";
+
+export interface LogEntry {
+    level: LogLevel;
+    context: LogContext;
+    /** Tab of the content script that logged the entry. */
+    tabId?: number;
+    /** Milliseconds since the epoch. */
+    time: number;
+    message: string;
+    /** JSON-safe copy of the value logged with the message; errors keep their name, message and stack. */
+    data?: unknown;
+}
+
+export type Logger = Record<LogLevel, (message: string, data?: unknown) => void>; // eslint-disable-line no-unused-vars
+
+export const LOG_LEVELS: LogLevel[] = ["debug", "info", "warn", "error"];
+
+/** Entries kept in the ring buffer; older ones are dropped first. */
+export const LOG_LIMIT = 500;
+
+const LOGS_KEY = "logs";
+
+// Appends in the worker run one at a time, so concurrent entries do not overwrite each other
+let pendingAppend = Promise.resolve();
+
+function toJsonSafe(value: unknown): unknown {
+    try {
+        return JSON.parse(
+            JSON.stringify(value, (_key, item) =>
+                item instanceof Error ? { name: item.name, message: item.message, stack: item.stack } : item
+            )
+        );
+    } catch {
+        return String(value);
+    }
+}
+
+function appendLog(entry: LogEntry): Promise<void> {
+    pendingAppend = pendingAppend
+        .then(async () => {
+            const logs = await getLogs();
+            logs.push(entry);
+            await browser.storage.session.set({ [LOGS_KEY]: logs.slice(-LOG_LIMIT) });
+        })
+        .catch((error) => console.error("Failed to store log entry:", error));
+    return pendingAppend;
+}
+
+/**
+ * Returns a logger for one context. Levels below the build's `__LOG_LEVEL__` are ignored.
+ */
+export function createLogger(context: LogContext): Logger {
+    const write = (level: LogLevel) => (message: string, data?: unknown) => {
+        if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(__LOG_LEVEL__)) return;
+
+        console[level](`[${context}] ${message}`, ...(data === undefined ? [] : [data]));
+        const entry: LogEntry = { level, context, time: Date.now(), message };
+        if (data !== undefined) entry.data = toJsonSafe(data);
+        if (context === "serviceWorker") {
+            appendLog(entry);
+        } else {
+            // Nothing to report to when the worker is unreachable; the console still has the entry
+            sendToRuntime("log", entry).catch(() => undefined);
+        }
+    };
+    return { debug: write("debug"), info: write("info"), warn: write("warn"), error: write("error") };
+}
+
+/**
+ * Stores the entries the other contexts send. Called once by the service worker; returns a function
+ * that stops collecting.
+ */
+export function collectLogs(): () => void {
+    return handleMessage("log", (entry, sender) => appendLog({ ...entry, tabId: entry.tabId ?? sender.tab?.id }));
+}
+
+/**
+ * Reads the ring buffer, oldest entry first.
+ */
+export async function getLogs(): Promise<LogEntry[]> {
+    const { [LOGS_KEY]: logs } = await browser.storage.session.get(LOGS_KEY);
+    return Array.isArray(logs) ? logs : [];
+}
+
+export async function clearLogs(): Promise<void> {
+    await browser.storage.session.remove(LOGS_KEY);
+}
+
+/**
+ * Calls `listener` with the whole buffer whenever it changes. Returns a function that unsubscribes.
+ */
+export function subscribeLogs(
+    listener: (logs: LogEntry[]) => void // eslint-disable-line no-unused-vars
+): () => void {
+    const onChanged = (changes: Record<string, chrome.storage.StorageChange>, areaName: string) => {
+        const change = changes[LOGS_KEY];
+        if (areaName === "session" && change) listener(Array.isArray(change.newValue) ? change.newValue : []);
+    };
+    browser.storage.onChanged.addListener(onChanged);
+    return () => browser.storage.onChanged.removeListener(onChanged);
+}
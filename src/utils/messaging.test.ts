@@ -0,0 +1,226 @@
+import { chromeFake, NO_RECEIVER_ERROR } from "../test/chromeFake";
+import type { ContextDescriptor } from "../test/chromeFake";
+import type { Stream } from "./messaging";
+
+type Messaging = typeof import("./messaging");
+
+declare module "./messaging" {
+    // eslint-disable-next-line no-unused-vars
+    interface StreamMap {
+        progress: { client: { step: number }; host: { done: boolean } };
+    }
+}
+
+/**
+ * Imports a fresh copy of the messaging module bound to a new simulated context.
+ */
+async function loadMessaging(descriptor: ContextDescriptor): Promise<Messaging> {
+    let messaging!: Messaging;
+    await chromeFake.load(descriptor, async () => {
+        messaging = await import("./messaging");
+    });
+    return messaging;
+}
+
+describe("messaging", () => {
+    let tabId: number;
+    let popup: Messaging;
+    let worker: Messaging;
+    let content: Messaging;
+
+    beforeEach(async () => {
+        tabId = chromeFake.addTab({ url: "https://example.com/page" }).id!;
+        popup = await loadMessaging({ type: "popup" });
+        worker = await loadMessaging({ type: "worker" });
+        content = await loadMessaging({ type: "content", tabId });
+    });
+
+    it("delivers a content script message to the worker with the sending tab", async () => {
+        const handler = vi.fn();
+        worker.handleMessage("pageStateChanged", handler);
+
+        await expect(content.sendToRuntime("pageStateChanged", { destroyedCount: 2 })).resolves.toBeUndefined();
+        expect(handler).toHaveBeenCalledWith(
+            { destroyedCount: 2 },
+            expect.objectContaining({ tab: expect.objectContaining({ id: tabId, url: "https://example.com/page" }) })
+        );
+    });
+
+    it("resolves a tab message with the content script's response", async () => {
+        content.handleMessage("destroyPage", async ({ effect }) => ({
+            status: effect === "blackout" ? "destroyed" : "already-destroyed",
+        }));
+
+        await expect(popup.sendToTab(tabId, "destroyPage", { effect: "blackout" })).resolves.toEqual({
+            status: "destroyed",
+        });
+        expect(chromeFake.messages).toEqual([
+            {
+                from: { type: "popup" },
+                to: { tabId, frameId: undefined },
+                message: { bus: true, action: "destroyPage", payload: { effect: "blackout" } },
+            },
+        ]);
+    });
+
+    it("does not deliver runtime messages to content scripts", async () => {
+        const handler = vi.fn();
+        content.handleMessage("pageStateChanged", handler);
+
+        await expect(popup.sendToRuntime("pageStateChanged", { destroyedCount: 0 })).rejects.toMatchObject({
+            name: "MessagingError",
+            code: "no-receiver",
+        });
+        expect(handler).not.toHaveBeenCalled();
+    });
+
+    it("rejects with no-receiver when the tab has no content script", async () => {
+        const otherTab = chromeFake.addTab({ url: "chrome://extensions/" });
+
+        await expect(popup.sendToTab(otherTab.id!, "restorePage")).rejects.toMatchObject({
+            code: "no-receiver",
+            action: "restorePage",
+        });
+    });
+
+    it("rejects with no-receiver when only other actions are handled", async () => {
+        content.handleMessage("destroyPage", () => ({ status: "destroyed" }));
+
+        await expect(popup.sendToTab(tabId, "restorePage")).rejects.toMatchObject({ code: "no-receiver" });
+    });
+
+    it("reports a throwing handler as handler-failed", async () => {
+        content.handleMessage("restorePage", () => {
+            throw new Error("Nothing to restore");
+        });
+
+        await expect(popup.sendToTab(tabId, "restorePage")).rejects.toMatchObject({
+            code: "handler-failed",
+            message: "Nothing to restore",
+        });
+    });
+
+    it("maps an injected lastError to a runtime error", async () => {
+        worker.handleMessage("pageStateChanged", () => undefined);
+        chromeFake.failNext("runtime.sendMessage", "Extension context invalidated.");
+
+        await expect(content.sendToRuntime("pageStateChanged", { destroyedCount: 1 })).rejects.toMatchObject({
+            code: "runtime",
+            message: "Extension context invalidated.",
+        });
+        await expect(content.sendToRuntime("pageStateChanged", { destroyedCount: 1 })).resolves.toBeUndefined();
+    });
+
+    it("maps a missing receiver reported through lastError to no-receiver", async () => {
+        chromeFake.failNext("tabs.sendMessage", NO_RECEIVER_ERROR);
+
+        await expect(popup.sendToTab(tabId, "restorePage")).rejects.toMatchObject({ code: "no-receiver" });
+    });
+
+    it("times out when the handler never answers", async () => {
+        content.handleMessage("restorePage", () => new Promise(() => undefined));
+
+        await expect(popup.sendToTab(tabId, "restorePage", undefined, { timeout: 20 })).rejects.toMatchObject({
+            code: "timeout",
+        });
+    });
+
+    it("stops answering once the handler is removed", async () => {
+        const unsubscribe = worker.handleMessage("pageStateChanged", () => undefined);
+        unsubscribe();
+
+        await expect(content.sendToRuntime("pageStateChanged", { destroyedCount: 0 })).rejects.toMatchObject({
+            code: "no-receiver",
+        });
+    });
+
+    describe("streams", () => {
+        /**
+         * Resolves once the next message arrives on a stream.
+         */
+        function nextMessage<In>(stream: Stream<In, unknown>): Promise<In> {
+            return new Promise((resolve) => {
+                const unsubscribe = stream.onMessage((message) => {
+                    unsubscribe();
+                    resolve(message);
+                });
+            });
+        }
+
+        /**
+         * Resolves with the host end of the next "progress" stream the context accepts.
+         */
+        function acceptStream(messaging: Messaging): Promise<Stream<{ step: number }, { done: boolean }>> {
+            return new Promise((resolve) => messaging.handleStream("progress", resolve));
+        }
+
+        it("opens a stream to the worker and exchanges messages both ways", async () => {
+            const opened = acceptStream(worker);
+            const client = content.openStream("progress");
+            const host = await opened;
+
+            expect(host.sender).toMatchObject({ tab: expect.objectContaining({ id: tabId }) });
+
+            const received = nextMessage(host);
+            client.post({ step: 1 });
+            await expect(received).resolves.toEqual({ step: 1 });
+
+            const reply = nextMessage(client);
+            host.post({ done: true });
+            await expect(reply).resolves.toEqual({ done: true });
+        });
+
+        it("opens a stream to a tab's content script", async () => {
+            const onOpen = vi.fn();
+            content.handleStream("progress", onOpen);
+
+            const client = popup.openStream("progress", { tabId });
+            await vi.waitFor(() => expect(onOpen).toHaveBeenCalledTimes(1));
+            client.close();
+        });
+
+        it("reports a clean disconnect without an error when the other end closes", async () => {
+            const opened = acceptStream(worker);
+            const client = popup.openStream("progress");
+            const host = await opened;
+
+            const onDisconnect = vi.fn();
+            host.onDisconnect(onDisconnect);
+            client.close();
+
+            expect(onDisconnect).toHaveBeenCalledWith(undefined);
+            expect(() => client.post({ step: 2 })).not.toThrow();
+        });
+
+        it("disconnects the worker's end when the tab navigates away", async () => {
+            const opened = acceptStream(worker);
+            content.openStream("progress");
+            const host = await opened;
+
+            const onDisconnect = vi.fn();
+            host.onDisconnect(onDisconnect);
+            chromeFake.navigate(tabId, "https://example.com/other");
+
+            expect(onDisconnect).toHaveBeenCalledWith(undefined);
+        });
+
+        it("reports a disconnected error when nothing accepts the stream", async () => {
+            const client = popup.openStream("progress", { tabId });
+            const error = await new Promise((resolve) => client.onDisconnect(resolve));
+
+            expect(error).toMatchObject({ name: "MessagingError", code: "disconnected", message: NO_RECEIVER_ERROR });
+        });
+
+        it("stops accepting streams once the handler is removed", async () => {
+            const onOpen = vi.fn();
+            const stopAccepting = worker.handleStream("progress", onOpen);
+            stopAccepting();
+
+            const client = content.openStream("progress");
+            const error = await new Promise((resolve) => client.onDisconnect(resolve));
+
+            expect(onOpen).not.toHaveBeenCalled();
+            expect(error).toMatchObject({ code: "disconnected" });
+        });
+    });
+});
@@ -0,0 +1,288 @@
+/**
+ * Typed messaging between the popup, content script and service worker.
+ *
+ * Every one-off request is declared once in `MessageMap` and every long-lived port in `StreamMap`.
+ * Senders and handlers are then checked against those declarations, so a renamed action or a changed
+ * payload is a compile error instead of a silently unanswered message.
+ */
+
+import { browser } from "./browser";
+import type { EffectName } from "./effects/types";
+import type { PageRestriction } from "./injection";
+import type { LogEntry } from "./logger";
+
+/**
+ * What a destroy request covers: the whole page, or the selection, image or link the context menu was
+ * opened on.
+ */
+export type DestroyScope = "page" | "selection" | "image" | "link";
+
+export interface MessageMap {
+    /** Without an `effect` the content script plays the one chosen in the settings. */
+    destroyPage: {
+        payload: { effect?: EffectName; scope?: DestroyScope };
+        response: { status: "destroyed" | "already-destroyed" };
+    };
+    /** Restores everything destroyed in the page. */
+    restorePage: { payload: void; response: { status: "restored" | "not-destroyed" } };
+    /** Sent by the content script with the number of elements (including the page) currently destroyed. */
+    pageStateChanged: { payload: { destroyedCount: number }; response: void };
+    /** Answered by the content script, so the service worker can tell whether it still has to inject it. */
+    ping: { payload: void; response: { ready: true } };
+    /**
+     * Sent by the popup to the service worker, which injects the content script when needed and forwards
+     * `destroyPage`, or reports why the page cannot be changed.
+     */
+    destroyTab: {
+        payload: { tabId: number; effect?: EffectName };
+        response:
+            { status: "destroyed" | "already-destroyed" } | { status: "restricted"; restriction: PageRestriction };
+    };
+    /** Sent by every context but the service worker, which stores the entry in the log buffer. */
+    log: { payload: LogEntry; response: void };
+}
+
+// Each stream declares what the opening side (client) sends and what the accepting side (host) sends.
+export interface StreamMap {
+    /**
+     * Opened by the popup to the service worker. The client names the tab to follow; the host answers with
+     * its number of destroyed elements and sends it again whenever it changes.
+     */
+    tabState: { client: { tabId: number }; host: { destroyedCount: number } };
+}
+
+export type Action = keyof MessageMap;
+export type Payload<A extends Action> = MessageMap[A]["payload"];
+export type Response<A extends Action> = MessageMap[A]["response"];
+
+export type StreamName = keyof StreamMap;
+
+export type MessagingErrorCode = "timeout" | "no-receiver" | "handler-failed" | "disconnected" | "runtime";
+
+export interface SendOptions {
+    /** Milliseconds to wait for a response before rejecting with a `timeout` error. */
+    timeout?: number;
+    /** Target a single frame when sending to a tab. */
+    frameId?: number;
+}
+
+export const DEFAULT_TIMEOUT = 5000;
+
+/**
+ * Error raised for every failed send. `code` is stable and safe to branch on; `message` is for humans.
+ */
+export class MessagingError extends Error {
+    readonly code: MessagingErrorCode;
+    readonly action?: string;
+
+    constructor(code: MessagingErrorCode, message: string, action?: string) {
+        super(message);
+        this.name = "MessagingError";
+        this.code = code;
+        this.action = action;
+    }
+
+    toJSON() {
+        return { code: this.code, message: this.message, action: this.action };
+    }
+}
+
+interface Envelope<A extends Action = Action> {
+    bus: true;
+    action: A;
+    payload: Payload<A>;
+}
+
+type Reply<A extends Action = Action> =
+    { ok: true; data: Response<A> } | { ok: false; error: { code: MessagingErrorCode; message: string } };
+
+type SendArgs<A extends Action> =
+    Payload<A> extends void
+        ? [payload?: undefined, options?: SendOptions]
+        : [payload: Payload<A>, options?: SendOptions];
+
+type Handler<A extends Action> = (
+    payload: Payload<A>, // eslint-disable-line no-unused-vars
+    sender: chrome.runtime.MessageSender // eslint-disable-line no-unused-vars
+) => Response<A> | Promise<Response<A>>;
+
+type Transmit = (envelope: Envelope) => Promise<Reply | undefined>; // eslint-disable-line no-unused-vars
+
+function isEnvelope(message: unknown): message is Envelope {
+    return typeof message === "object" && message !== null && (message as Envelope).bus === true;
+}
+
+function fromLastError(message: string | undefined, action: string): MessagingError {
+    const text = message || "Unknown runtime error";
+    if (/Receiving end does not exist|message port closed/i.test(text)) {
+        return new MessagingError("no-receiver", text, action);
+    }
+    return new MessagingError("runtime", text, action);
+}
+
+function dispatch<A extends Action>(
+    action: A,
+    payload: Payload<A>,
+    options: SendOptions,
+    transmit: Transmit
+): Promise<Response<A>> {
+    const timeout = options.timeout ?? DEFAULT_TIMEOUT;
+
+    return new Promise((resolve, reject) => {
+        let settled = false;
+        const timer = setTimeout(() => {
+            settled = true;
+            reject(new MessagingError("timeout", `"${action}" got no response within ${timeout} ms`, action));
+        }, timeout);
+
+        const settle = (callback: () => void) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            callback();
+        };
+
+        transmit({ bus: true, action, payload }).then(
+            (reply) =>
+                settle(() => {
+                    if (!reply) {
+                        reject(new MessagingError("no-receiver", `No handler answered "${action}"`, action));
+                    } else if (reply.ok) {
+                        resolve(reply.data as Response<A>);
+                    } else {
+                        reject(new MessagingError(reply.error.code, reply.error.message, action));
+                    }
+                }),
+            (error: unknown) =>
+                settle(() => reject(fromLastError(error instanceof Error ? error.message : String(error), action)))
+        );
+    });
+}
+
+/**
+ * Sends an action to the content script of a tab and resolves with its handler's response.
+ */
+export function sendToTab<A extends Action>(tabId: number, action: A, ...[payload, options = {}]: SendArgs<A>) {
+    return dispatch(action, payload as Payload<A>, options, (envelope) =>
+        options.frameId === undefined
+            ? browser.tabs.sendMessage(tabId, envelope)
+            : browser.tabs.sendMessage(tabId, envelope, { frameId: options.frameId })
+    );
+}
+
+/**
+ * Sends an action to the extension's own pages and service worker.
+ */
+export function sendToRuntime<A extends Action>(action: A, ...[payload, options = {}]: SendArgs<A>) {
+    return dispatch(action, payload as Payload<A>, options, (envelope) => browser.runtime.sendMessage(envelope));
+}
+
+/**
+ * Answers an action in the current context. The handler may return a value or a promise; a thrown error
+ * reaches the sender as a `handler-failed` MessagingError. Returns a function that removes the handler.
+ */
+export function handleMessage<A extends Action>(action: A, handler: Handler<A>): () => void {
+    const listener = (
+        message: unknown,
+        sender: chrome.runtime.MessageSender,
+        sendResponse: (reply: Reply<A>) => void // eslint-disable-line no-unused-vars
+    ) => {
+        if (!isEnvelope(message) || message.action !== action) return false;
+
+        Promise.resolve()
+            .then(() => handler(message.payload as Payload<A>, sender))
+            .then(
+                (data) => sendResponse({ ok: true, data }),
+                (error: unknown) =>
+                    sendResponse({
+                        ok: false,
+                        error: {
+                            code: "handler-failed",
+                            message: error instanceof Error ? error.message : String(error),
+                        },
+                    })
+            );
+        return true;
+    };
+
+    browser.runtime.onMessage.addListener(listener);
+    return () => browser.runtime.onMessage.removeListener(listener);
+}
+
+type StreamSide = "client" | "host";
+type Incoming<S extends StreamName, Side extends StreamSide> = StreamMap[S][Side extends "client" ? "host" : "client"];
+type Outgoing<S extends StreamName, Side extends StreamSide> = StreamMap[S][Side];
+
+/**
+ * One end of a long-lived port. `post` after the other end disconnected is a no-op.
+ */
+export interface Stream<In, Out> {
+    readonly sender?: chrome.runtime.MessageSender;
+    post(message: Out): void; // eslint-disable-line no-unused-vars
+    onMessage(listener: (message: In) => void): () => void; // eslint-disable-line no-unused-vars
+    onDisconnect(listener: (error?: MessagingError) => void): () => void; // eslint-disable-line no-unused-vars
+    close(): void;
+}
+
+const STREAM_PREFIX = "bus:";
+
+function wrapPort<In, Out>(port: chrome.runtime.Port, name: string): Stream<In, Out> {
+    let open = true;
+    port.onDisconnect.addListener(() => {
+        open = false;
+    });
+
+    return {
+        sender: port.sender,
+        post(message) {
+            if (open) port.postMessage(message);
+        },
+        onMessage(listener) {
+            const wrapped = (message: In) => listener(message);
+            port.onMessage.addListener(wrapped);
+            return () => port.onMessage.removeListener(wrapped);
+        },
+        onDisconnect(listener) {
+            const wrapped = () => {
+                // Firefox reports the reason on the port itself instead of runtime.lastError
+                const lastError = (port as { error?: { message?: string } }).error ?? browser.runtime.lastError;
+                listener(lastError ? new MessagingError("disconnected", lastError.message || "", name) : undefined);
+            };
+            port.onDisconnect.addListener(wrapped);
+            return () => port.onDisconnect.removeListener(wrapped);
+        },
+        close() {
+            open = false;
+            port.disconnect();
+        },
+    };
+}
+
+/**
+ * Opens a stream to a tab's content script, or to the extension runtime when `tabId` is omitted.
+ */
+export function openStream<S extends StreamName>(
+    name: S,
+    target: { tabId?: number; frameId?: number } = {}
+): Stream<Incoming<S, "client">, Outgoing<S, "client">> {
+    const portName = STREAM_PREFIX + name;
+    const port =
+        target.tabId === undefined
+            ? browser.runtime.connect({ name: portName })
+            : browser.tabs.connect(target.tabId, { name: portName, frameId: target.frameId });
+    return wrapPort(port, name);
+}
+
+/**
+ * Accepts streams opened with `openStream` in the current context. Returns a function that stops accepting.
+ */
+export function handleStream<S extends StreamName>(
+    name: S,
+    onOpen: (stream: Stream<Incoming<S, "host">, Outgoing<S, "host">>) => void // eslint-disable-line no-unused-vars
+): () => void {
+    const listener = (port: chrome.runtime.Port) => {
+        if (port.name === STREAM_PREFIX + name) onOpen(wrapPort(port, name));
+    };
+    browser.runtime.onConnect.addListener(listener);
+    return () => browser.runtime.onConnect.removeListener(listener);
+}
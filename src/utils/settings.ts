@@ -0,0 +1,212 @@
+/**
+ * Typed, persistent extension settings on top of `storage.sync` / `storage.local`.
+ *
+ * Every setting is declared once in `SETTINGS` with its default, storage area and the metadata the
+ * generated options page needs; its texts are message names from `_locales`. Values are read through
+ * `getSetting`, written through `setSetting`, and every context can follow live changes with
+ * `subscribeSetting`, which is driven by `storage.onChanged`.
+ */
+
+import { browser } from "./browser";
+import { BUILT_IN_EFFECTS, DEFAULT_EFFECT, EFFECT_MESSAGES } from "./effects/types";
+import type { EffectName } from "./effects/types";
+import type { MessageKey } from "./i18n";
+
+export type StorageAreaName = "sync" | "local";
+
+export type LauncherPosition = "bottom-left" | "bottom-right" | "top-left" | "top-right";
+
+export interface SettingDefinition<T> {
+    default: T;
+    area: StorageAreaName;
+    label: MessageKey;
+    description?: MessageKey;
+    /** Allowed values; rendered as a select on the options page. */
+    options?: readonly T[];
+    /** Labels of the allowed values; values without one are shown as they are stored. */
+    optionMessages?: Partial<Record<string, MessageKey>>;
+    min?: number;
+    max?: number;
+    step?: number;
+    /** Optional permissions the options page requests when the setting is turned on. */
+    permissions?: chrome.permissions.Permissions;
+}
+
+export const SETTINGS = {
+    holdDuration: {
+        default: 2000,
+        area: "sync",
+        label: "settingHoldDuration",
+        description: "settingHoldDurationDescription",
+        min: 250,
+        max: 10000,
+        step: 250,
+    } as SettingDefinition<number>,
+    effect: {
+        default: DEFAULT_EFFECT,
+        area: "sync",
+        label: "settingEffect",
+        description: "settingEffectDescription",
+        options: BUILT_IN_EFFECTS,
+        optionMessages: EFFECT_MESSAGES,
+    } as SettingDefinition<EffectName>,
+    launcherPosition: {
+        default: "bottom-left",
+        area: "sync",
+        label: "settingLauncherPosition",
+        description: "settingLauncherPositionDescription",
+        options: ["bottom-left", "bottom-right", "top-left", "top-right"],
+        optionMessages: {
+            "bottom-left": "launcherPositionBottomLeft",
+            "bottom-right": "launcherPositionBottomRight",
+            "top-left": "launcherPositionTopLeft",
+            "top-right": "launcherPositionTopRight",
+        },
+    } as SettingDefinition<LauncherPosition>,
+    launcherAllowlist: {
+        default: [],
+        area: "sync",
+        label: "settingLauncherAllowlist",
+        description: "settingLauncherAllowlistDescription",
+    } as SettingDefinition<string[]>,
+    launcherDenylist: {
+        default: [],
+        area: "sync",
+        label: "settingLauncherDenylist",
+        description: "settingLauncherDenylistDescription",
+    } as SettingDefinition<string[]>,
+    contextMenuEnabled: {
+        default: true,
+        area: "sync",
+        label: "settingContextMenu",
+        description: "settingContextMenuDescription",
+    } as SettingDefinition<boolean>,
+    runOnAllSites: {
+        default: false,
+        // Granted permissions do not sync between browsers, so neither does the setting
+        area: "local",
+        label: "settingRunOnAllSites",
+        description: "settingRunOnAllSitesDescription",
+        permissions: { origins: ["<all_urls>"] },
+    } as SettingDefinition<boolean>,
+};
+
+export type Settings = { [K in keyof typeof SETTINGS]: (typeof SETTINGS)[K]["default"] };
+export type SettingKey = keyof Settings;
+
+const STORAGE_PREFIX = "setting:";
+const SCHEMA_VERSION_KEY = "settings:version";
+
+/**
+ * Current version of the settings schema. Bump it and add an entry to `MIGRATIONS` whenever a setting
+ * is renamed, moved between storage areas or changes the shape of its value.
+ */
+export const SETTINGS_VERSION = 1;
+
+type StoredValues = Record<string, unknown>;
+
+/**
+ * Migrations keyed by the schema version they produce. Each receives the raw stored values of both
+ * areas (keys without the storage prefix) and returns the values to store for its version.
+ */
+const MIGRATIONS: Record<number, (values: StoredValues) => StoredValues> = {}; // eslint-disable-line no-unused-vars
+
+function storageKey(key: SettingKey): string {
+    return STORAGE_PREFIX + key;
+}
+
+function isSettingKey(key: string): key is SettingKey {
+    return key in SETTINGS;
+}
+
+/**
+ * Returns the stored value when it still matches the schema, otherwise the default.
+ */
+function coerce<K extends SettingKey>(key: K, value: unknown): Settings[K] {
+    const definition = SETTINGS[key] as SettingDefinition<Settings[K]>;
+    if (typeof value !== typeof definition.default) return definition.default;
+    if (Array.isArray(definition.default)) {
+        if (!Array.isArray(value) || value.some((item) => typeof item !== "string")) return definition.default;
+    }
+    if (definition.options && !definition.options.includes(value as Settings[K])) return definition.default;
+    if (typeof value === "number") {
+        if (Number.isNaN(value)) return definition.default;
+        if (definition.min !== undefined && value < definition.min) return definition.default;
+        if (definition.max !== undefined && value > definition.max) return definition.default;
+    }
+    return value as Settings[K];
+}
+
+export async function getSetting<K extends SettingKey>(key: K): Promise<Settings[K]> {
+    const stored = await browser.storage[SETTINGS[key].area].get(storageKey(key));
+    return coerce(key, stored[storageKey(key)]);
+}
+
+export async function getSettings(): Promise<Settings> {
+    const keys = Object.keys(SETTINGS) as SettingKey[];
+    const values = await Promise.all(keys.map((key) => getSetting(key)));
+    return Object.fromEntries(keys.map((key, index) => [key, values[index]])) as Settings;
+}
+
+export async function setSetting<K extends SettingKey>(key: K, value: Settings[K]): Promise<void> {
+    if (coerce(key, value) !== value) {
+        throw new Error(`Invalid value for setting "${key}": ${JSON.stringify(value)}`);
+    }
+    await browser.storage[SETTINGS[key].area].set({ [storageKey(key)]: value });
+}
+
+export async function resetSetting(key: SettingKey): Promise<void> {
+    await browser.storage[SETTINGS[key].area].remove(storageKey(key));
+}
+
+/**
+ * Calls `listener` whenever a setting changes in any context. Returns a function that unsubscribes.
+ */
+export function subscribeSetting<K extends SettingKey>(
+    key: K,
+    listener: (value: Settings[K]) => void // eslint-disable-line no-unused-vars
+): () => void {
+    const onChanged = (changes: Record<string, chrome.storage.StorageChange>, areaName: string) => {
+        const change = changes[storageKey(key)];
+        if (!change || areaName !== SETTINGS[key].area) return;
+        listener(coerce(key, change.newValue));
+    };
+    browser.storage.onChanged.addListener(onChanged);
+    return () => browser.storage.onChanged.removeListener(onChanged);
+}
+
+/**
+ * Brings stored settings up to `SETTINGS_VERSION`. Called by the service worker on install and update.
+ */
+export async function migrateSettings(): Promise<void> {
+    const { [SCHEMA_VERSION_KEY]: storedVersion } = await browser.storage.local.get(SCHEMA_VERSION_KEY);
+    let version = typeof storedVersion === "number" ? storedVersion : SETTINGS_VERSION;
+    if (version >= SETTINGS_VERSION) {
+        await browser.storage.local.set({ [SCHEMA_VERSION_KEY]: SETTINGS_VERSION });
+        return;
+    }
+
+    const [syncItems, localItems] = await Promise.all([browser.storage.sync.get(), browser.storage.local.get()]);
+    let values: StoredValues = {};
+    for (const [key, value] of Object.entries({ ...localItems, ...syncItems })) {
+        if (key.startsWith(STORAGE_PREFIX)) values[key.slice(STORAGE_PREFIX.length)] = value;
+    }
+    while (version < SETTINGS_VERSION) {
+        version++;
+        values = MIGRATIONS[version]?.(values) ?? values;
+    }
+
+    const staleKeys = [...Object.keys(syncItems), ...Object.keys(localItems)].filter((key) =>
+        key.startsWith(STORAGE_PREFIX)
+    );
+    await Promise.all([browser.storage.sync.remove(staleKeys), browser.storage.local.remove(staleKeys)]);
+
+    const updates: Record<StorageAreaName, StoredValues> = { sync: {}, local: {} };
+    for (const [key, value] of Object.entries(values)) {
+        if (isSettingKey(key)) updates[SETTINGS[key].area][storageKey(key)] = coerce(key, value);
+    }
+    await Promise.all([
+        browser.storage.sync.set(updates.sync),
+        browser.storage.local.set({ ...updates.local, [SCHEMA_VERSION_KEY]: SETTINGS_VERSION }),
+    ]);
+}
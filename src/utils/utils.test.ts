@@ -0,0 +1,153 @@
+import { destroyPage, isPageDestroyed, restorePage } from "./utils";
+import type { DestroyHandle } from "./utils";
+
+const COLOR_BARS = [
+    "rgb(255, 255, 255)",
+    "rgb(255, 255, 0)",
+    "rgb(0, 255, 255)",
+    "rgb(0, 255, 0)",
+    "rgb(255, 0, 255)",
+    "rgb(255, 0, 0)",
+    "rgb(0, 0, 255)",
+    "rgb(0, 0, 0)",
+];
+
+const handles: DestroyHandle[] = [];
+
+// Handles are kept per element, and document.body outlives a test, so every test restores what it destroyed
+function destroy(...args: Parameters<typeof destroyPage>) {
+    const handle = destroyPage(...args);
+    handles.push(handle);
+    return handle;
+}
+
+function setReducedMotion(reduce: boolean) {
+    window.matchMedia = vi.fn().mockReturnValue({ matches: reduce }) as unknown as typeof window.matchMedia;
+}
+
+afterEach(() => {
+    handles.splice(0).forEach((handle) => restorePage(handle));
+    document.body.removeAttribute("style");
+    // @ts-expect-error jsdom has no matchMedia; tests that need it install a mock
+    delete window.matchMedia;
+});
+
+describe("destroyPage", () => {
+    let target: HTMLElement;
+
+    beforeEach(() => {
+        document.body.innerHTML = "<main><p>Content</p></main>";
+        target = document.querySelector("main")!;
+    });
+
+    it("hides the page behind a fixed full-viewport overlay", () => {
+        const handle = destroy(document.body);
+
+        expect(document.body.style.display).toBe("none");
+        expect(handle.overlay.parentElement).toBe(document.documentElement);
+        expect(handle.overlay.style).toMatchObject({
+            position: "fixed",
+            top: "0px",
+            left: "0px",
+            width: "100vw",
+            height: "100vh",
+            zIndex: "10000",
+        });
+        expect(isPageDestroyed(document.body)).toBe(true);
+    });
+
+    it("draws the colour bars and the noise canvas of the default effect", () => {
+        const putImageData = vi.fn();
+        vi.spyOn(HTMLCanvasElement.prototype, "getContext").mockReturnValue({
+            createImageData: (width: number, height: number) => ({
+                width,
+                height,
+                data: new Uint8ClampedArray(width * height * 4),
+            }),
+            putImageData,
+        } as unknown as CanvasRenderingContext2D);
+
+        const { overlay } = destroy(document.body);
+
+        const bars = [...overlay.querySelectorAll<HTMLDivElement>(":scope > div > div")];
+        expect(bars.map((bar) => bar.style.backgroundColor)).toEqual(COLOR_BARS);
+        expect(bars.every((bar) => bar.style.width === `${100 / COLOR_BARS.length}%`)).toBe(true);
+        const canvas = overlay.querySelector("canvas")!;
+        expect(canvas).toBeInTheDocument();
+        expect([canvas.width, canvas.height]).toEqual([Math.ceil(innerWidth / 2), Math.ceil(innerHeight / 2)]);
+        expect(putImageData).toHaveBeenCalledTimes(1);
+    });
+
+    it("shows only the static frame when reduced motion is preferred", () => {
+        setReducedMotion(true);
+        const { overlay, context } = destroy(document.body);
+
+        expect(context.reducedMotion).toBe(true);
+        expect(overlay.querySelectorAll(":scope > div > div")).toHaveLength(COLOR_BARS.length);
+        expect(overlay.querySelector("canvas")).toBeNull();
+    });
+
+    it("runs the effect it is given by name", () => {
+        setReducedMotion(true);
+        const { overlay, effect } = destroy(document.body, "blackout");
+
+        expect(effect.name).toBe("blackout");
+        expect(overlay.style.backgroundColor).toBe("rgb(0, 0, 0)");
+        expect(overlay.children).toHaveLength(0);
+    });
+
+    it("covers a single element with an overlay over its own box", () => {
+        vi.spyOn(target, "getBoundingClientRect").mockReturnValue(new DOMRect(10, 20, 300, 150));
+        const { overlay, hidden } = destroy(target);
+
+        expect(target.style.visibility).toBe("hidden");
+        expect(target.style.display).toBe("");
+        expect(hidden.property).toBe("visibility");
+        expect(overlay.style).toMatchObject({
+            position: "absolute",
+            top: "20px",
+            left: "10px",
+            width: "300px",
+            height: "150px",
+        });
+    });
+
+    it("returns the existing handle instead of stacking overlays", () => {
+        const first = destroy(document.body);
+        const second = destroy(document.body);
+
+        expect(second).toBe(first);
+        expect(document.documentElement.querySelectorAll(":scope > div")).toHaveLength(1);
+    });
+});
+
+describe("restorePage", () => {
+    beforeEach(() => {
+        document.body.innerHTML = "<main></main>";
+    });
+
+    it("removes the overlay and restores the original inline display", () => {
+        document.body.style.setProperty("display", "grid", "important");
+        const handle = destroy(document.body);
+
+        expect(restorePage(handle)).toBe(true);
+        expect(handle.overlay.isConnected).toBe(false);
+        expect(document.body.style.getPropertyValue("display")).toBe("grid");
+        expect(document.body.style.getPropertyPriority("display")).toBe("important");
+        expect(isPageDestroyed(document.body)).toBe(false);
+    });
+
+    it("removes the inline style it added when there was none", () => {
+        const target = document.querySelector("main")!;
+        restorePage(destroy(target));
+
+        expect(target.getAttribute("style")).toBe("");
+    });
+
+    it("returns false for a handle that was already restored", () => {
+        const handle = destroy(document.body);
+        restorePage(handle);
+
+        expect(restorePage(handle)).toBe(false);
+    });
+});
@@ -1,75 +1,92 @@
-export function destroyPage(targetElement: HTMLElement): void {
-    targetElement.style.display = "none";
+import { DEFAULT_EFFECT, getEffect, prefersReducedMotion } from "./effects";
+import type { EffectContext, EffectName, PageEffect } from "./effects";
 
-    const overlay = document.createElement("div");
-    overlay.style.position = "fixed";
-    overlay.style.top = "0";
-    overlay.style.left = "0";
-    overlay.style.width = "100vw";
-    overlay.style.height = "100vh";
-    overlay.style.zIndex = "10000";
-    document.documentElement.appendChild(overlay);
-
-    const colorBars = document.createElement("div");
-    colorBars.style.width = "100%";
-    colorBars.style.height = "100%";
-    colorBars.style.display = "flex";
-    colorBars.style.flexDirection = "row";
-    overlay.appendChild(colorBars);
+export interface DestroyHandle {
+    target: HTMLElement;
+    overlay: HTMLDivElement;
+    /**
+     * Inline style the target had before it was hidden, restored by `restorePage`. The whole page is
+     * removed with `display`; single elements use `visibility` so the surrounding layout does not shift.
+     */
+    hidden: { property: "display" | "visibility"; value: string; priority: string };
+    /** The effect running in the overlay; stopped by `restorePage`. */
+    effect: PageEffect;
+    context: EffectContext;
+}
 
-    const colors = ["#FFFFFF", "#FFFF00", "#00FFFF", "#00FF00", "#FF00FF", "#FF0000", "#0000FF", "#000000"];
-    colors.forEach((color) => {
-        const bar = document.createElement("div");
-        bar.style.width = `${100 / colors.length}%`;
-        bar.style.height = "100%";
-        bar.style.backgroundColor = color;
-        colorBars.appendChild(bar);
-    });
+const activeHandles = new WeakMap<HTMLElement, DestroyHandle>();
 
-    const canvas = document.createElement("canvas");
-    canvas.style.position = "absolute";
-    canvas.style.top = "0";
-    canvas.style.left = "0";
-    canvas.style.width = "100%";
-    canvas.style.height = "100%";
-    canvas.style.opacity = "1";
-    overlay.appendChild(canvas);
+export function isPageDestroyed(targetElement: HTMLElement): boolean {
+    return activeHandles.has(targetElement);
+}
 
-    const ctx = canvas.getContext("2d");
-    const width = window.innerWidth;
-    const height = window.innerHeight;
-    const scaleFactor = 2;
-    const canvasWidth = Math.ceil(width / scaleFactor);
-    const canvasHeight = Math.ceil(height / scaleFactor);
-    canvas.width = canvasWidth;
-    canvas.height = canvasHeight;
+/**
+ * Hides the target behind an overlay running the named page effect. `document.body` gets an overlay
+ * over the whole viewport; any other element gets one over its own box. Destroying an already destroyed
+ * target returns the existing handle instead of stacking another overlay.
+ */
+export function destroyPage(targetElement: HTMLElement, effectName: EffectName = DEFAULT_EFFECT): DestroyHandle {
+    const existing = activeHandles.get(targetElement);
+    if (existing) return existing;
 
-    const imageData = ctx!.createImageData(canvasWidth, canvasHeight);
-    const data = imageData.data;
+    const isPage = targetElement === document.body || targetElement === document.documentElement;
+    const rect = targetElement.getBoundingClientRect();
 
-    const startTime = performance.now();
-    const noiseDuration = 1000;
+    const property = isPage ? "display" : "visibility";
+    const hidden = {
+        property,
+        value: targetElement.style.getPropertyValue(property),
+        priority: targetElement.style.getPropertyPriority(property),
+    } as const;
+    targetElement.style.setProperty(property, isPage ? "none" : "hidden");
 
-    function drawNoise() {
-        const elapsed = performance.now() - startTime;
-        if (elapsed < noiseDuration) {
-            for (let i = 0; i < data.length; i += 4) {
-                const value = Math.floor(Math.random() * 256);
-                data[i] = value;
-                data[i + 1] = value;
-                data[i + 2] = value;
-                data[i + 3] = 255;
-            }
-            ctx?.putImageData(imageData, 0, 0);
-            requestAnimationFrame(drawNoise);
-        } else {
-            canvas.style.opacity = "0";
-        }
+    const overlay = document.createElement("div");
+    if (isPage) {
+        overlay.style.position = "fixed";
+        overlay.style.top = "0";
+        overlay.style.left = "0";
+        overlay.style.width = "100vw";
+        overlay.style.height = "100vh";
+    } else {
+        overlay.style.position = "absolute";
+        overlay.style.top = `${rect.top + window.scrollY}px`;
+        overlay.style.left = `${rect.left + window.scrollX}px`;
+        overlay.style.width = `${rect.width}px`;
+        overlay.style.height = `${rect.height}px`;
     }
+    overlay.style.zIndex = "10000";
+    overlay.style.overflow = "hidden";
+    document.documentElement.appendChild(overlay);
+
+    const effect = getEffect(effectName);
+    const context: EffectContext = {
+        overlay,
+        width: isPage ? window.innerWidth : rect.width,
+        height: isPage ? window.innerHeight : rect.height,
+        reducedMotion: prefersReducedMotion(),
+    };
+    effect.start(context);
 
-    drawNoise();
+    const handle = { target: targetElement, overlay, hidden, effect, context };
+    activeHandles.set(targetElement, handle);
+    return handle;
+}
+
+/**
+ * Removes the overlay of a handle returned by `destroyPage` and restores the target's original inline
+ * style. Returns false when the handle was already restored.
+ */
+export function restorePage(handle: DestroyHandle): boolean {
+    if (activeHandles.get(handle.target) !== handle) return false;
+    activeHandles.delete(handle.target);
 
-    canvas.addEventListener("transitionend", () => {
-        canvas.remove();
-    });
+    handle.effect.stop(handle.context);
+    handle.overlay.remove();
+    const { property, value, priority } = handle.hidden;
+    if (value) {
+        handle.target.style.setProperty(property, value, priority);
+    } else {
+        handle.target.style.removeProperty(property);
+    }
+    return true;
 }
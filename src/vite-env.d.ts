@@ -1 +1,13 @@
 /// <reference types="vite/client" />
+
+/** Port of the `build.cjs --watch` reload server, or 0 outside of watch builds. */
+declare const __DEV_RELOAD_PORT__: number; // eslint-disable-line no-unused-vars
+
+/** Address the `build.cjs --watch` reload server binds, or an empty string outside of watch builds. */
+declare const __DEV_RELOAD_HOST__: string; // eslint-disable-line no-unused-vars
+
+/** Emitted file of every script in `injectedScripts` of package.json, by file name without extension. */
+declare const __INJECTED_SCRIPTS__: Record<string, string>; // eslint-disable-line no-unused-vars
+
+/** Lowest level src/utils/logger.ts keeps in this build; see logLevel.cjs. */
+declare const __LOG_LEVEL__: "debug" | "info" | "warn" | "error"; // eslint-disable-line no-unused-vars
@@ -0,0 +1,207 @@
+/**
+ * @file Browser targets of build.cjs. Chrome is the source of truth: the manifest is written for it, and
+ * Firefox and Edge get a transformed copy in their own output directory. Also holds the Firefox key and
+ * permission lists that manifestValidation.cjs checks the Firefox manifest against.
+ *
+ * @module Targets
+ * @requires ./manifest.cjs
+ */
+
+/* eslint-disable no-undef */
+
+const { localizeString } = require("./manifest.cjs");
+
+/**
+ * Browsers the build can target. Chrome is the source of truth; the others get a transformed manifest.
+ */
+const BUILD_TARGETS = ["chrome", "firefox", "edge"];
+
+/**
+ * Manifest keys Firefox does not support, dropped from the Firefox manifest and warned about if present.
+ */
+const FIREFOX_UNSUPPORTED_KEYS = [
+    "cross_origin_embedder_policy",
+    "cross_origin_opener_policy",
+    "event_rules",
+    "export",
+    "externally_connectable",
+    "file_browser_handlers",
+    "file_system_provider_capabilities",
+    "import",
+    "key",
+    "minimum_chrome_version",
+    "oauth2",
+    "offline_enabled",
+    "side_panel",
+    "storage",
+    "trial_tokens",
+    "tts_engine",
+    "update_url",
+];
+
+/**
+ * Chrome permissions Firefox does not implement.
+ */
+const FIREFOX_UNSUPPORTED_PERMISSIONS = new Set([
+    "audio",
+    "certificateProvider",
+    "contentSettings",
+    "debugger",
+    "declarativeContent",
+    "desktopCapture",
+    "documentScan",
+    "enterprise.deviceAttributes",
+    "enterprise.hardwarePlatform",
+    "enterprise.networkingAttributes",
+    "enterprise.platformKeys",
+    "favicon",
+    "fileBrowserHandler",
+    "fileSystemProvider",
+    "fontSettings",
+    "gcm",
+    "identity.email",
+    "loginState",
+    "offscreen",
+    "pageCapture",
+    "platformKeys",
+    "power",
+    "printerProvider",
+    "printing",
+    "printingMetrics",
+    "processes",
+    "readingList",
+    "search",
+    "sidePanel",
+    "system.cpu",
+    "system.display",
+    "system.memory",
+    "system.storage",
+    "tabCapture",
+    "tabGroups",
+    "ttsEngine",
+    "vpnProvider",
+    "wallpaper",
+    "webAuthenticationProxy",
+]);
+
+/**
+ * Keys only Firefox understands, accepted when validating the Firefox manifest.
+ */
+const FIREFOX_ONLY_KEYS = {
+    browser_specific_settings: "object",
+    sidebar_action: "object",
+};
+
+/**
+ * Expands the --target option into the list of targets to build.
+ * @param {string} target - "chrome", "firefox", "edge" or "all"
+ * @returns {string[]} Targets to build
+ */
+function resolveTargets(target) {
+    if (target === "all") return BUILD_TARGETS;
+    if (!BUILD_TARGETS.includes(target)) {
+        throw new Error(`--target must be one of ${[...BUILD_TARGETS, "all"].join(", ")} (got "${target}")`);
+    }
+    return [target];
+}
+
+/**
+ * Returns the output directory of a target. Chrome keeps the Vite output directory; other targets get a sibling.
+ * @param {string} outputDir - Vite output directory
+ * @param {string} target - Build target
+ * @returns {string} Output directory for the target
+ */
+function targetOutputDir(outputDir, target) {
+    return target === "chrome" ? outputDir : `${outputDir}-${target}`;
+}
+
+/**
+ * Derives a browser-specific manifest from the Chrome manifest.
+ * @param {object} manifestJson - Chrome manifest
+ * @param {string} target - Build target
+ * @param {object} [locales] - Messages keyed by locale, used to resolve a localized name
+ * @returns {object} { manifest, notes: string[] } Transformed copy and a description of each change
+ */
+function transformManifest(manifestJson, target, locales = {}) {
+    const manifest = JSON.parse(JSON.stringify(manifestJson));
+    const notes = [];
+
+    if (target === "edge") {
+        for (const key of ["key", "update_url"]) {
+            if (key in manifest) {
+                delete manifest[key];
+                notes.push(`Removed '${key}' (managed by Microsoft Edge Add-ons)`);
+            }
+        }
+    }
+
+    if (target === "firefox") {
+        if (manifest.background?.service_worker) {
+            const { service_worker: serviceWorker, ...background } = manifest.background;
+            manifest.background = { ...background, scripts: [serviceWorker] };
+            notes.push(`Converted 'background.service_worker' to 'background.scripts: ["${serviceWorker}"]'`);
+        }
+
+        if (manifest.side_panel?.default_path) {
+            manifest.sidebar_action = { default_panel: manifest.side_panel.default_path };
+            notes.push("Converted 'side_panel' to 'sidebar_action'");
+        }
+        for (const key of FIREFOX_UNSUPPORTED_KEYS) {
+            if (key in manifest) {
+                delete manifest[key];
+                notes.push(`Removed unsupported key '${key}'`);
+            }
+        }
+
+        for (const key of ["permissions", "optional_permissions"]) {
+            if (!Array.isArray(manifest[key])) continue;
+            const removed = manifest[key].filter((permission) => FIREFOX_UNSUPPORTED_PERMISSIONS.has(permission));
+            if (removed.length === 0) continue;
+            manifest[key] = manifest[key].filter((permission) => !FIREFOX_UNSUPPORTED_PERMISSIONS.has(permission));
+            notes.push(`Removed unsupported ${key}: ${removed.join(", ")}`);
+        }
+
+        (manifest.web_accessible_resources || []).forEach((entry) => {
+            if (entry && typeof entry === "object" && "use_dynamic_url" in entry) {
+                delete entry.use_dynamic_url;
+                notes.push("Removed unsupported 'web_accessible_resources[].use_dynamic_url'");
+            }
+        });
+        (manifest.content_scripts || []).forEach((entry) => {
+            if (entry && typeof entry === "object" && "match_origin_as_fallback" in entry) {
+                delete entry.match_origin_as_fallback;
+                notes.push("Removed unsupported 'content_scripts[].match_origin_as_fallback'");
+            }
+        });
+        if (manifest.action && "default_state" in manifest.action) {
+            delete manifest.action.default_state;
+            notes.push("Removed unsupported 'action.default_state'");
+        }
+
+        const gecko = manifest.browser_specific_settings?.gecko || {};
+        if (!gecko.id) {
+            const slug = (value) =>
+                String(value)
+                    .toLowerCase()
+                    .replace(/[^a-z0-9._-]+/g, "-");
+            const author = typeof manifest.author === "string" ? manifest.author : "extension";
+            const defaultMessages = locales[manifest.default_locale];
+            const name = localizeString(String(manifest.name), defaultMessages, defaultMessages);
+            gecko.id = process.env.FIREFOX_EXTENSION_ID || `${slug(name)}@${slug(author)}`;
+            notes.push(`Set 'browser_specific_settings.gecko.id' to ${gecko.id}`);
+        }
+        manifest.browser_specific_settings = { ...manifest.browser_specific_settings, gecko };
+    }
+
+    return { manifest, notes };
+}
+
+module.exports = {
+    BUILD_TARGETS,
+    FIREFOX_ONLY_KEYS,
+    FIREFOX_UNSUPPORTED_KEYS,
+    FIREFOX_UNSUPPORTED_PERMISSIONS,
+    resolveTargets,
+    targetOutputDir,
+    transformManifest,
+};
@@ -4,24 +4,108 @@ import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
 import { resolve } from "path";
 import { fileURLToPath } from "url";
+import { createRequire } from "module";
 import tailwindcss from "@tailwindcss/vite";
 
 const __dirname = resolve(fileURLToPath(import.meta.url), "..");
+// Loaded by Node instead of bundled into the config, since build.cjs requires it as CommonJS too
+const require = createRequire(import.meta.url);
+const { injectedScriptFiles, loadEntrypoints, rewriteManifest } = require("./entrypoints.cjs");
+const { MANIFEST_CONFIG, loadLocales, loadManifest, writeJsonFile } = require("./manifest.cjs");
+const { logLevelOptions } = require("./logLevel.cjs");
 
-export default defineConfig({
-    plugins: [react(), tailwindcss()],
-    build: {
-        rollupOptions: {
-            input: {
-                popup: resolve(__dirname, "index.html"),
-                serviceWorker: resolve(__dirname, "src/serviceWorker.ts"),
-            },
-            output: {
-                entryFileNames: "[name].bundle.js",
-                format: "es",
+const PREVIEW_PAGE = "/src/dev/preview.html";
+const CHROME_SHIM = "/src/dev/chromeShim.ts";
+
+/**
+ * Emits manifest.json from manifest.config.ts for the build's mode, pointing at the emitted bundles
+ * instead of the source files.
+ */
+function emitManifest(env) {
+    let outDir = "dist";
+    return {
+        name: "emit-manifest",
+        configResolved(config) {
+            outDir = resolve(config.root, config.build.outDir);
+        },
+        buildStart() {
+            this.addWatchFile(resolve(__dirname, MANIFEST_CONFIG));
+        },
+        async writeBundle() {
+            // Loaded again on every build so watch builds pick up manifest edits
+            const [manifest, entrypoints] = await Promise.all([
+                loadManifest(__dirname, env),
+                loadEntrypoints(__dirname, env),
+            ]);
+            writeJsonFile(resolve(outDir, "manifest.json"), rewriteManifest(manifest, entrypoints));
+        },
+    };
+}
+
+/**
+ * Serves the popup preview at `/` under `npm start`, and loads the dev-only `chrome` shim into every
+ * extension page ahead of its own script, together with the manifest and default locale the shim
+ * answers with. See src/dev/chromeShim.ts.
+ */
+function popupPreview(env) {
+    return {
+        name: "popup-preview",
+        configureServer(server) {
+            server.middlewares.use((req, res, next) => {
+                if (req.url === "/") req.url = PREVIEW_PAGE;
+                next();
+            });
+        },
+        async transformIndexHtml(html, context) {
+            // Loaded on every request so edits to the manifest or the messages show up on reload
+            const [manifest, entrypoints] = await Promise.all([
+                loadManifest(__dirname, env),
+                loadEntrypoints(__dirname, env),
+            ]);
+            const pagePaths = entrypoints
+                .filter((entry) => entry.kind === "page")
+                .map((entry) => `/${entry.source.replace(/^\//, "")}`);
+            if (!pagePaths.includes(context.path)) return html;
+            const messages = loadLocales(__dirname)[manifest.default_locale || "en"] ?? {};
+            // Escaped so a "</script>" inside a message cannot end the inline script early
+            const data = JSON.stringify({ manifest, messages }).replace(/</g, "\\u003c");
+            return [
+                { tag: "script", children: `window.__EXTENSION_PREVIEW__ = ${data};`, injectTo: "head-prepend" },
+                { tag: "script", attrs: { type: "module", src: CHROME_SHIM }, injectTo: "head-prepend" },
+            ];
+        },
+    };
+}
+
+export default defineConfig(async ({ command, mode }) => {
+    const env = { command, mode };
+    const entrypoints = await loadEntrypoints(__dirname, env);
+    const logLevel = logLevelOptions(mode, __dirname);
+    return {
+        plugins: [react(), tailwindcss(), emitManifest(env), logLevel.plugin, command === "serve" && popupPreview(env)],
+        define: {
+            ...logLevel.define,
+            // Set by `build.cjs --watch`; 0 removes the dev reload client from the service worker bundle.
+            __DEV_RELOAD_PORT__: JSON.stringify(mode === "development" ? Number(process.env.DEV_RELOAD_PORT) || 0 : 0),
+            __DEV_RELOAD_HOST__: JSON.stringify(mode === "development" ? process.env.DEV_RELOAD_HOST || "" : ""),
+            __INJECTED_SCRIPTS__: JSON.stringify(injectedScriptFiles(entrypoints)),
+        },
+        build: {
+            rollupOptions: {
+                // Pages and the service worker; content scripts are built by vite.content.config.ts
+                input: Object.fromEntries(
+                    entrypoints
+                        .filter((entry) => entry.format === "es")
+                        .map((entry) => [entry.name, resolve(__dirname, entry.source)])
+                ),
+                output: {
+                    entryFileNames: "[name].bundle.js",
+                    format: "es",
+                },
             },
+            // Watch builds rebuild into a shared dist, so emptying it would delete the content script bundles.
+            emptyOutDir: mode !== "development",
+            outDir: "dist",
         },
-        emptyOutDir: true,
-        outDir: "dist",
-    },
+    };
 });
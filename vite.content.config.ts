@@ -3,21 +3,43 @@
 import { defineConfig } from "vite";
 import { resolve } from "path";
 import { fileURLToPath } from "url";
+import { createRequire } from "module";
 
 const __dirname = resolve(fileURLToPath(import.meta.url), "..");
+// Loaded by Node instead of bundled into the config, since build.cjs requires it as CommonJS too
+const require = createRequire(import.meta.url);
+const { isolatedScripts, loadEntrypoints } = require("./entrypoints.cjs");
+const { logLevelOptions } = require("./logLevel.cjs");
 
-export default defineConfig({
-    build: {
-        rollupOptions: {
-            input: {
-                content: resolve(__dirname, "src/content.ts"),
-            },
-            output: {
-                entryFileNames: "content.bundle.js",
-                format: "iife",
+export default defineConfig(async ({ command, mode }) => {
+    // Content scripts cannot load modules, so each one is a separate IIFE build; build.cjs runs this config
+    // once per script with CONTENT_ENTRY set to its entry name.
+    const scripts = isolatedScripts(await loadEntrypoints(__dirname, { command, mode }));
+    const entryName = process.env.CONTENT_ENTRY ?? (scripts.length === 1 ? scripts[0].name : undefined);
+    const script = scripts.find((entry) => entry.name === entryName);
+    if (!script) {
+        throw new Error(`Set CONTENT_ENTRY to one of: ${scripts.map((entry) => entry.name).join(", ") || "(none)"}`);
+    }
+
+    const logLevel = logLevelOptions(mode, __dirname);
+    return {
+        plugins: [logLevel.plugin],
+        define: logLevel.define,
+        build: {
+            rollupOptions: {
+                input: {
+                    [script.name]: resolve(__dirname, script.source),
+                },
+                output: {
+                    entryFileNames: script.output,
+                    format: "iife",
+                    inlineDynamicImports: true,
+                },
             },
+            // public/ and the manifest are emitted by the main build
+            copyPublicDir: false,
+            emptyOutDir: false,
+            outDir: "dist",
         },
-        emptyOutDir: false,
-        outDir: "dist",
-    },
+    };
 });
@@ -1,10 +1,29 @@
 // See https://vitest.dev/config/ for more about configuration files.
 
 import { defineConfig } from "vitest/config";
+import { resolve } from "path";
+import { fileURLToPath } from "url";
+import { createRequire } from "module";
 
-export default defineConfig({
+const __dirname = resolve(fileURLToPath(import.meta.url), "..");
+// Loaded by Node instead of bundled into the config, since build.cjs requires it as CommonJS too
+const require = createRequire(import.meta.url);
+const { injectedScriptFiles, loadEntrypoints } = require("./entrypoints.cjs");
+const { loadManifest } = require("./manifest.cjs");
+
+export default defineConfig(async ({ command, mode }) => ({
+    define: {
+        __DEV_RELOAD_PORT__: "0",
+        __DEV_RELOAD_HOST__: JSON.stringify(""),
+        __LOG_LEVEL__: JSON.stringify("debug"),
+        __INJECTED_SCRIPTS__: JSON.stringify(injectedScriptFiles(await loadEntrypoints(__dirname, { command, mode }))),
+    },
     test: {
         environment: "jsdom",
         globals: true,
+        restoreMocks: true,
+        setupFiles: ["src/test/setup.ts"],
+        // What chrome.runtime.getManifest() returns in tests; see src/test/setup.ts
+        provide: { manifest: await loadManifest(__dirname, { command, mode }) },
     },
-});
+}));